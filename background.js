@@ -1,23 +1,30 @@
+// Shared currency registry, number parsing, payment fee model and user rate overrides (also loaded by
+// content scripts and the popup) plus the local-only API key store (shared with options)
+importScripts('lib/currencies.js', 'lib/numbers.js', 'lib/fees.js', 'lib/overrides.js', 'lib/crypto.js', 'lib/keystore.js');
+
 // ⭐ DEBUG MODE: Read from settings and control ALL console output (ZERO spam when OFF)
 let DEBUG_MODE = false;
 
 // 🎯 Professional logging functions (only log when DEBUG_MODE is true)
+// 🔐 String arguments are scrubbed of access_key=/app_id= values first
+const redactArgs = (args) => args.map(arg => (typeof arg === 'string' ? self.ApiKeyStore.redactSecrets(arg) : arg));
+
 const log = (...args) => {
   if (!DEBUG_MODE) return;
   console.log(`%c[CCP BG]%c ${new Date().toLocaleTimeString()}`,
-    'color: #4f46e5; font-weight: bold;', 'color: #6b7280;', ...args);
+    'color: #4f46e5; font-weight: bold;', 'color: #6b7280;', ...redactArgs(args));
 };
 
 const logError = (...args) => {
   if (!DEBUG_MODE) return;
   console.error(`%c[CCP BG ERROR]%c ${new Date().toLocaleTimeString()}`,
-    'color: #ef4444; font-weight: bold;', 'color: #6b7280;', ...args);
+    'color: #ef4444; font-weight: bold;', 'color: #6b7280;', ...redactArgs(args));
 };
 
 const logWarn = (...args) => {
   if (!DEBUG_MODE) return;
   console.warn(`%c[CCP BG WARN]%c ${new Date().toLocaleTimeString()}`,
-    'color: #f59e0b; font-weight: bold;', 'color: #6b7280;', ...args);
+    'color: #f59e0b; font-weight: bold;', 'color: #6b7280;', ...redactArgs(args));
 };
 
 // Load debug mode setting on startup
@@ -36,14 +43,177 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       log('🔧 Debug mode changed to:', DEBUG_MODE);
     }
   }
+
+  // 🔐 A synced apiKey or custom provider headers (old version, imported settings file) move to the local key store
+  if (areaName === 'sync' && (changes.apiKey?.newValue !== undefined || changes.customProvider?.newValue?.headers !== undefined)) {
+    self.ApiKeyStore.migrateLegacyApiKey();
+  }
+
+  // Re-schedule the refresh alarm when the user picks a new cadence
+  if (areaName === 'sync' && changes.updateInterval) {
+    scheduleRateRefresh();
+  }
+  if (areaName === 'sync' && changes.cryptoUpdateInterval) {
+    scheduleCryptoRefresh();
+  }
+
+  // New coins added in options - price them right away
+  if (areaName === 'sync' && changes.cryptoAssets) {
+    updateCryptoRates().then(broadcastRates);
+  }
+
+  // Keep the in-memory override list in step with options (convertCurrency is synchronous)
+  if (areaName === 'sync' && changes.rateOverrides) {
+    rateOverrides = changes.rateOverrides.newValue || [];
+  }
+
+  // Offline mode toggled - fetch right away when going back online, then tell tabs
+  if (areaName === 'sync' && changes.offlineMode) {
+    const goingOnline = !changes.offlineMode.newValue;
+    (goingOnline ? updateExchangeRates(true) : Promise.resolve()).then(broadcastRates);
+  }
 });
 
 let exchangeRates = {};
+let cryptoRates = {}; // Latest CoinGecko prices (+ denominations), merged into exchangeRates
 let lastUpdateTime = 0;
-const UPDATE_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours (1 day)
+let ratesFromBaseline = null; // Date of the bundled snapshot while it's the table in use
+let rateOverrides = []; // 📌 User-pinned pair / per-currency rates (rateOverrides in sync storage)
+chrome.storage.sync.get(['rateOverrides'], (result) => {
+  rateOverrides = result.rateOverrides || [];
+});
+const DEFAULT_UPDATE_INTERVAL_MINUTES = 1440; // 24 hours (1 day)
+
+// ⏰ Alarm names for scheduled refresh (alarms survive service worker restarts)
+const RATE_REFRESH_ALARM = 'rateRefresh';
+const RATE_RETRY_ALARM = 'rateRefreshRetry';
+const CRYPTO_REFRESH_ALARM = 'cryptoRefresh'; // Crypto runs on its own, shorter cadence
+const RETRY_BASE_MINUTES = 1;    // First retry after 1 minute, doubling each failure
+
+// Get configured update interval in minutes (options page stores minutes)
+async function getUpdateIntervalMinutes() {
+  const settings = await chrome.storage.sync.get(['updateInterval']);
+  const minutes = parseInt(settings.updateInterval, 10);
+  return minutes > 0 ? minutes : DEFAULT_UPDATE_INTERVAL_MINUTES;
+}
+
+// ⭐ Restore cached rates when the service worker wakes up
+// Without this, every restart looks like "no rates yet" and forces a fetch
+const ratesRestored = chrome.storage.local.get(['exchangeRates', 'lastUpdate', 'cryptoRates']).then(async (cached) => {
+  cryptoRates = cached.cryptoRates || {};
+  if (Object.keys(exchangeRates).length === 0 && cached.exchangeRates) {
+    exchangeRates = cached.exchangeRates;
+    lastUpdateTime = cached.lastUpdate || 0;
+    log(`💾 Restored ${Object.keys(exchangeRates).length} cached rates`);
+  } else if (Object.keys(exchangeRates).length === 0) {
+    // Nothing cached yet (fresh install) - conversions work from the bundled table until a fetch succeeds
+    await useBaselineRates();
+  }
+}).catch((error) => {
+  logError('Failed to restore cached rates:', error);
+});
+
+// Create (or re-create) the periodic refresh alarm from the updateInterval setting
+async function scheduleRateRefresh() {
+  const intervalMinutes = await getUpdateIntervalMinutes();
+  const existing = await chrome.alarms.get(RATE_REFRESH_ALARM);
+
+  // Keep the running alarm if the cadence didn't change (avoids resetting the countdown)
+  if (existing && existing.periodInMinutes === intervalMinutes) {
+    return;
+  }
+
+  // First run fires when the current cache expires, not a full interval from now
+  await ratesRestored;
+  const elapsedMinutes = (Date.now() - lastUpdateTime) / 60000;
+  const delayInMinutes = Math.max(1, intervalMinutes - elapsedMinutes);
+
+  await chrome.alarms.create(RATE_REFRESH_ALARM, {
+    delayInMinutes,
+    periodInMinutes: intervalMinutes
+  });
+  log(`⏰ Rate refresh scheduled every ${intervalMinutes} min (next in ${Math.round(delayInMinutes)} min)`);
+}
+
+// Crypto cadence in minutes (cryptoUpdateInterval in sync storage)
+async function getCryptoIntervalMinutes() {
+  const { cryptoUpdateInterval } = await chrome.storage.sync.get(['cryptoUpdateInterval']);
+  const minutes = parseInt(cryptoUpdateInterval, 10);
+  return minutes > 0 ? minutes : self.CryptoAssets.DEFAULT_CRYPTO_UPDATE_MINUTES;
+}
+
+async function scheduleCryptoRefresh() {
+  const intervalMinutes = await getCryptoIntervalMinutes();
+  const existing = await chrome.alarms.get(CRYPTO_REFRESH_ALARM);
+  if (existing && existing.periodInMinutes === intervalMinutes) {
+    return;
+  }
+
+  await chrome.alarms.create(CRYPTO_REFRESH_ALARM, { delayInMinutes: intervalMinutes, periodInMinutes: intervalMinutes });
+  log(`⏰ Crypto refresh scheduled every ${intervalMinutes} min`);
+}
+
+// Push the current rate table to every open tab
+async function broadcastRates() {
+  const rateStatus = await getRateStatus();
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'ratesUpdated',
+        rates: exchangeRates,
+        lastUpdate: lastUpdateTime,
+        rateStatus
+      }).catch(() => {}); // Ignore tabs without content script
+    });
+  });
+}
+
+// Run a scheduled refresh, backing off exponentially on failure
+async function runScheduledRefresh() {
+  const result = await updateExchangeRates(true);
+
+  if (result.success) {
+    await chrome.storage.local.set({ refreshFailures: 0 });
+    await chrome.alarms.clear(RATE_RETRY_ALARM);
+    broadcastRates();
+    return;
+  }
+
+  // Failed - schedule a one-shot retry: 1, 2, 4, 8... minutes, capped at the interval
+  const { refreshFailures = 0 } = await chrome.storage.local.get(['refreshFailures']);
+  const failures = refreshFailures + 1;
+  const intervalMinutes = await getUpdateIntervalMinutes();
+  const retryMinutes = Math.min(RETRY_BASE_MINUTES * Math.pow(2, failures - 1), intervalMinutes);
+
+  await chrome.storage.local.set({ refreshFailures: failures });
+  await chrome.alarms.create(RATE_RETRY_ALARM, { delayInMinutes: retryMinutes });
+  logWarn(`⚠️ Scheduled refresh failed (${failures}x), retrying in ${retryMinutes} min:`, result.error);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RATE_REFRESH_ALARM || alarm.name === RATE_RETRY_ALARM) {
+    log(`⏰ Alarm fired: ${alarm.name}`);
+    runScheduledRefresh();
+  }
+
+  if (alarm.name === CRYPTO_REFRESH_ALARM) {
+    updateCryptoRates().then((result) => {
+      if (result.success) broadcastRates();
+    });
+  }
+});
+
+// Browser restart - make sure the alarm exists
+chrome.runtime.onStartup.addListener(() => {
+  self.ApiKeyStore.migrateLegacyApiKey();
+  scheduleRateRefresh();
+  scheduleCryptoRefresh();
+});
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+  // 🔐 Move a synced apiKey into the local store while apiProvider still says which provider it's for
+  await self.ApiKeyStore.migrateLegacyApiKey();
 
   // Set default settings for first-time installation
   // ⭐ SMART DEFAULTS: Native HTML title tooltips ON by default
@@ -53,17 +223,21 @@ chrome.runtime.onInstalled.addListener(() => {
     showInlineConversion: true,       // Native HTML title attribute ON by default ⭐
     replacePrice: false,
     apiProvider: 'exchangerate-api',
-    apiKey: '',
     updateInterval: 1440,
     debugMode: false                  // Debug mode OFF by default
   });
 
   updateExchangeRates();
+  scheduleRateRefresh();
+  scheduleCryptoRefresh();
 
   // Create context menu for currency conversion
   createContextMenu();
 });
 
+// Other readings offered for an ambiguous symbol (matches MAX_SYMBOL_ALTERNATIVES in content.js)
+const CORRECTION_MENU_SLOTS = 4;
+
 // Create smart context menu that detects currencies
 async function createContextMenu() {
   // Remove existing menus
@@ -72,7 +246,7 @@ async function createContextMenu() {
   // Get default currency for menu
   const settings = await chrome.storage.sync.get(['defaultTargetCurrency']);
   const targetCurrency = settings.defaultTargetCurrency || 'ILS';
-  const symbol = getSymbol(targetCurrency);
+  const symbol = self.CurrencyRegistry.getCurrencySymbol(targetCurrency);
 
   // Create dynamic menu for converting prices
   chrome.contextMenus.create({
@@ -83,121 +257,117 @@ async function createContextMenu() {
     enabled: true
   });
 
+  // "Wrong currency?" for prices with a shared symbol - fixed slots, filled per right-click
+  chrome.contextMenus.create({
+    id: 'correctCurrency',
+    title: '🔁 Wrong currency?',
+    contexts: ['page', 'selection', 'link'],
+    visible: false
+  });
+  for (let slot = 0; slot < CORRECTION_MENU_SLOTS; slot++) {
+    chrome.contextMenus.create({
+      id: `correctCurrency:${slot}`,
+      parentId: 'correctCurrency',
+      title: '…',
+      contexts: ['page', 'selection', 'link'],
+      visible: false
+    });
+  }
+
   log('✅ Context menus created with default:', targetCurrency);
 }
 
-// Detect currency in selected text
+// Fill the "Wrong currency?" submenu for the right-clicked price, or hide it
+function updateCorrectionMenu(clickedPrice) {
+  const alternatives = clickedPrice && clickedPrice.symbol ? clickedPrice.alternatives || [] : [];
+  const ignoreError = () => void chrome.runtime.lastError; // Menu not created yet (worker just started)
+
+  chrome.contextMenus.update('correctCurrency', {
+    title: alternatives.length > 0 ? `🔁 Not ${clickedPrice.source}? "${clickedPrice.symbol}" on this site is…` : '🔁 Wrong currency?',
+    visible: alternatives.length > 0
+  }, ignoreError);
+
+  for (let slot = 0; slot < CORRECTION_MENU_SLOTS; slot++) {
+    const code = alternatives[slot];
+    chrome.contextMenus.update(`correctCurrency:${slot}`, code
+      ? { title: `${code} - ${self.CurrencyRegistry.getCurrencyName(code)}`, visible: true }
+      : { visible: false }, ignoreError);
+  }
+}
+
+// Detect currency in selected text (code, then symbol, then currency word - see lib/currencies.js)
 function detectCurrencyInText(text) {
   if (!text || text.length > 100) return null;
-
-  // Check for currency codes first (more reliable)
-  const codeMatch = text.match(/(\d[\d,.\s]+)\s*(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i);
-  if (codeMatch) {
-    return codeMatch[2].toUpperCase();
-  }
-
-  // Check for multi-char symbols first (before single $ which could match)
-  if (text.includes('C$')) return 'CAD';
-  if (text.includes('A$')) return 'AUD';
-  if (text.includes('NZ$')) return 'NZD';
-  if (text.includes('HK$')) return 'HKD';
-  if (text.includes('S$')) return 'SGD';
-  if (text.includes('R$')) return 'BRL';
-  if (text.includes('NT$')) return 'TWD';
-
-  // Check for other currency symbols
-  if (/€\s*\d/.test(text)) return 'EUR';
-  if (/£\s*\d/.test(text)) return 'GBP';
-  if (/₹\s*\d/.test(text)) return 'INR';
-  if (/₪\s*\d/.test(text)) return 'ILS';
-  if (/₽\s*\d/.test(text)) return 'RUB';
-  if (/₩\s*\d/.test(text)) return 'KRW';
-  if (/฿\s*\d/.test(text)) return 'THB';
-  if (/₺\s*\d/.test(text)) return 'TRY';
-  if (/₣\s*\d/.test(text)) return 'CHF';
-  if (/₱\s*\d/.test(text)) return 'PHP';
-  if (/₫\s*\d/.test(text)) return 'VND';
-  if (/₴\s*\d/.test(text)) return 'UAH';
-
-  // Symbols after number
-  if (/\d\s*zł/.test(text)) return 'PLN';
-  if (/\d\s*Kč/.test(text)) return 'CZK';
-  if (/\d\s*Ft/.test(text)) return 'HUF';
-  if (/\d\s*lei/.test(text)) return 'RON';
-  if (/\d\s*kr/.test(text)) return 'SEK'; // Could be DKK, NOK, ISK
-
-  // Arabic symbols
-  if (text.includes('د.إ')) return 'AED';
-  if (text.includes('د.ك')) return 'KWD';
-  if (text.includes('﷼')) return 'SAR';
-
-  // Generic dollar sign (check last, after multi-char variants)
-  if (/\$\s*\d/.test(text)) return 'USD';
-  if (/¥\s*\d/.test(text)) return 'JPY'; // Could be CNY
-
-  return null;
+  return self.CurrencyRegistry.identifyCurrency(text);
 }
 
-// Extract amount from selected text
-function extractAmountFromText(text) {
+// Extract amount from selected text, read the way the currency's country writes numbers
+// (1.234,56 / 1'234.50 / 12,34,567 / native digits / 5 lakh, 1.2 billion, 3万 - see lib/numbers.js)
+function extractAmountFromText(text, currency = null) {
   // Check if text is valid
   if (!text || typeof text !== 'string') {
     return null;
   }
 
-  // Remove all currency symbols and codes
-  let cleaned = text;
-
-  // Remove multi-char symbols first
-  cleaned = cleaned.replace(/[CANHSR]\$/g, ''); // C$, A$, NZ$, HK$, S$, R$
-  cleaned = cleaned.replace(/NT\$/g, '');
-  cleaned = cleaned.replace(/د\.إ/g, '');
-  cleaned = cleaned.replace(/د\.ك/g, '');
-
-  // Remove single char symbols
-  cleaned = cleaned.replace(/[€£¥₹₪₽₩฿₺₣₱₫₴$﷼]/g, '');
-
-  // Remove symbols that come after number
-  cleaned = cleaned.replace(/\s*(zł|Kč|Ft|lei|kr)\b/gi, '');
-
-  // Remove currency codes
-  cleaned = cleaned.replace(/\b(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/gi, '');
+  // Remove currency symbols, codes and names, leaving the number
+  const cleaned = self.CurrencyRegistry.stripCurrencyMarkers(text);
+  const { parseLocaleAmount, parseMagnitudeAmount, getNumberConventions, getPriceLocale } = self.NumberFormats;
+  const conventions = getNumberConventions(getPriceLocale(null, currency));
+  const scaled = parseMagnitudeAmount(cleaned, conventions);
+  const amount = scaled !== null ? scaled : parseLocaleAmount(cleaned, conventions);
+  return amount === null || amount <= 0 ? null : amount;
+}
 
-  // Remove extra text
-  cleaned = cleaned.replace(/Turkish Lira|Polish Zloty|Israeli Shekel|Euro|Dollar|Pound|Rupee|Yen|Won|Ruble|Riyal|Dirham/gi, '');
+// ============================================================================
+// 🖼️ FRAMES - content.js runs in every frame; the top frame (frameId 0) owns the page
+// ============================================================================
+
+// Frame ids with a content script, per tab, kept in chrome.storage.session so the list outlives the
+// worker going idle. Ids are not reused within a tab - frames that are gone simply stop answering.
+const MAX_TRACKED_FRAMES = 50;
+let frameRegistryWrites = Promise.resolve(); // Frames start together - one read-modify-write at a time
+
+function registerTabFrame(tabId, frameId) {
+  frameRegistryWrites = frameRegistryWrites.then(async () => {
+    const key = `frames:${tabId}`;
+    const { [key]: frameIds = [] } = await chrome.storage.session.get(key);
+    if (!frameIds.includes(frameId)) {
+      await chrome.storage.session.set({ [key]: [...frameIds, frameId].slice(-MAX_TRACKED_FRAMES) });
+    }
+  }).catch(error => logWarn('⚠️ Could not record frame:', error.message));
+  return frameRegistryWrites;
+}
 
-  cleaned = cleaned.trim();
+async function getTabFrameIds(tabId) {
+  const key = `frames:${tabId}`;
+  const { [key]: frameIds = [] } = await chrome.storage.session.get(key);
+  return [0, ...frameIds];
+}
 
-  // Handle different number formats
-  // European format: 1.234,56 or just 12,99
-  if (cleaned.match(/^\d{1,3}(?:\.\d{3})+,\d{2}$/)) {
-    // 1.234,56 -> 1234.56
-    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
-  }
-  else if (cleaned.match(/^\d+,\d{1,2}$/)) {
-    // 12,99 -> 12.99
-    cleaned = cleaned.replace(',', '.');
-  }
-  // US format: 1,234.56
-  else if (cleaned.match(/^\d{1,3}(?:,\d{3})+(?:\.\d{2})?$/)) {
-    // 1,234.56 -> 1234.56
-    cleaned = cleaned.replace(/,/g, '');
-  }
-  // Simple number with comma (assume thousands separator)
-  else if (cleaned.match(/^\d{1,3},\d{3}$/)) {
-    // 1,234 -> 1234
-    cleaned = cleaned.replace(/,/g, '');
-  }
-  // Default: remove commas
-  else {
-    cleaned = cleaned.replace(/,/g, '');
-  }
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(`frames:${tabId}`);
+});
 
-  // Remove any remaining non-numeric characters except dot
-  cleaned = cleaned.replace(/[^\d.]/g, '');
+// Prices from every frame of a tab for the popup's total panel - top frame first, then frames in load order
+async function collectTabPrices(tabId) {
+  const frameIds = await getTabFrameIds(tabId);
+  const responses = (await Promise.all(frameIds.map(frameId =>
+    chrome.tabs.sendMessage(tabId, { type: 'getPagePrices' }, { frameId }).catch(() => null) // Frame gone
+  ))).filter(Boolean);
+
+  if (responses.length === 0) return null;
+  return {
+    items: responses.flatMap(response => response.items),
+    targetCurrency: responses[0].targetCurrency,
+    isCart: responses.some(response => response.isCart)
+  };
+}
 
-  const amount = parseFloat(cleaned);
-  return isNaN(amount) || amount <= 0 ? null : amount;
+// Send to the frame a context menu click happened in (all frames when the frame is unknown)
+function sendToFrame(tabId, frameId, message) {
+  return Number.isInteger(frameId)
+    ? chrome.tabs.sendMessage(tabId, message, { frameId })
+    : chrome.tabs.sendMessage(tabId, message);
 }
 
 // Store info about detected price clicks
@@ -220,12 +390,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (isDetectedPrice && clickedPrice) {
       lastClickedPriceInfo = {
         tabId: sender.tab.id,
+        frameId: sender.frameId, // The price may sit in a checkout or widget frame
         timestamp: clickedPrice.timestamp || Date.now(),
         ...clickedPrice
       };
       log('✅ Stored clicked price info for tab', sender.tab.id);
       log('   Currency:', clickedPrice.source, 'Amount:', clickedPrice.amount);
     }
+    updateCorrectionMenu(isDetectedPrice ? clickedPrice : null);
 
     const sourceCurrency = detectCurrencyInText(selectedText);
 
@@ -234,7 +406,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
       // ⭐ If detected price, always show menu (don't hide it)
       if (isDetectedPrice || (sourceCurrency && sourceCurrency !== targetCurrency)) {
-        const symbol = getSymbol(targetCurrency);
+        const symbol = self.CurrencyRegistry.getCurrencySymbol(targetCurrency);
         chrome.contextMenus.update('convertCurrency', {
           title: `💱 Convert to ${symbol}${targetCurrency}`,
           visible: true,
@@ -258,6 +430,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.type === 'registerFrame') {
+    // 🖼️ A frame's content script started - remember it and pass on the top frame's page context
+    const tabId = sender.tab.id;
+    registerTabFrame(tabId, sender.frameId)
+      .then(() => chrome.tabs.sendMessage(tabId, { type: 'getFrameContext' }, { frameId: 0 }))
+      .then(context => sendResponse(context || null))
+      .catch(() => sendResponse(null)); // Top frame has no content script (yet)
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'sharePageContext') {
+    // The top frame knows its page currency now - frames that registered earlier adopt it
+    if (sender.frameId === 0) {
+      chrome.tabs.sendMessage(sender.tab.id, { type: 'topFrameContext', pageCurrency: request.pageCurrency }).catch(() => {});
+    }
+    return false;
+  }
+
+  if (request.type === 'getPagePrices') {
+    // Popup total panel - every frame answers for its own prices
+    collectTabPrices(request.tabId).then(sendResponse).catch(() => sendResponse(null));
+    return true; // Keep channel open for async response
+  }
+
   // Handle other message types from background.js message listener further down
   if (request.type === 'getExchangeRates') {
     updateExchangeRates(request.forceUpdate).then(async (updateResult) => {
@@ -269,7 +465,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         updateResult,
         lastUpdate: lastUpdateTime,
         lastUpdateFormatted: cache.lastUpdateFormatted || 'Unknown',
-        apiKeyWarning: cache.apiKeyWarning
+        apiKeyWarning: cache.apiKeyWarning,
+        rateStatus: await getRateStatus()
       });
     }).catch(async (error) => {
       const cache = await chrome.storage.local.get(['lastUpdateFormatted']);
@@ -278,7 +475,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         rates: exchangeRates,
         error: error.message,
         lastUpdate: lastUpdateTime,
-        lastUpdateFormatted: cache.lastUpdateFormatted || 'Unknown'
+        lastUpdateFormatted: cache.lastUpdateFormatted || 'Unknown',
+        rateStatus: await getRateStatus()
       });
     });
     return true; // Keep channel open for async response
@@ -286,34 +484,96 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   if (request.type === 'convertCurrency') {
     const result = convertCurrency(request.amount, request.from, request.to);
-    sendResponse({ result });
-    return false; // Sync response
+    if (!request.withFees) {
+      sendResponse({ result });
+      return false; // Sync response
+    }
+
+    // Also report what the active payment profile would actually charge
+    chrome.storage.sync.get(['paymentProfiles', 'activePaymentProfile']).then((settings) => {
+      const profile = self.PaymentFees.findPaymentProfile(settings.paymentProfiles, settings.activePaymentProfile);
+      const paid = profile ? convertCurrency(request.amount, request.from, request.to, profile) : null;
+      sendResponse({ result, paid, profile });
+    }).catch((error) => {
+      logError('Failed to load payment profiles:', error);
+      sendResponse({ result, paid: null, profile: null });
+    });
+    return true; // Keep channel open for async response
   }
-});
 
-// Get currency symbol
-function getSymbol(code) {
-  const symbols = {
-    'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'INR': '₹',
-    'ILS': '₪', 'RUB': '₽', 'KRW': '₩', 'THB': '฿', 'TRY': '₺',
-    'CAD': 'C$', 'AUD': 'A$', 'NZD': 'NZ$', 'HKD': 'HK$', 'SGD': 'S$',
-    'BRL': 'R$', 'ZAR': 'R', 'SEK': 'kr', 'NOK': 'kr', 'DKK': 'kr',
-    'PLN': 'zł', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei', 'TWD': 'NT$',
-    'AED': 'د.إ', 'SAR': '﷼', 'PHP': '₱', 'VND': '₫', 'UAH': '₴',
-    'CHF': '₣', 'MXN': '$', 'CNY': '¥', 'ISK': 'kr', 'KWD': 'د.ك',
-    'QAR': '﷼', 'EGP': '£'
-  };
-  return symbols[code] || code;
-}
+  if (request.type === 'testCustomProvider') {
+    // Dry run from options: parse with the unsaved config, store nothing
+    fetchCustomProviderRates(request.config).then((rates) => {
+      sendResponse({ success: true, rates, count: Object.keys(rates).length });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'getHistoricalRates') {
+    getHistoricalRates(request.date).then((result) => {
+      sendResponse(result);
+    }).catch((error) => {
+      logError('Failed to get historical rates:', error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'getApiQuota') {
+    getQuotaStatus(request.provider).then((quota) => {
+      sendResponse({ quota });
+    }).catch((error) => {
+      sendResponse({ quota: null, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'getRateHistory') {
+    getRateHistory(request.from, request.to, request.days || 30).then((points) => {
+      sendResponse({ points });
+    }).catch((error) => {
+      logError('Failed to read rate history:', error);
+      sendResponse({ points: [], error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+});
 
 // Handle context menu click
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   log('🖱️ Context menu clicked!');
   log('   Menu ID:', info.menuItemId);
   log('   Selection:', info.selectionText);
-  log('   Tab:', tab.id);
+  log('   Tab:', tab.id, 'frame:', info.frameId);
   log('   lastClickedPriceInfo:', lastClickedPriceInfo ? 'EXISTS' : 'NULL');
 
+  if (String(info.menuItemId).startsWith('correctCurrency:')) {
+    // 🔁 Remember the picked reading of the symbol for this site (the content script saves and re-converts)
+    const slot = Number(String(info.menuItemId).split(':')[1]);
+    const currency = lastClickedPriceInfo && lastClickedPriceInfo.tabId === tab.id
+      ? (lastClickedPriceInfo.alternatives || [])[slot]
+      : null;
+    if (!currency) {
+      logWarn('⚠️ No right-clicked price to correct');
+      return;
+    }
+
+    try {
+      await sendToFrame(tab.id, lastClickedPriceInfo.frameId, {
+        type: 'correctSymbolCurrency',
+        symbol: lastClickedPriceInfo.symbol,
+        currency
+      });
+      log(`✅ ${lastClickedPriceInfo.symbol} corrected to ${currency}`);
+    } catch (error) {
+      logError('❌ Failed to send currency correction:', error);
+    }
+    lastClickedPriceInfo = null;
+    return;
+  }
+
   if (info.menuItemId === 'convertCurrency') {
     // ⭐ SMART FIX: Check for clicked detected price FIRST (before text selection)
     // Validate timestamp to ensure it's fresh (within 5 seconds)
@@ -330,7 +590,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
       // Send message to content script to replace the price
       try {
-        await chrome.tabs.sendMessage(tab.id, {
+        await sendToFrame(tab.id, lastClickedPriceInfo.frameId, {
           type: 'convertClickedPrice'
         });
         log('✅ Sent convertClickedPrice message to content script');
@@ -358,7 +618,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
       // Send message to content script to find and convert price at cursor
       try {
-        const result = await chrome.tabs.sendMessage(tab.id, {
+        const result = await sendToFrame(tab.id, info.frameId, {
           type: 'findAndConvertPriceAtPosition',
           x: info.pageX || 0,
           y: info.pageY || 0
@@ -383,7 +643,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     }
 
     const sourceCurrency = detectCurrencyInText(selectedText);
-    const amount = extractAmountFromText(selectedText);
+    const amount = extractAmountFromText(selectedText, sourceCurrency);
 
     log('Detected currency:', sourceCurrency, 'Amount:', amount);
 
@@ -411,19 +671,18 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       await updateExchangeRates(true);
     }
 
-    // Convert
-    if (exchangeRates[sourceCurrency] && exchangeRates[targetCurrency]) {
-      const usdAmount = amount / exchangeRates[sourceCurrency];
-      const converted = usdAmount * exchangeRates[targetCurrency];
+    // Convert (user overrides apply here too)
+    const converted = convertCurrency(amount, sourceCurrency, targetCurrency);
+    if (converted !== null) {
 
-      const targetSymbol = getSymbol(targetCurrency);
+      const targetSymbol = self.CurrencyRegistry.getCurrencySymbol(targetCurrency);
       const replacement = `${targetSymbol}${converted.toFixed(2)}`;
 
       log(`✅ Conversion: ${amount} ${sourceCurrency} = ${converted.toFixed(2)} ${targetCurrency}`);
 
       // Send message to content script to replace text
       try {
-        await chrome.tabs.sendMessage(tab.id, {
+        await sendToFrame(tab.id, info.frameId, {
           type: 'replaceSelectedText',
           originalText: selectedText,
           replacement: replacement,
@@ -464,43 +723,73 @@ const API_PROVIDERS = {
     name: 'European Central Bank',
     free: true,
     requiresKey: false,
-    url: 'https://api.exchangerate.host/latest?base=USD&source=ecb'
+    url: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+    format: 'xml'
   },
   'fixer': {
     name: 'Fixer.io',
     free: false,
     requiresKey: true,
     signupUrl: 'https://fixer.io/product',
-    guide: 'Sign up at fixer.io, get your API key from dashboard'
+    guide: 'Sign up at fixer.io, get your API key from dashboard',
+    quota: 100 // Requests per month on the entry plan
   },
   'currencylayer': {
     name: 'CurrencyLayer',
     free: false,
     requiresKey: true,
     signupUrl: 'https://currencylayer.com/product',
-    guide: 'Sign up at currencylayer.com, get your access key from dashboard'
+    guide: 'Sign up at currencylayer.com, get your access key from dashboard',
+    quota: 100
   },
   'openexchangerates': {
     name: 'Open Exchange Rates',
     free: 'limited',
     requiresKey: true,
     signupUrl: 'https://openexchangerates.org/signup/free',
-    guide: 'Free tier: 1000 requests/month. Sign up at openexchangerates.org'
+    guide: 'Free tier: 1000 requests/month. Sign up at openexchangerates.org',
+    quota: 1000
+  },
+  'currencyapi': {
+    name: 'CurrencyAPI',
+    free: true,
+    requiresKey: false,
+    url: 'https://api.currencyapi.com/v3/latest?base_currency=USD'
+  },
+  'bank-of-israel': {
+    name: 'Bank of Israel',
+    free: true,
+    requiresKey: false,
+    url: 'https://edge.boi.gov.il/FusionEdgeServer/sdmx/v2/data/dataflow/BOI.STATISTICS/EXR/1.0/?c%5BDATA_TYPE%5D=OF00&lastNObservations=1',
+    format: 'xml'
+  },
+  'xe': {
+    name: 'XE Currency Data',
+    free: false,
+    requiresKey: true,
+    signupUrl: 'https://www.xe.com/xecurrencydata/',
+    guide: 'Enterprise only - contact XE sales for an API key'
+  },
+  'custom': {
+    name: 'Custom Provider',
+    free: true,
+    requiresKey: false,
+    format: 'custom' // URL and parsing come from customProvider in sync storage, headers from the key store
   }
 };
 
-// Fetch cryptocurrency rates from CoinGecko API
+// Fallback order used until the user configures their own chain
+const DEFAULT_PROVIDER_CHAIN = ['exchangerate-api', 'exchangerates-api', 'ecb'];
+
+// Fetch cryptocurrency rates from CoinGecko API for the default + user-added coins
 async function fetchCryptoRates() {
   try {
-    const cryptoIds = [
-      'bitcoin', 'ethereum', 'tether', 'usd-coin', 'binancecoin',
-      'ripple', 'cardano', 'solana', 'dogecoin', 'polkadot',
-      'matic-network', 'litecoin', 'bitcoin-cash', 'chainlink',
-      'stellar', 'cosmos'
-    ];
+    const { cryptoAssets } = await chrome.storage.sync.get(['cryptoAssets']);
+    const assets = self.CryptoAssets.getCryptoAssets(cryptoAssets);
+    const cryptoIds = [...new Set(assets.map(asset => asset.id))];
 
-    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${cryptoIds.join(',')}&vs_currencies=usd`;
-    log(`🔄 Fetching crypto rates from CoinGecko...`);
+    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${cryptoIds.map(encodeURIComponent).join(',')}&vs_currencies=usd`;
+    log(`🔄 Fetching crypto rates from CoinGecko (${cryptoIds.length} coins)...`);
 
     const response = await fetch(url);
     if (!response.ok) {
@@ -512,33 +801,18 @@ async function fetchCryptoRates() {
 
     // Convert to our format: rates are "how many crypto per 1 USD"
     // Example: if 1 BTC = $45,000 USD, then rate = 1/45000 = 0.0000222 BTC per USD
-    const cryptoRates = {
-      'BTC': 1 / (data.bitcoin?.usd || 0),
-      'ETH': 1 / (data.ethereum?.usd || 0),
-      'USDT': 1 / (data.tether?.usd || 1),
-      'USDC': 1 / (data['usd-coin']?.usd || 1),
-      'BNB': 1 / (data.binancecoin?.usd || 0),
-      'XRP': 1 / (data.ripple?.usd || 0),
-      'ADA': 1 / (data.cardano?.usd || 0),
-      'SOL': 1 / (data.solana?.usd || 0),
-      'DOGE': 1 / (data.dogecoin?.usd || 0),
-      'DOT': 1 / (data.polkadot?.usd || 0),
-      'MATIC': 1 / (data['matic-network']?.usd || 0),
-      'LTC': 1 / (data.litecoin?.usd || 0),
-      'BCH': 1 / (data['bitcoin-cash']?.usd || 0),
-      'LINK': 1 / (data.chainlink?.usd || 0),
-      'XLM': 1 / (data.stellar?.usd || 0),
-      'ATOM': 1 / (data.cosmos?.usd || 0)
-    };
-
-    // Filter out invalid rates (0 or infinite)
+    // Unknown IDs are simply missing from the response and get skipped
     const validRates = {};
-    Object.entries(cryptoRates).forEach(([key, value]) => {
-      if (value > 0 && isFinite(value)) {
-        validRates[key] = value;
+    assets.forEach(({ ticker, id }) => {
+      const rate = 1 / (data[id]?.usd || 0);
+      if (rate > 0 && isFinite(rate)) {
+        validRates[ticker] = rate;
       }
     });
 
+    // sats, mBTC, gwei... derived from their coin's rate
+    self.CryptoAssets.addCryptoDenominations(validRates);
+
     log(`✅ Valid crypto rates:`, validRates);
     return validRates;
   } catch (error) {
@@ -547,185 +821,1097 @@ async function fetchCryptoRates() {
   }
 }
 
-// Update exchange rates
-async function updateExchangeRates(forceUpdate = false) {
-  const now = Date.now();
-  if (!forceUpdate && now - lastUpdateTime < UPDATE_INTERVAL && Object.keys(exchangeRates).length > 0) {
-    return { success: true, cached: true };
+// Refresh crypto only (crypto alarm / coin list changed) and merge into the live table
+async function updateCryptoRates() {
+  await ratesRestored;
+
+  if (await isOfflineMode()) {
+    return { success: false, offline: true };
   }
 
   try {
-    // Get user settings
-    const settings = await chrome.storage.sync.get(['apiProvider', 'apiKey']);
-    let provider = settings.apiProvider || 'exchangerate-api';
-    const apiKey = settings.apiKey;
-
-    // Check if API requires key but none provided - auto-fallback to free API
-    const providerInfo = API_PROVIDERS[provider];
-    if (providerInfo && providerInfo.requiresKey && !apiKey) {
-      logWarn(`⚠️ ${providerInfo.name} requires an API key. Falling back to free API.`);
-      provider = 'exchangerate-api'; // Fallback to free API
-
-      // Store the fallback info for user notification
-      await chrome.storage.local.set({
-        apiKeyWarning: {
-          provider: settings.apiProvider,
-          message: `${providerInfo.name} requires an API key. Using free API instead.`,
-          guide: providerInfo.guide,
-          signupUrl: providerInfo.signupUrl,
-          timestamp: now
-        }
+    cryptoRates = await fetchCryptoRates();
+  } catch (error) {
+    logWarn('⚠️ Failed to refresh crypto rates:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  Object.assign(exchangeRates, cryptoRates);
+  await chrome.storage.local.set({
+    cryptoRates,
+    cryptoUpdatedAt: Date.now(),
+    exchangeRates,
+    rateCount: Object.keys(exchangeRates).length
+  });
+
+  log('🪙 Crypto rates refreshed:', Object.keys(cryptoRates).join(', '));
+  return { success: true, count: Object.keys(cryptoRates).length };
+}
+
+// Minimum number of currencies a provider must return to be trusted
+const MIN_VALID_RATE_COUNT = 5;
+
+// Build the request URL for a provider (throws if the provider needs a key we don't have)
+function buildProviderUrl(provider, apiKey) {
+  switch (provider) {
+    case 'bank-of-israel':
+      // Bank of Israel official representative rates (SDMX-ML, latest observation per currency)
+      return API_PROVIDERS['bank-of-israel'].url;
+    case 'ecb':
+      // European Central Bank euro foreign exchange reference rates (published ~16:00 CET on TARGET days)
+      return ECB_URLS.daily;
+    case 'currencyapi':
+      // CurrencyAPI - good free tier
+      return 'https://api.currencyapi.com/v3/latest?base_currency=USD';
+    case 'exchangerates-api':
+      // Fast and reliable
+      return 'https://api.exchangerates.host/latest?base=USD';
+    case 'fixer':
+      if (!apiKey) {
+        throw new Error('API key required for Fixer.io');
+      }
+      return `https://api.fixer.io/latest?access_key=${apiKey}`;
+    case 'currencylayer':
+      if (!apiKey) {
+        throw new Error('API key required for CurrencyLayer');
+      }
+      return `https://api.currencylayer.com/live?access_key=${apiKey}`;
+    case 'openexchangerates':
+      if (!apiKey) {
+        throw new Error('API key required for Open Exchange Rates');
+      }
+      return `https://openexchangerates.org/api/latest.json?app_id=${apiKey}`;
+    case 'xe':
+      if (!apiKey) {
+        throw new Error('API key required for XE Currency');
+      }
+      return `https://api.xe.com/v1/convert_from.json/?from=USD&to=*&amount=1&key=${apiKey}`;
+    default: // exchangerate-api
+      return 'https://api.exchangerate-api.com/v4/latest/USD';
+  }
+}
+
+// Handle different API response formats - returns a USD-based rate table
+function parseProviderResponse(provider, data) {
+  switch (provider) {
+    case 'bank-of-israel':
+      // Parse Bank of Israel SDMX-ML (XML text, not JSON)
+      return parseBankOfIsraelData(data);
+    case 'ecb': {
+      // eurofxref XML, EUR-based
+      const [latest] = parseEcbXml(data);
+      if (!latest) {
+        throw new Error('ECB response has no reference rates');
+      }
+      return rebaseEcbRates(latest.rates);
+    }
+    case 'exchangerates-api':
+      // Standard format with rates object
+      return data.rates || {};
+    case 'currencyapi':
+      // CurrencyAPI format
+      return data.data || {};
+    case 'currencylayer': {
+      if (!data.success) {
+        throw new Error(data.error?.info || 'CurrencyLayer API error');
+      }
+      // Convert quotes format (USDUSD, USDEUR) to simple format
+      const convertedRates = {};
+      Object.keys(data.quotes || {}).forEach(key => {
+        const currency = key.substring(3); // Remove USD prefix
+        convertedRates[currency] = data.quotes[key];
       });
+      return convertedRates;
     }
+    case 'fixer':
+      if (!data.success) {
+        throw new Error(data.error?.info || 'Fixer.io API error');
+      }
+      return data.rates;
+    case 'openexchangerates':
+      return data.rates || {};
+    case 'xe':
+      // Parse XE format
+      return parseXEData(data);
+    default:
+      // ExchangeRate-API format
+      return data.rates || {};
+  }
+}
 
-    let apiUrl;
-    let headers = {};
-
-    // Choose API based on settings
-    switch (provider) {
-      case 'bank-of-israel':
-        // Use Bank of Israel rates for ILS accuracy
-        apiUrl = 'https://www.boi.org.il/currency.xml';
-        break;
-      case 'ecb':
-        // European Central Bank - reliable and free
-        apiUrl = 'https://api.exchangerate.host/latest?base=USD&source=ecb';
-        break;
-      case 'currencyapi':
-        // CurrencyAPI - good free tier
-        apiUrl = 'https://api.currencyapi.com/v3/latest?base_currency=USD';
-        break;
-      case 'exchangerates-api':
-        // Fast and reliable
-        apiUrl = 'https://api.exchangerates.host/latest?base=USD';
-        break;
-      case 'fixer':
-        if (!settings.apiKey) {
-          throw new Error('API key required for Fixer.io');
-        }
-        apiUrl = `https://api.fixer.io/latest?access_key=${settings.apiKey}`;
-        break;
-      case 'currencylayer':
-        if (!settings.apiKey) {
-          throw new Error('API key required for CurrencyLayer');
-        }
-        apiUrl = `https://api.currencylayer.com/live?access_key=${settings.apiKey}`;
-        break;
-      case 'openexchangerates':
-        if (!settings.apiKey) {
-          throw new Error('API key required for Open Exchange Rates');
-        }
-        apiUrl = `https://openexchangerates.org/api/latest.json?app_id=${settings.apiKey}`;
-        break;
-      case 'xe':
-        if (!settings.apiKey) {
-          throw new Error('API key required for XE Currency');
-        }
-        apiUrl = `https://api.xe.com/v1/convert_from.json/?from=USD&to=*&amount=1&key=${settings.apiKey}`;
-        break;
-      default: // exchangerate-api
-        apiUrl = 'https://api.exchangerate-api.com/v4/latest/USD';
-        break;
+// Official publication date (YYYY-MM-DD) for providers that publish one, otherwise null
+function getProviderPublishedAt(provider, data) {
+  switch (provider) {
+    case 'bank-of-israel':
+      return parseBankOfIsraelDate(data);
+    case 'ecb':
+      return parseEcbXml(data)[0]?.date || null;
+    default:
+      return null;
+  }
+}
+
+// Fetch and parse rates from a single provider -> { rates, invalid, publishedAt }
+// Throws on HTTP errors and on malformed/empty rate tables so the chain can move on
+async function fetchProviderRates(provider, apiKey) {
+  let data = null;
+  let parsed;
+
+  if (API_PROVIDERS[provider]?.format === 'custom') {
+    const { customProvider } = await chrome.storage.sync.get(['customProvider']);
+    parsed = await fetchCustomProviderRates({ ...customProvider, headers: apiKey }); // Key store 'custom' = header lines
+  } else {
+    data = await fetchProviderData(provider, buildProviderUrl(provider, apiKey));
+    parsed = parseProviderResponse(provider, data) || {};
+  }
+
+  // Keep only numeric, positive rates (some APIs mix in metadata objects)
+  // Zero/NaN/negative/null quotes are reported back so the sanity check can log them
+  const rates = {};
+  const invalid = [];
+  Object.entries(parsed).forEach(([code, value]) => {
+    const rate = typeof value === 'object' && value !== null ? value.value : value;
+    if (typeof rate === 'number' && rate > 0 && isFinite(rate)) {
+      rates[code] = rate;
+    } else if (typeof rate === 'number' || rate === null) {
+      invalid.push(code);
     }
+  });
 
-    const response = await fetch(apiUrl, { headers });
+  if (Object.keys(rates).length < MIN_VALID_RATE_COUNT) {
+    throw new Error(`Malformed response: only ${Object.keys(rates).length} usable rates`);
+  }
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  return { rates, invalid, publishedAt: getProviderPublishedAt(provider, data) };
+}
+
+// ============================================================================
+// 🔌 CUSTOM PROVIDER - self-hosted endpoint configured in options, no code change needed
+// ============================================================================
+// customProvider: { name, url, headers, format: 'json'|'csv', base, ratesPath, codeField, rateField, scale, inverted }
+//   url      - template, {base} and {date} (YYYY-MM-DD) are filled in
+//   headers  - one "Name: value" per line, kept in the local key store (lib/keystore.js), not in sync
+//   ratesPath - dot path to the rate map in JSON ("data.rates", "result[0].quotes"); empty = whole body
+//   codeField / rateField - for arrays of rows and CSV: key / column header (or 0-based column index)
+//   scale    - quotes are per `scale` units (100 for "JPY per 100")
+//   inverted - values are base currency per 1 unit (like Bank of Israel) instead of units per 1 base
+
+// Walk "data.rates" / "items[0].quotes" into a JSON body
+function getJsonPath(data, path) {
+  if (!path) return data;
+  return path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+    .reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+}
+
+// Delimiter of a CSV body: the more frequent of ; and , in the header line, quoted text aside
+function detectCsvDelimiter(text) {
+  const header = (text.split(/\r?\n/, 1)[0] || '').replace(/"[^"]*"/g, '');
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+}
+
+// CSV text -> rows of trimmed cells; quoted cells may hold the delimiter, "" and line breaks ("1,234.5", "Euro, EU")
+function splitCsvCells(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
     }
+  }
 
-    const data = await response.json();
+  if (quoted) {
+    throw new Error('Malformed CSV: a quoted cell is never closed');
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(Boolean));
+}
 
-    // Handle different API response formats
-    switch (provider) {
-      case 'bank-of-israel':
-        // Parse Bank of Israel SDMX format
-        exchangeRates = parseBankOfIsraelData(data);
-        break;
-      case 'ecb':
-      case 'exchangerates-api':
-        // Standard format with rates object
-        exchangeRates = data.rates || {};
-        break;
-      case 'currencyapi':
-        // CurrencyAPI format
-        exchangeRates = data.data || {};
-        break;
-      case 'currencylayer':
-        if (!data.success) {
-          throw new Error(data.error?.info || 'CurrencyLayer API error');
-        }
-        exchangeRates = data.quotes;
-        // Convert quotes format (USDUSD, USDEUR) to simple format
-        const convertedRates = {};
-        Object.keys(exchangeRates).forEach(key => {
-          const currency = key.substring(3); // Remove USD prefix
-          convertedRates[currency] = exchangeRates[key];
-        });
-        exchangeRates = convertedRates;
-        break;
-      case 'fixer':
-        if (!data.success) {
-          throw new Error(data.error?.info || 'Fixer.io API error');
-        }
-        exchangeRates = data.rates;
-        break;
-      case 'openexchangerates':
-        exchangeRates = data.rates || {};
-        break;
-      case 'xe':
-        // Parse XE format
-        exchangeRates = parseXEData(data);
-        break;
+// CSV reader (comma or semicolon, quoted cells) -> array of row objects keyed by header and index
+function parseCsvRows(text) {
+  const [header, ...lines] = splitCsvCells(text, detectCsvDelimiter(text));
+  if (!header) return [];
+
+  return lines.map(cells => {
+    const row = {};
+    cells.forEach((cell, index) => {
+      row[index] = cell;
+      if (header[index]) row[header[index]] = cell;
+    });
+    return row;
+  });
+}
+
+// Turn the configured response into a USD-based table
+function parseCustomProviderResponse(config, body) {
+  const source = config.format === 'csv' ? parseCsvRows(body) : getJsonPath(body, config.ratesPath);
+  if (!source || typeof source !== 'object') {
+    throw new Error(`Nothing found at "${config.ratesPath || '(root)'}"`);
+  }
+
+  // { EUR: 0.92, ... } or [{ code: 'EUR', rate: 0.92 }, ...]
+  const codeField = config.codeField || 'code';
+  const rateField = config.rateField || 'rate';
+  const entries = Array.isArray(source)
+    ? source.map(row => [row[codeField], row[rateField]])
+    : Object.entries(source);
+
+  const base = (config.base || 'USD').toUpperCase();
+  const scale = config.scale > 0 ? config.scale : 1;
+  const perBase = { [base]: 1 };
+
+  // Numbers written as text: "0,92" / "1,234.5" - semicolon CSV is a decimal-comma export ("1.234,5")
+  const conventions = { decimal: config.format === 'csv' && detectCsvDelimiter(body) === ';' ? ',' : '.' };
+  const { parseLocaleAmount } = self.NumberFormats;
+
+  entries.forEach(([code, raw]) => {
+    const value = typeof raw === 'string' ? parseLocaleAmount(raw, conventions) ?? NaN : raw;
+    if (typeof code !== 'string' || !/^[A-Za-z]{3,5}$/.test(code.trim())) return;
+    if (typeof value !== 'number' || (typeof raw === 'string' && isNaN(value))) return; // Metadata, not a rate
+    const quote = value / scale;
+    perBase[code.trim().toUpperCase()] = config.inverted ? 1 / quote : quote;
+  });
+
+  if (!perBase.USD) {
+    throw new Error(`No USD rate to rebase from ${base}`);
+  }
+
+  const rates = {};
+  Object.entries(perBase).forEach(([code, quote]) => {
+    rates[code] = quote / perBase.USD;
+  });
+  return rates;
+}
+
+// "Authorization: Bearer abc" lines -> headers object
+function parseHeaderLines(text) {
+  const headers = {};
+  (text || '').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+// Fetch + parse the custom endpoint (the host needs an optional permission granted from options)
+async function fetchCustomProviderRates(config) {
+  if (!config || !config.url) {
+    throw new Error('Custom provider is not configured');
+  }
+
+  const url = config.url
+    .replace(/\{base\}/g, encodeURIComponent((config.base || 'USD').toUpperCase()))
+    .replace(/\{date\}/g, getDayKey(Date.now()));
+  const origin = `${new URL(url).origin}/*`;
+  if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+    throw new Error(`No access to ${new URL(url).host} - run Test Connection in options to allow it`);
+  }
+
+  const response = await fetch(url, { headers: parseHeaderLines(config.headers) });
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const body = config.format === 'csv' ? await response.text() : await response.json();
+  return parseCustomProviderResponse(config, body);
+}
+
+// Build the ordered provider chain: primary provider first, then user fallbacks
+function buildProviderChain(primary, fallbacks) {
+  const chain = [primary, ...(Array.isArray(fallbacks) ? fallbacks : [])];
+  return chain.filter((provider, index) => provider && chain.indexOf(provider) === index);
+}
+
+// ⭐ Record per-provider health (last success, last error, latency) for the options page
+async function recordProviderHealth(provider, outcome) {
+  try {
+    const { providerHealth = {} } = await chrome.storage.local.get(['providerHealth']);
+    const entry = providerHealth[provider] || {};
+
+    entry.lastAttempt = Date.now();
+    entry.latency = outcome.latency;
+    if (outcome.error) {
+      entry.lastError = Date.now();
+      entry.lastErrorMessage = outcome.error;
+      entry.consecutiveFailures = (entry.consecutiveFailures || 0) + 1;
+    } else {
+      entry.lastSuccess = Date.now();
+      entry.rateCount = outcome.count;
+      entry.consecutiveFailures = 0;
+    }
+
+    providerHealth[provider] = entry;
+    await chrome.storage.local.set({ providerHealth });
+  } catch (error) {
+    logError('Failed to record provider health:', error);
+  }
+}
+
+// ============================================================================
+// 📊 API QUOTA - request budget for keyed providers (API_PROVIDERS[x].quota per month)
+// ============================================================================
+// providerQuota (local): { provider: { period: 'YYYY-MM', used, reportedRemaining, exhausted, lastMessage } }
+// Counts reset with the calendar month; apiQuotaLimit (sync) replaces the default for the main provider's plan.
+
+const QUOTA_LOW_SHARE = 0.1;         // "Low" once 10% or less of the budget is left
+const LOW_QUOTA_REFRESH_MINUTES = 60; // Minimum spacing between refreshes while low
+
+function getQuotaPeriod(timestamp) {
+  return getDayKey(timestamp).slice(0, 7);
+}
+
+async function getQuotaLimit(provider) {
+  const { apiProvider, apiQuotaLimit } = await chrome.storage.sync.get(['apiProvider', 'apiQuotaLimit']);
+  if (provider === apiProvider && apiQuotaLimit > 0) {
+    return apiQuotaLimit;
+  }
+  return API_PROVIDERS[provider]?.quota || null;
+}
+
+// { provider, period, used, limit, remaining, low, exhausted, lastMessage } or null for unmetered providers
+async function getQuotaStatus(provider) {
+  const limit = await getQuotaLimit(provider);
+  if (!limit) return null;
+
+  const period = getQuotaPeriod(Date.now());
+  const { providerQuota = {} } = await chrome.storage.local.get(['providerQuota']);
+  const entry = providerQuota[provider]?.period === period ? providerQuota[provider] : { used: 0 };
+
+  // Trust the provider's own count when it reports one
+  const remaining = typeof entry.reportedRemaining === 'number'
+    ? entry.reportedRemaining
+    : Math.max(0, limit - entry.used);
+
+  return {
+    provider,
+    period,
+    used: entry.used,
+    limit,
+    remaining,
+    low: remaining <= limit * QUOTA_LOW_SHARE,
+    exhausted: entry.exhausted === true || remaining === 0,
+    lastMessage: entry.lastMessage || null
+  };
+}
+
+// Count one request against the provider's budget
+async function recordQuotaUsage(provider, response, problem) {
+  try {
+    const period = getQuotaPeriod(Date.now());
+    const { providerQuota = {} } = await chrome.storage.local.get(['providerQuota']);
+    const entry = providerQuota[provider]?.period === period ? providerQuota[provider] : { period, used: 0 };
+
+    entry.used++;
+    const reported = parseInt(response.headers.get('x-ratelimit-remaining-month') ?? response.headers.get('x-ratelimit-remaining'), 10);
+    if (!isNaN(reported)) {
+      entry.reportedRemaining = reported;
+    }
+    if (problem?.quotaExhausted) {
+      entry.exhausted = true;
+    }
+    entry.lastMessage = problem ? problem.message : null;
+
+    providerQuota[provider] = entry;
+    await chrome.storage.local.set({ providerQuota });
+  } catch (error) {
+    logError('Failed to record API quota usage:', error);
+  }
+}
+
+// Provider error bodies -> { message, quotaExhausted } (null when the response is fine)
+function describeProviderError(provider, status, data) {
+  const name = API_PROVIDERS[provider]?.name || provider;
+  const error = data && typeof data === 'object' ? data.error : null;
+
+  // Fixer / CurrencyLayer (apilayer): HTTP 200 with { success: false, error: { code, type, info } }
+  if (data && data.success === false && error) {
+    switch (error.code) {
+      case 101:
+        return { message: `${name}: API key is missing or invalid` };
+      case 104:
+        return { message: `${name}: monthly request quota reached`, quotaExhausted: true };
+      case 102:
+        return { message: `${name}: account is inactive` };
+      case 103:
+      case 105:
+        return { message: `${name}: this request is not included in your plan` };
       default:
-        // ExchangeRate-API format
-        exchangeRates = data.rates || {};
-        break;
+        return { message: `${name}: ${error.info || error.type || 'API error'}` };
     }
+  }
 
-    exchangeRates['USD'] = 1; // Ensure USD is included as base
+  // Open Exchange Rates: { error: true, status, message: 'invalid_app_id' | 'not_allowed' | 'access_restricted', description }
+  if (provider === 'openexchangerates' && data && data.error === true) {
+    switch (data.message) {
+      case 'missing_app_id':
+      case 'invalid_app_id':
+        return { message: `${name}: App ID is missing or invalid` };
+      case 'access_restricted':
+      case 'too_many_requests':
+        return { message: `${name}: monthly request quota reached`, quotaExhausted: true };
+      case 'not_allowed':
+        return { message: `${name}: this request is not included in your plan` };
+      default:
+        return { message: `${name}: ${data.description || data.message || 'API error'}` };
+    }
+  }
 
-    // Fetch cryptocurrency rates (BTC, ETH, etc.) from CoinGecko
+  if (status === 429) {
+    return { message: `${name}: too many requests (rate limited)`, quotaExhausted: Boolean(API_PROVIDERS[provider]?.quota) };
+  }
+  if (status === 401 || status === 403) {
+    return { message: `${name}: access denied (${status}) - check your API key` };
+  }
+  return null;
+}
+
+// fetch() for built-in providers: skips exhausted budgets, counts metered requests, readable errors
+async function fetchProviderData(provider, url) {
+  const metered = await getQuotaStatus(provider);
+  if (metered && metered.exhausted) {
+    throw new Error(`${API_PROVIDERS[provider].name}: request quota used up for ${metered.period}`);
+  }
+
+  const response = await fetch(url);
+  let data = null;
+  if (API_PROVIDERS[provider]?.format === 'xml') {
+    data = await response.text();
+  } else if (response.ok) {
+    data = await response.json();
+  } else {
+    data = await response.json().catch(() => null); // Error bodies aren't always JSON
+  }
+
+  const problem = describeProviderError(provider, response.status, data);
+  if (metered) {
+    await recordQuotaUsage(provider, response, problem);
+  }
+  if (problem) {
+    throw new Error(problem.message);
+  }
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  }
+  return data;
+}
+
+// ============================================================================
+// 📈 RATE HISTORY - one snapshot per day, kept for RATE_HISTORY_DAYS
+// ============================================================================
+
+const RATE_HISTORY_DAYS = 90; // Longest trend window shown in the popup
+
+// Local calendar day key (YYYY-MM-DD) for a timestamp
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Store today's rate table (later refreshes on the same day overwrite it) and prune old days
+async function recordRateSnapshot(rates, provider, timestamp) {
+  try {
+    const { rateHistory = {} } = await chrome.storage.local.get(['rateHistory']);
+    rateHistory[getDayKey(timestamp)] = { timestamp, provider, rates };
+
+    const cutoff = getDayKey(timestamp - RATE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    Object.keys(rateHistory).forEach(day => {
+      if (day < cutoff) delete rateHistory[day];
+    });
+
+    await chrome.storage.local.set({ rateHistory });
+    log(`📈 Rate snapshot stored for ${getDayKey(timestamp)} (${Object.keys(rateHistory).length} days kept)`);
+  } catch (error) {
+    logError('Failed to store rate snapshot:', error);
+  }
+}
+
+// Backfill missing days from the ECB 90-day file (trends, alerts and historical lookups work right away)
+// Only runs while stored history doesn't reach back ECB_SEED_COVERAGE_DAYS yet
+const ECB_SEED_COVERAGE_DAYS = 80;
+
+async function seedHistoryFromEcb() {
+  try {
+    const { rateHistory = {} } = await chrome.storage.local.get(['rateHistory']);
+    const oldest = Object.keys(rateHistory).sort()[0];
+    if (oldest && oldest <= getDayKey(Date.now() - ECB_SEED_COVERAGE_DAYS * 24 * 60 * 60 * 1000)) return;
+
+    const days = await fetchEcbDays(ECB_URLS.last90Days);
+    const cutoff = getDayKey(Date.now() - RATE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    let added = 0;
+
+    days.forEach(day => {
+      if (day.date < cutoff || rateHistory[day.date]) return; // Never overwrite our own snapshots
+      rateHistory[day.date] = {
+        timestamp: new Date(`${day.date}T12:00:00`).getTime(),
+        provider: 'ecb',
+        rates: rebaseEcbRates(day.rates)
+      };
+      added++;
+    });
+
+    await chrome.storage.local.set({ rateHistory });
+    log(`📈 Seeded ${added} days of rate history from the ECB 90-day file`);
+  } catch (error) {
+    logWarn('⚠️ Failed to seed rate history from ECB:', error.message);
+  }
+}
+
+// Build a pair time series [{ date, timestamp, rate }] for the last N days
+async function getRateHistory(fromCurrency, toCurrency, days) {
+  const { rateHistory = {} } = await chrome.storage.local.get(['rateHistory']);
+  const cutoff = getDayKey(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return Object.keys(rateHistory)
+    .filter(day => day >= cutoff)
+    .sort()
+    .map(day => {
+      const snapshot = rateHistory[day];
+      const from = snapshot.rates[fromCurrency];
+      const to = snapshot.rates[toCurrency];
+      return from && to ? { date: day, timestamp: snapshot.timestamp, rate: to / from } : null;
+    })
+    .filter(point => point !== null);
+}
+
+// ============================================================================
+// 🛡️ RATE SANITY - judge every new table against the last accepted snapshot
+// ============================================================================
+
+// A provider that drops any of these is sending a broken table
+const MAJOR_CURRENCIES = ['EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD'];
+const DEFAULT_MAX_RATE_JUMP_PERCENT = 20;
+// Two sources (or two responses) within this distance count as agreeing
+const RATE_AGREEMENT_PERCENT = 2;
+// More anomalies than this share of known currencies means wrong base/units - reject the whole table
+const MAX_QUARANTINED_SHARE = 0.25;
+// A quarantined value is accepted once the provider repeats it this many times in a row (real devaluations)
+const QUARANTINE_CONFIRMATIONS = 3;
+// Snapshots older than this are too stale to judge a jump against
+const SANITY_SNAPSHOT_MAX_AGE_DAYS = 7;
+const RATE_SANITY_LOG_LIMIT = 20;
+
+function getRateChangePercent(previous, received) {
+  return Math.abs(received - previous) / previous * 100;
+}
+
+// 'inverted' | 'jump' | null for one currency
+function getRateAnomaly(previous, received, maxJumpPercent) {
+  if (!(maxJumpPercent > 0) || getRateChangePercent(previous, received) <= maxJumpPercent) {
+    return null;
+  }
+  // 1/x of the old value: the provider flipped the quote direction
+  if (Math.abs(received * previous - 1) < RATE_AGREEMENT_PERCENT / 100) {
+    return 'inverted';
+  }
+  return 'jump';
+}
+
+/**
+ * Decide which currencies of a fresh table can be trusted
+ * @param {Object} received - USD-based table from the provider
+ * @param {string[]} invalid - Codes the provider sent as zero/NaN/null
+ * @param {Object|null} previous - Last accepted snapshot
+ * @param {Object|null} reference - Table from the cross-check provider, if fetched
+ * @param {number} maxJumpPercent - 0 disables the jump check
+ * @param {Object} pending - Quarantine state { CODE: { received, count } }
+ * @returns {{ rates: Object, quarantined: Array, pending: Object, rejected: string|null }}
+ */
+function validateRateTable(received, invalid, previous, reference, maxJumpPercent, pending) {
+  const missingMajors = MAJOR_CURRENCIES.filter(code => !received[code]);
+  if (missingMajors.length > 0) {
+    return { rates: {}, quarantined: [], pending, rejected: `missing major currencies ${missingMajors.join(', ')}` };
+  }
+
+  const rates = { ...received };
+  const nextPending = {};
+  const quarantined = invalid
+    .filter(code => code !== 'USD')
+    .map(code => ({ code, reason: 'invalid', previous: previous?.[code] ?? null, received: null }));
+
+  Object.entries(received).forEach(([code, rate]) => {
+    const baseline = previous?.[code] || reference?.[code];
+    const reason = baseline ? getRateAnomaly(baseline, rate, maxJumpPercent) : null;
+    if (!reason) return;
+
+    // The second provider sees the same move - the market really moved
+    if (previous?.[code] && reference?.[code] && getRateChangePercent(reference[code], rate) <= RATE_AGREEMENT_PERCENT) {
+      log(`🛡️ ${code} moved ${getRateChangePercent(previous[code], rate).toFixed(1)}% - confirmed by cross-check provider`);
+      return;
+    }
+
+    // Same "anomaly" several responses in a row - accept it
+    const seen = pending[code];
+    const count = seen && getRateChangePercent(seen.received, rate) <= RATE_AGREEMENT_PERCENT ? seen.count + 1 : 1;
+    if (count >= QUARANTINE_CONFIRMATIONS) {
+      log(`🛡️ ${code} accepted after ${count} consistent responses: ${baseline} → ${rate}`);
+      return;
+    }
+
+    nextPending[code] = { received: rate, count };
+    quarantined.push({ code, reason, previous: previous?.[code] ?? null, received: rate });
+  });
+
+  // Quarantined currencies keep their last accepted value (or drop out if they never had one)
+  quarantined.forEach(({ code }) => {
+    if (previous?.[code]) {
+      rates[code] = previous[code];
+    } else {
+      delete rates[code];
+    }
+  });
+
+  const anomalies = quarantined.filter(entry => entry.reason !== 'invalid');
+  const knownCount = previous ? Object.keys(received).filter(code => previous[code]).length : 0;
+  let rejected = null;
+  if (anomalies.some(entry => MAJOR_CURRENCIES.includes(entry.code))) {
+    rejected = `major currency out of range (${anomalies.filter(entry => MAJOR_CURRENCIES.includes(entry.code)).map(entry => entry.code).join(', ')})`;
+  } else if (knownCount > 0 && anomalies.length / knownCount > MAX_QUARANTINED_SHARE) {
+    rejected = `${anomalies.length} of ${knownCount} currencies moved more than ${maxJumpPercent}%`;
+  }
+
+  return { rates, quarantined, pending: nextPending, rejected };
+}
+
+// Last accepted table (today's snapshot is overwritten on every accepted refresh)
+async function getSanitySnapshot() {
+  const { rateHistory = {} } = await chrome.storage.local.get(['rateHistory']);
+  const latest = Object.keys(rateHistory).sort().pop();
+  if (!latest) return null;
+
+  const snapshot = rateHistory[latest];
+  if (Date.now() - snapshot.timestamp > SANITY_SNAPSHOT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    log(`🛡️ Last snapshot (${latest}) is too old for jump checks`);
+    return null;
+  }
+  return snapshot.rates;
+}
+
+// Keep the last few non-clean decisions for Settings → Advanced
+async function recordSanityDecision(entry) {
+  try {
+    const { rateSanityLog = [] } = await chrome.storage.local.get(['rateSanityLog']);
+    rateSanityLog.unshift({ timestamp: Date.now(), ...entry });
+    await chrome.storage.local.set({ rateSanityLog: rateSanityLog.slice(0, RATE_SANITY_LOG_LIMIT) });
+  } catch (error) {
+    logError('Failed to record rate sanity decision:', error);
+  }
+}
+
+// Run the sanity check for one provider's table, fetching the cross-check provider only when something looks off
+async function checkRateTable(provider, received, invalid) {
+  const settings = await chrome.storage.sync.get(['maxRateJumpPercent', 'crossCheckProvider']);
+  const maxJumpPercent = typeof settings.maxRateJumpPercent === 'number' ? settings.maxRateJumpPercent : DEFAULT_MAX_RATE_JUMP_PERCENT;
+  const previous = await getSanitySnapshot();
+
+  // Confirmations are counted per provider ({ provider: { CODE: { received, count } } }) - during failover
+  // the next provider's check must not wipe the counts of the one it replaced
+  const { rateQuarantine = {} } = await chrome.storage.local.get(['rateQuarantine']);
+  const pending = rateQuarantine[provider] || {};
+
+  let result = validateRateTable(received, invalid, previous, null, maxJumpPercent, pending);
+
+  const crossCheck = settings.crossCheckProvider;
+  if (crossCheck && crossCheck !== provider && result.quarantined.some(entry => entry.reason !== 'invalid')) {
     try {
-      const cryptoRates = await fetchCryptoRates();
-      // Merge crypto rates with fiat rates
-      Object.assign(exchangeRates, cryptoRates);
-      log('✅ Successfully added cryptocurrency rates:', Object.keys(cryptoRates).join(', '));
-    } catch (cryptoError) {
-      logWarn('⚠️ Failed to fetch crypto rates:', cryptoError.message);
-      // Continue with fiat rates only
+      log(`🛡️ Cross-checking ${provider} against ${crossCheck}...`);
+      const { rates: reference } = await fetchProviderRates(crossCheck, await self.ApiKeyStore.getApiKey(crossCheck));
+      result = validateRateTable(received, invalid, previous, reference, maxJumpPercent, pending);
+    } catch (error) {
+      logWarn(`⚠️ Cross-check provider ${crossCheck} failed:`, error.message);
     }
+  }
 
-    lastUpdateTime = now;
+  await chrome.storage.local.set({ rateQuarantine: { ...rateQuarantine, [provider]: result.pending } });
 
-    // Format last update time
-    const updateDate = new Date(now);
-    const formattedTime = updateDate.toLocaleString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+  if (result.rejected) {
+    logWarn(`🛡️ Rejected rates from ${provider}: ${result.rejected}`);
+    await recordSanityDecision({ provider, decision: 'rejected', reason: result.rejected, quarantined: result.quarantined });
+  } else if (result.quarantined.length > 0) {
+    result.quarantined.forEach(entry => {
+      logWarn(`🛡️ Quarantined ${entry.code} from ${provider} (${entry.reason}): ${entry.previous ?? '—'} → ${entry.received ?? '—'}`);
     });
+    await recordSanityDecision({ provider, decision: 'quarantined', quarantined: result.quarantined });
+  }
+
+  return result;
+}
+
+// ============================================================================
+// 🗓️ HISTORICAL RATES - rate table for a past date, cached per date
+// ============================================================================
+
+// Providers with a historical endpoint (ECB is free, the others need an API key)
+const HISTORICAL_PROVIDERS = ['fixer', 'openexchangerates', 'currencylayer', 'ecb'];
+const HISTORICAL_CACHE_LIMIT = 60; // Dates kept in local storage
+
+function buildHistoricalUrl(provider, apiKey, date) {
+  switch (provider) {
+    case 'fixer':
+      return `https://api.fixer.io/${date}?access_key=${apiKey}`;
+    case 'openexchangerates':
+      return `https://openexchangerates.org/api/historical/${date}.json?app_id=${apiKey}`;
+    case 'currencylayer':
+      return `https://api.currencylayer.com/historical?access_key=${apiKey}&date=${date}`;
+    default:
+      throw new Error(`${provider} has no historical endpoint`);
+  }
+}
+
+// Fetch one date's table -> { date, rates } (date may be an earlier business day for ECB)
+async function fetchHistoricalTable(provider, apiKey, date) {
+  if (provider === 'ecb') {
+    return fetchEcbRatesForDate(date);
+  }
+
+  const data = await fetchProviderData(provider, buildHistoricalUrl(provider, apiKey, date));
+  return { date, rates: parseProviderResponse(provider, data) || {} };
+}
+
+// Closest stored daily snapshot to a date (used when no provider can answer)
+function findNearestSnapshot(rateHistory, date) {
+  const target = new Date(`${date}T00:00:00`).getTime();
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  Object.keys(rateHistory).forEach(day => {
+    const distance = Math.abs(new Date(`${day}T00:00:00`).getTime() - target);
+    if (distance < nearestDistance) {
+      nearest = day;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+// Resolve the rate table for a YYYY-MM-DD date
+// Returns { date, requestedDate, rates, provider, source: 'live' | 'cache' | 'provider' | 'snapshot' }
+async function getHistoricalRates(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    throw new Error('Invalid date (expected YYYY-MM-DD)');
+  }
+
+  await ratesRestored;
+  const today = getDayKey(Date.now());
+  if (date > today) {
+    throw new Error('Date is in the future');
+  }
+  if (date === today && Object.keys(exchangeRates).length > 0) {
+    const { rateProvider } = await chrome.storage.local.get(['rateProvider']);
+    return { date, requestedDate: date, rates: exchangeRates, provider: rateProvider, source: 'live' };
+  }
+
+  const { historicalRates = {}, rateHistory = {} } = await chrome.storage.local.get(['historicalRates', 'rateHistory']);
+  if (historicalRates[date]) {
+    const cached = historicalRates[date];
+    return { date: cached.date || date, requestedDate: date, rates: cached.rates, provider: cached.provider, source: 'cache' };
+  }
+
+  // Keyed providers from the user's chain first, ECB (free) as the last resort
+  const settings = await chrome.storage.sync.get(['apiProvider', 'providerChain', 'offlineMode']);
+  const apiKeys = (await self.ApiKeyStore.getApiKeys()) || {}; // Locked store = no keyed providers
+  const chain = buildProviderChain(settings.apiProvider, settings.providerChain || DEFAULT_PROVIDER_CHAIN)
+    .filter(provider => HISTORICAL_PROVIDERS.includes(provider))
+    .filter(provider => !API_PROVIDERS[provider].requiresKey || apiKeys[provider]);
+  const candidates = settings.offlineMode ? [] : buildProviderChain(chain[0], [...chain.slice(1), 'ecb']);
+
+  for (const provider of candidates) {
+    try {
+      log(`🗓️ Fetching ${date} rates from ${API_PROVIDERS[provider].name}...`);
+      const table = await fetchHistoricalTable(provider, apiKeys[provider], date);
+      const rates = table.rates;
+      if (Object.keys(rates).length < MIN_VALID_RATE_COUNT) {
+        throw new Error('Malformed historical response');
+      }
+
+      historicalRates[date] = { date: table.date, rates, provider, fetchedAt: Date.now() };
+
+      // Keep the most recently fetched dates only
+      const dates = Object.keys(historicalRates)
+        .sort((a, b) => historicalRates[b].fetchedAt - historicalRates[a].fetchedAt);
+      dates.slice(HISTORICAL_CACHE_LIMIT).forEach(day => delete historicalRates[day]);
+
+      await chrome.storage.local.set({ historicalRates });
+      return { date: table.date, requestedDate: date, rates, provider, source: 'provider' };
+    } catch (error) {
+      logWarn(`⚠️ Historical rates from ${provider} failed:`, error.message);
+    }
+  }
+
+  // Offline, no key, or every provider failed - use our own daily snapshots
+  const nearest = findNearestSnapshot(rateHistory, date);
+  if (!nearest) {
+    throw new Error(settings.offlineMode
+      ? 'Offline mode: no stored rate snapshots yet'
+      : 'Historical rates unavailable and no stored snapshots yet');
+  }
+
+  const snapshot = rateHistory[nearest];
+  return { date: nearest, requestedDate: date, rates: snapshot.rates, provider: snapshot.provider, source: 'snapshot' };
+}
+
+// ============================================================================
+// 🔔 RATE ALERTS - rules live in sync storage (exported with settings)
+// ============================================================================
+
+// Rate for 1 unit of `from` expressed in `to`
+function getPairRate(rates, fromCurrency, toCurrency) {
+  if (!rates || !rates[fromCurrency] || !rates[toCurrency]) return null;
+  return rates[toCurrency] / rates[fromCurrency];
+}
+
+// Evaluate every enabled rule against the fresh rate table
+// Threshold rules fire when the pair crosses the line (not on every refresh above it);
+// change rules compare with yesterday's snapshot and fire at most once per day.
+async function evaluateRateAlerts() {
+  try {
+    const { rateAlerts, rateAlertRules = [] } = await chrome.storage.sync.get(['rateAlerts', 'rateAlertRules']);
+    if (!rateAlerts || rateAlertRules.length === 0) return;
+
+    const { rateAlertState = {}, rateHistory = {} } = await chrome.storage.local.get(['rateAlertState', 'rateHistory']);
+    const now = Date.now();
+    const today = getDayKey(now);
+    const yesterday = rateHistory[getDayKey(now - 24 * 60 * 60 * 1000)];
+
+    for (const rule of rateAlertRules) {
+      if (rule.enabled === false) continue;
+
+      const rate = getPairRate(exchangeRates, rule.from, rule.to);
+      if (!rate) continue;
+
+      const state = rateAlertState[rule.id] || {};
+      let triggered = false;
+      let message = '';
+
+      if (rule.type === 'above' || rule.type === 'below') {
+        const satisfied = rule.type === 'above' ? rate > rule.value : rate < rule.value;
+        triggered = satisfied && !state.satisfied;
+        state.satisfied = satisfied;
+        message = `1 ${rule.from} = ${rate.toFixed(4)} ${rule.to} (${rule.type} ${rule.value})`;
+      } else if (rule.type === 'change') {
+        const previous = yesterday ? getPairRate(yesterday.rates, rule.from, rule.to) : null;
+        if (previous) {
+          const change = ((rate - previous) / previous) * 100;
+          triggered = Math.abs(change) >= rule.value && state.lastFiredDay !== today;
+          message = `${rule.from}/${rule.to} moved ${change >= 0 ? '+' : ''}${change.toFixed(2)}% since yesterday (1 ${rule.from} = ${rate.toFixed(4)} ${rule.to})`;
+        }
+      }
+
+      if (triggered) {
+        state.lastFired = now;
+        state.lastFiredDay = today;
+        chrome.notifications.create(`rateAlert:${rule.from}:${rule.to}:${rule.id}:${now}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon-128.png',
+          title: `💱 Rate alert: ${rule.from}/${rule.to}`,
+          message
+        });
+        log('🔔 Rate alert fired:', message);
+      }
 
-    // Cache rates with metadata
+      rateAlertState[rule.id] = state;
+    }
+
+    // Drop state left behind by deleted or edited rules
+    const ruleIds = new Set(rateAlertRules.map(rule => rule.id));
+    const activeState = Object.fromEntries(Object.entries(rateAlertState).filter(([id]) => ruleIds.has(id)));
+    await chrome.storage.local.set({ rateAlertState: activeState });
+  } catch (error) {
+    logError('Failed to evaluate rate alerts:', error);
+  }
+}
+
+// Notification click - open the popup pre-filled with the alert's pair
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith('rateAlert:')) return;
+
+  const [, from, to] = notificationId.split(':');
+  chrome.notifications.clear(notificationId);
+  await chrome.storage.local.set({ pendingAlertPair: { from, to, timestamp: Date.now() } });
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // openPopup needs a focused window (and a recent Chrome) - fall back to a tab
+    chrome.tabs.create({ url: chrome.runtime.getURL('pages/popup/popup.html') });
+  }
+});
+
+// ============================================================================
+// ✈️ OFFLINE MODE - bundled baseline snapshot, no network calls at all
+// ============================================================================
+
+const BASELINE_RATES_PATH = 'data/baseline-rates.json';
+let baselineRates = null; // Parsed bundled file (loaded on first use)
+
+async function loadBaselineRates() {
+  if (!baselineRates) {
+    const response = await fetch(chrome.runtime.getURL(BASELINE_RATES_PATH));
+    baselineRates = await response.json();
+  }
+  return baselineRates;
+}
+
+async function isOfflineMode() {
+  const { offlineMode } = await chrome.storage.sync.get(['offlineMode']);
+  return offlineMode === true;
+}
+
+// Switch the in-memory table to the bundled snapshot (not cached - the next successful fetch replaces it)
+async function useBaselineRates() {
+  const baseline = await loadBaselineRates();
+  exchangeRates = { ...baseline.rates };
+  lastUpdateTime = 0;
+  ratesFromBaseline = baseline.date;
+  log(`📦 Using bundled baseline rates from ${baseline.date}`);
+}
+
+// Provenance shown next to conversions: offline/bundled flags, provider, fetch time and publication date
+async function getRateStatus() {
+  const baseline = ratesFromBaseline !== null;
+  const { rateProvider, ratesPublishedAt } = await chrome.storage.local.get(['rateProvider', 'ratesPublishedAt']);
+  let providerName = API_PROVIDERS[rateProvider]?.name || null;
+  if (rateProvider === 'custom') {
+    const { customProvider } = await chrome.storage.sync.get(['customProvider']);
+    providerName = customProvider?.name || providerName;
+  }
+
+  return {
+    offline: await isOfflineMode(),
+    baseline,
+    asOf: ratesFromBaseline || (lastUpdateTime ? getDayKey(lastUpdateTime) : null),
+    provider: baseline ? null : rateProvider || null,
+    providerName: baseline ? 'Bundled rates' : providerName,
+    // Bundled rates are as old as the snapshot date, not the moment they were loaded
+    updatedAt: baseline ? new Date(`${ratesFromBaseline}T12:00:00`).getTime() : lastUpdateTime || null,
+    publishedAt: baseline ? ratesFromBaseline : ratesPublishedAt || null
+  };
+}
+
+// Update exchange rates
+async function updateExchangeRates(forceUpdate = false) {
+  await ratesRestored;
+
+  // ✈️ Offline: never touch API_PROVIDERS or CoinGecko - keep the cached table (or the bundled one)
+  if (await isOfflineMode()) {
+    if (Object.keys(exchangeRates).length === 0) {
+      await useBaselineRates();
+    }
+    return { success: true, cached: true, offline: true };
+  }
+
+  const now = Date.now();
+  const updateInterval = (await getUpdateIntervalMinutes()) * 60 * 1000;
+  if (!forceUpdate && now - lastUpdateTime < updateInterval && Object.keys(exchangeRates).length > 0) {
+    return { success: true, cached: true };
+  }
+
+  // Get user settings
+  const settings = await chrome.storage.sync.get(['apiProvider', 'providerChain']);
+  const primary = settings.apiProvider || 'exchangerate-api';
+
+  // 🔐 Per-provider keys from the local store (null while the encrypted store is locked)
+  const storedKeys = await self.ApiKeyStore.getApiKeys();
+  const apiKeys = storedKeys || {};
+
+  // Check if API requires key but none provided - warn and let the chain skip it
+  const primaryInfo = API_PROVIDERS[primary];
+  if (primaryInfo && primaryInfo.requiresKey && !apiKeys[primary]) {
+    logWarn(`⚠️ ${primaryInfo.name} requires an API key. Falling back to next provider.`);
+
+    // Store the fallback info for user notification
     await chrome.storage.local.set({
-      exchangeRates: exchangeRates,
-      lastUpdate: now,
-      lastUpdateFormatted: formattedTime,
-      rateProvider: provider,
-      rateCount: Object.keys(exchangeRates).length
+      apiKeyWarning: {
+        provider: primary,
+        message: storedKeys
+          ? `${primaryInfo.name} requires an API key. Using free API instead.`
+          : `API keys are locked. Enter your passphrase in settings to use ${primaryInfo.name}. Using free API instead.`,
+        guide: primaryInfo.guide,
+        signupUrl: primaryInfo.signupUrl,
+        timestamp: now
+      }
     });
+  }
 
-    log(`✅ Updated ${Object.keys(exchangeRates).length} exchange rates from ${provider} at ${formattedTime}`);
-    return {
-      success: true,
-      provider,
-      count: Object.keys(exchangeRates).length,
-      lastUpdate: formattedTime
-    };
+  // Skip keyed providers without a key; always keep the free API as the last resort
+  let chain = buildProviderChain(primary, settings.providerChain || DEFAULT_PROVIDER_CHAIN)
+    .filter(provider => !(API_PROVIDERS[provider]?.requiresKey && !apiKeys[provider]));
+  if (chain.length === 0) {
+    chain = ['exchangerate-api'];
+  }
 
-  } catch (error) {
-    logError('Failed to update exchange rates:', error);
+  // 📊 Close to the primary's quota: forced refreshes (popup, Test Connection) can't bypass the cadence
+  if (forceUpdate && Object.keys(exchangeRates).length > 0) {
+    const quota = await getQuotaStatus(chain[0]);
+    if (quota && quota.low && now - lastUpdateTime < LOW_QUOTA_REFRESH_MINUTES * 60 * 1000) {
+      logWarn(`📊 ${API_PROVIDERS[chain[0]].name}: ${quota.remaining} of ${quota.limit} requests left - forced refresh throttled`);
+      return { success: true, cached: true, throttled: true, quota };
+    }
+  }
+
+  const attempts = [];
+  let provider = null;
+  let fiatRates = null;
+  let publishedAt = null;
+
+  // 🔗 FAILOVER: Try each provider in order until one returns a sane rate table
+  for (const candidate of chain) {
+    const started = Date.now();
+    try {
+      const fetched = await fetchProviderRates(candidate, apiKeys[candidate]);
+      const check = await checkRateTable(candidate, fetched.rates, fetched.invalid);
+      if (check.rejected) {
+        throw new Error(`Rejected by sanity check: ${check.rejected}`);
+      }
+
+      fiatRates = check.rates;
+      publishedAt = fetched.publishedAt;
+      provider = candidate;
+      await recordProviderHealth(candidate, {
+        latency: Date.now() - started,
+        count: Object.keys(fiatRates).length
+      });
+      break;
+    } catch (error) {
+      logWarn(`⚠️ Provider ${candidate} failed:`, error.message);
+      attempts.push({ provider: candidate, error: error.message });
+      await recordProviderHealth(candidate, {
+        latency: Date.now() - started,
+        error: error.message
+      });
+    }
+  }
+
+  if (!fiatRates) {
+    const error = new Error(attempts.map(a => `${a.provider}: ${a.error}`).join('; '));
+    logError('Failed to update exchange rates from all providers:', error);
 
     // Try to load cached rates as fallback
     try {
@@ -733,40 +1919,109 @@ async function updateExchangeRates(forceUpdate = false) {
       if (cached.exchangeRates && Object.keys(cached.exchangeRates).length > 0) {
         exchangeRates = cached.exchangeRates;
         lastUpdateTime = cached.lastUpdate || 0;
+        ratesFromBaseline = null;
 
         log(`Loaded cached rates from ${cached.rateProvider || 'unknown provider'}`);
-        return { success: false, error: error.message, cached: true };
+        return { success: false, error: error.message, attempts, cached: true };
       }
     } catch (cacheError) {
       logError('Failed to load cached rates:', cacheError);
     }
 
-    return { success: false, error: error.message, cached: false };
+    // Never leave conversions without rates - fall back to the bundled snapshot
+    await useBaselineRates();
+    return { success: false, error: error.message, attempts, cached: false, baseline: true };
+  }
+
+  if (attempts.length > 0) {
+    log(`🔗 Failover: using ${provider} after ${attempts.length} failed provider(s)`);
   }
+
+  exchangeRates = fiatRates;
+  exchangeRates['USD'] = 1; // Ensure USD is included as base
+  ratesFromBaseline = null;
+
+  // Crypto has its own alarm - only fetch here when nothing is cached yet
+  if (Object.keys(cryptoRates).length === 0) {
+    try {
+      cryptoRates = await fetchCryptoRates();
+      await chrome.storage.local.set({ cryptoRates, cryptoUpdatedAt: Date.now() });
+    } catch (cryptoError) {
+      logWarn('⚠️ Failed to fetch crypto rates:', cryptoError.message);
+      // Continue with fiat rates only
+    }
+  }
+  Object.assign(exchangeRates, cryptoRates);
+
+  lastUpdateTime = now;
+
+  // Format last update time
+  const updateDate = new Date(now);
+  const formattedTime = updateDate.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  // Cache rates with metadata
+  await chrome.storage.local.set({
+    exchangeRates: exchangeRates,
+    lastUpdate: now,
+    lastUpdateFormatted: formattedTime,
+    rateProvider: provider,
+    rateCount: Object.keys(exchangeRates).length,
+    ratesPublishedAt: publishedAt
+  });
+
+  // File the snapshot under the day the provider published it (e.g. BOI's previous business day)
+  const snapshotTime = publishedAt ? new Date(`${publishedAt}T12:00:00`).getTime() : now;
+  await recordRateSnapshot(exchangeRates, provider, snapshotTime);
+  if (provider === 'ecb') {
+    await seedHistoryFromEcb();
+  }
+  await evaluateRateAlerts();
+
+  log(`✅ Updated ${Object.keys(exchangeRates).length} exchange rates from ${provider} at ${formattedTime}`);
+  return {
+    success: true,
+    provider,
+    failover: attempts.length > 0,
+    attempts,
+    count: Object.keys(exchangeRates).length,
+    lastUpdate: formattedTime
+  };
 }
 
 // Convert between currencies
-function convertCurrency(amount, fromCurrency, toCurrency) {
+// Pass a payment profile to get the charged amount (markup + fixed fee) instead of mid-market
+function convertCurrency(amount, fromCurrency, toCurrency, paymentProfile = null) {
   // Validate inputs
   if (!amount || isNaN(amount) || amount <= 0) {
     return null;
   }
 
-  if (!fromCurrency || !toCurrency ||
-      !exchangeRates[fromCurrency] || !exchangeRates[toCurrency]) {
+  // 📌 Pinned pair/currency rates win over the provider table
+  const effective = fromCurrency && toCurrency
+    ? self.RateOverrides.getEffectiveRate(exchangeRates, rateOverrides, fromCurrency, toCurrency)
+    : null;
+  if (!effective) {
     return null;
   }
 
   try {
-    // Convert to USD first, then to target currency
-    const usdAmount = amount / exchangeRates[fromCurrency];
-    const result = usdAmount * exchangeRates[toCurrency];
+    const result = amount * effective.rate;
 
     // Validate result
     if (isNaN(result) || !isFinite(result)) {
       return null;
     }
 
+    if (paymentProfile) {
+      const paid = self.PaymentFees.applyPaymentFees(result, toCurrency, paymentProfile, exchangeRates);
+      return paid ? paid.amount : null;
+    }
+
     return result;
   } catch (error) {
     logError('Currency conversion error:', error);
@@ -775,21 +2030,158 @@ function convertCurrency(amount, fromCurrency, toCurrency) {
 }
 
 // Parser functions for different API formats
-function parseBankOfIsraelData(data) {
-  // Simplified Bank of Israel parser - would need actual API structure
-  const rates = { USD: 1, ILS: 3.71 }; // Fallback rates
-  try {
-    // Parse SDMX format if available
-    if (data.dataSets && data.dataSets[0] && data.dataSets[0].series) {
-      // Process Bank of Israel specific format
-      log('Bank of Israel data format detected');
+// ECB eurofxref files: daily, last 90 days, and the full history since 1999
+const ECB_URLS = {
+  daily: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+  last90Days: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml',
+  history: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml'
+};
+
+// Parse eurofxref XML: <Cube time="YYYY-MM-DD"><Cube currency="USD" rate="1.0812"/>…</Cube>
+// Returns [{ date, rates }] newest first, rates are units per 1 EUR
+function parseEcbXml(xml) {
+  const days = [];
+  if (typeof xml !== 'string') return days;
+
+  for (const day of xml.matchAll(/<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>([\s\S]*?)<\/Cube>/g)) {
+    const rates = { EUR: 1 };
+    for (const quote of day[2].matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+      rates[quote[1]] = parseFloat(quote[2]);
     }
-  } catch (error) {
-    logError('Failed to parse Bank of Israel data:', error);
+    days.push({ date: day[1], rates });
+  }
+
+  return days.sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+// EUR-based ECB table -> USD-based table used everywhere else
+function rebaseEcbRates(eurRates) {
+  const usdPerEur = eurRates.USD;
+  if (!usdPerEur) {
+    throw new Error('ECB response has no USD reference rate');
   }
+
+  const rates = {};
+  Object.entries(eurRates).forEach(([code, perEur]) => {
+    rates[code] = perEur / usdPerEur;
+  });
+  rates.USD = 1;
   return rates;
 }
 
+async function fetchEcbDays(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`ECB request failed: ${response.status} ${response.statusText}`);
+  }
+  return parseEcbXml(await response.text());
+}
+
+// Parsed full ECB history for as long as the worker runs - the file is several MB (every day since 1999)
+// and the past days in it never change, so picking another old date must not download it again
+let ecbHistoryDays = null;
+
+function fetchEcbHistoryDays() {
+  if (!ecbHistoryDays) {
+    ecbHistoryDays = fetchEcbDays(ECB_URLS.history).catch((error) => {
+      ecbHistoryDays = null; // Try again on the next date picked
+      throw error;
+    });
+  }
+  return ecbHistoryDays;
+}
+
+// Reference rates for a date, or the last business day before it (no fixing on weekends/holidays)
+async function fetchEcbRatesForDate(date) {
+  const ageDays = (Date.now() - new Date(`${date}T00:00:00`).getTime()) / (24 * 60 * 60 * 1000);
+  const days = ageDays < 85 ? await fetchEcbDays(ECB_URLS.last90Days) : await fetchEcbHistoryDays();
+
+  const day = days.find(entry => entry.date <= date);
+  if (!day) {
+    throw new Error(`No ECB reference rates on or before ${date}`);
+  }
+  return { date: day.date, rates: rebaseEcbRates(day.rates) };
+}
+
+// Read XML attributes (name="value") from a tag's attribute string
+function parseXmlAttributes(attributeText) {
+  const attributes = {};
+  for (const match of attributeText.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+// Extract ILS-per-unit quotes from a BOI response: { quotes: { USD: 3.71, JPY: 0.0245 }, date }
+// Handles the SDMX-ML feed (<Series BASE_CURRENCY= UNIT_MULT=><Obs TIME_PERIOD= OBS_VALUE=/>)
+// and the legacy currency.xml format (<CURRENCY><UNIT>100</UNIT><CURRENCYCODE>JPY</CURRENCYCODE><RATE>…)
+// No DOMParser in the service worker, hence regex parsing.
+function extractBankOfIsraelQuotes(xml) {
+  const quotes = {};
+  let date = null;
+
+  if (typeof xml !== 'string') return { quotes, date };
+
+  // SDMX-ML: one <Series> per currency pair
+  for (const series of xml.matchAll(/<(?:\w+:)?Series\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?Series>/g)) {
+    const attributes = parseXmlAttributes(series[1]);
+    const base = attributes.BASE_CURRENCY;
+    if (!base || (attributes.COUNTER_CURRENCY && attributes.COUNTER_CURRENCY !== 'ILS')) continue;
+
+    // Latest observation in the series
+    let latest = null;
+    for (const obs of series[2].matchAll(/<(?:\w+:)?Obs\b([^>]*)\/?>/g)) {
+      const observation = parseXmlAttributes(obs[1]);
+      if (!latest || observation.TIME_PERIOD > latest.TIME_PERIOD) latest = observation;
+    }
+
+    const value = latest ? parseFloat(latest.OBS_VALUE) : NaN;
+    if (!(value > 0)) continue;
+
+    // UNIT_MULT is a power of ten: JPY is quoted per 100 yen (UNIT_MULT="2")
+    const unit = Math.pow(10, parseInt(attributes.UNIT_MULT || '0', 10) || 0);
+    quotes[base] = value / unit;
+    if (!date || latest.TIME_PERIOD > date) date = latest.TIME_PERIOD;
+  }
+
+  // Legacy currency.xml
+  if (Object.keys(quotes).length === 0) {
+    for (const block of xml.matchAll(/<CURRENCY>([\s\S]*?)<\/CURRENCY>/g)) {
+      const field = name => (block[1].match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+      const code = field('CURRENCYCODE');
+      const rate = parseFloat(field('RATE'));
+      const unit = parseFloat(field('UNIT')) || 1;
+      if (code && rate > 0) quotes[code.trim()] = rate / unit;
+    }
+    date = (xml.match(/<LAST_UPDATE>([^<]*)<\/LAST_UPDATE>/) || [])[1] || null;
+  }
+
+  return { quotes, date: date ? date.trim().substring(0, 10) : null };
+}
+
+// Bank of Israel publishes ILS per foreign unit - rebase to the USD table used everywhere else
+function parseBankOfIsraelData(xml) {
+  const { quotes } = extractBankOfIsraelQuotes(xml);
+  const ilsPerUsd = quotes.USD;
+
+  if (!ilsPerUsd) {
+    throw new Error('Bank of Israel response has no USD representative rate');
+  }
+
+  const rates = { USD: 1, ILS: ilsPerUsd };
+  Object.entries(quotes).forEach(([code, ilsPerUnit]) => {
+    if (code !== 'USD') {
+      rates[code] = ilsPerUsd / ilsPerUnit;
+    }
+  });
+  return rates;
+}
+
+// Official publication date of the representative rates (not the fetch time)
+function parseBankOfIsraelDate(xml) {
+  return extractBankOfIsraelQuotes(xml).date;
+}
+
 function parseXEData(data) {
   // Parse XE Currency API format
   const rates = { USD: 1 };
@@ -12,9 +12,14 @@ if (window.CurrencyConverterProLoaded) {
 // ============================================================================
 // Shared libraries loaded from lib/ folder via manifest.json:
 //   1. lib/logger.js   - Professional logging system (loads FIRST)
+//      lib/currencies.js - ISO 4217 registry: symbols, names, countries, generated patterns
+//      lib/numbers.js - Locale-aware amount parsing (lakh, 1'234.50, native digits, 5 crore, 3万)
 //   2. lib/regex.js    - All regex patterns (loads SECOND)
 //   3. lib/patterns.js - Detection rules & patterns (loads THIRD)
-//   4. content.js      - Main detection engine (loads LAST)
+//   4. lib/fees.js     - Payment profile fees (card markup, fixed fees)
+//   5. lib/taxes.js    - Import VAT / duty rules for landed cost
+//      lib/overrides.js, lib/crypto.js - Pinned rates, crypto assets & sub-units
+//   6. content.js      - Main detection engine (loads LAST)
 // ============================================================================
 
 // Import Logger (from lib/logger.js)
@@ -39,9 +44,48 @@ const {
   HAS_CURRENCY_REGEX,
   PHONE_NUMBER_REGEX,
   PRICE_RANGE_REGEX,
-  PRICE_RANGE_TO_REGEX
+  PRICE_RANGE_TO_REGEX,
+  CURRENCY_CODE_REGEX,
+  CURRENCY_SYMBOL_REGEX,
+  CURRENCY_CODE_BEFORE_REGEX,
+  AMOUNT_CODE_PATTERN,
+  CURRENCY_SYMBOL_CLASS,
+  LETTER_SYMBOL_PATTERN,
+  SYMBOL_PREFIX_PATTERN,
+  PRICE_FRAGMENT_REGEX,
+  ABBREVIATED_PRICE_REGEX,
+  WORD_PRICE_REGEX
 } = window.PriceRegex || {};
 
+// Symbol-only checks used by fragment and structure detection, built once from the registry's symbol class
+const SYMBOL_ONLY_REGEX = new RegExp(`^${CURRENCY_SYMBOL_CLASS}$`);
+const SYMBOL_END_REGEX = new RegExp(`${CURRENCY_SYMBOL_CLASS}$`);
+const SYMBOL_OR_DIGIT_START_REGEX = new RegExp(`^(?:${CURRENCY_SYMBOL_CLASS}|\\d)`);
+const SYMBOL_AMOUNT_REGEX = new RegExp(`${CURRENCY_SYMBOL_CLASS}\\s*\\d+`, 'g'); // For .match() counts
+const CURRENCY_FRAGMENT_REGEX = new RegExp(`^((?:${SYMBOL_PREFIX_PATTERN})\\s*${CURRENCY_SYMBOL_CLASS}|[A-Z]{3}|${CURRENCY_SYMBOL_CLASS})$`);
+
+// Import Currency Registry (from lib/currencies.js)
+const {
+  findCurrencySymbol,
+  findCurrencyCode,
+  findCurrencyWord,
+  buildCodePattern,
+  getCurrencyForCountry,
+  getCurrenciesForSymbol
+} = window.CurrencyRegistry || {};
+
+// Import Number Formats (from lib/numbers.js)
+const {
+  AMOUNT_NUMBER_PATTERN,
+  toAsciiDigits,
+  toNativeDigits,
+  detectNumberingSystem,
+  getNumberConventions,
+  getPriceLocale,
+  parseLocaleAmount,
+  getMagnitudeMultiplier
+} = window.NumberFormats || {};
+
 // Import Patterns (from lib/patterns.js)
 const {
   CURRENCY_SYMBOLS,
@@ -60,6 +104,32 @@ const {
   getCurrencyDecimals
 } = window.CurrencyPatterns || {};
 
+// Import Payment Fees (from lib/fees.js)
+const {
+  findPaymentProfile,
+  applyPaymentFees,
+  describePaymentProfile
+} = window.PaymentFees || {};
+
+// Import Taxes (from lib/taxes.js)
+const {
+  resolveTaxRule,
+  estimateLandedCost
+} = window.ImportTaxes || {};
+
+// Import Rate Overrides (from lib/overrides.js)
+const {
+  getEffectiveRate,
+  describeRateOverride
+} = window.RateOverrides || {};
+
+// Import Crypto Assets (from lib/crypto.js)
+const {
+  getCryptoAssets,
+  buildCryptoPriceRegex,
+  resolveCryptoUnit
+} = window.CryptoAssets || {};
+
 // Initial load message - only shows when DEBUG_MODE = true (will be set after settings load)
 log('💱 Currency Converter Pro v3.2.2 initializing...');
 
@@ -68,9 +138,34 @@ let settings = {
   defaultTargetCurrency: 'ILS',
   highlightPrices: false,
   showInlineConversion: true,  // Native HTML title attribute (recommended)
-  replacePrice: false
+  replacePrice: false,
+  displayMode: 'tooltip',      // 'tooltip' | 'inline' | 'replace' (derived, may be overridden per site)
+  extraTargetCurrencies: [],   // Shown after the main target in tooltips/inline labels
+  paymentProfile: null,        // Active payment profile - adds "you pay" figure to tooltips
+  showLandedCost: false,
+  taxRule: null,               // Import VAT/duty rule for the destination country
+  staleRateHours: 48,          // Flag conversions whose rates are older than this (0 = never)
+  rateOverrides: [],           // 📌 User-pinned pair / per-currency rates
+  cryptoAssets: [],            // 🪙 User-added coins ({ ticker, id }) on top of the defaults
+  showConfidenceScore: false,  // 🎯 "72% sure it's CAD" for prices with a shared symbol ($, ¥, kr)
+  useNativeNumbers: false,     // Write converted amounts in the page's digits (١٢٣, १२३)
+  sameSiteFramesOnly: false    // 🖼️ Skip frames from other sites (ads, third-party widgets)
 };
 
+// ✈️ Provenance of the rate table from background ({ offline, baseline, asOf, providerName, updatedAt, publishedAt })
+let rateStatus = null;
+
+// 📦 Shipping cost added to landed cost ({ amount, currency }): the order's on cart/checkout pages,
+// otherwise per line item - listing and search cards each show their own
+let pageShipping = null;
+const lineItemShipping = new WeakMap(); // Line item container -> shipping shown inside it
+
+// Row or card one product is listed in (cart rows, search results, listing cards)
+const LINE_ITEM_SELECTOR = 'tr, li, [class*="item" i], [class*="product" i]';
+
+// 🌐 Per-domain profile for this page (from siteProfiles in sync storage)
+let siteProfile = {};
+
 // ⚡ PERFORMANCE OPTIMIZATION: Smart caching system
 // Global cache of processed elements (persists across mutation events)
 let processedElements = new WeakSet(); // WeakSet auto-cleans when elements removed from DOM
@@ -281,7 +376,7 @@ function analyzeFragmentedPriceStyles(element) {
       log(`🏴 Found country code "${text}" with font: ${style.fontSize}`);
     }
     // Detect currency symbol
-    else if (/^[\$€£¥₹₪₽₩฿₺₣₱₫₴]$/.test(text)) {
+    else if (SYMBOL_ONLY_REGEX.test(text)) {
       result.symbolStyle = style;
       foundCurrencyPart = true;
       log(`💰 Found currency symbol "${text}" with font: ${style.fontSize}`);
@@ -293,7 +388,7 @@ function analyzeFragmentedPriceStyles(element) {
       log(`🔢 Found number "${text}" with font: ${style.fontSize}`);
     }
     // Mixed content - check what dominates
-    else if (/[\$€£¥₹₪₽₩฿₺₣₱₫₴]/.test(text)) {
+    else if (CURRENCY_SYMBOL_REGEX.test(text)) {
       // Contains symbol
       if (!result.symbolStyle) result.symbolStyle = style;
       foundCurrencyPart = true;
@@ -351,7 +446,7 @@ function generateStyledConvertedHTML(convertedText, styleAnalysis) {
   }
 
   // Extract currency symbol
-  const symbolMatch = convertedText.match(/[\$€£¥₹₪₽₩฿₺₣₱₫₴]/);
+  const symbolMatch = convertedText.match(CURRENCY_SYMBOL_REGEX);
   if (symbolMatch) {
     parts.symbol = symbolMatch[0];
   }
@@ -405,6 +500,18 @@ function applyPreservedStyles(element, styles) {
   element.style.textTransform = styles.textTransform;
 }
 
+// Digits the page writes numbers in ('latn' when it only uses 0-9), looked up on first use
+let pageNumberingSystem = null;
+
+// Converted amount in the page's own digits when useNativeNumbers is on ("185.00" → "١٨٥٫٠٠")
+function localizeDigits(text) {
+  if (!settings.useNativeNumbers) return text;
+  if (!pageNumberingSystem) {
+    pageNumberingSystem = detectNumberingSystem((document.body?.textContent || '').slice(0, 20000)) || 'latn';
+  }
+  return toNativeDigits(text, pageNumberingSystem);
+}
+
 // ⭐ Helper function to generate converted text with currency code preservation
 function generateConvertedText(originalPrice, convertedAmount, targetCurrency) {
   const targetSymbol = getCurrencySymbol(targetCurrency);
@@ -422,19 +529,19 @@ function generateConvertedText(originalPrice, convertedAmount, targetCurrency) {
   // 3. Has only SYMBOL ($, €, £, etc.) - no code
 
   // Check for 3-letter currency code + amount (e.g., "USD 663.92")
-  const fullCodePattern = /\b(USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s+[\d.,]+/i;
+  const fullCodePattern = new RegExp(`\\b(${getAmountCodePattern()})\\s+[\\d.,]+`);
   const hasFullCode = fullCodePattern.test(trimmedPrice);
 
   // Check for 2-letter currency code + symbol (e.g., "US $1.99")
-  const shortCodeWithSymbolPattern = /\b(US|HK|AU|CA|NZ|SG|C|A|S)\s*[\$€£¥₹₪₽₩]/i;
+  const shortCodeWithSymbolPattern = new RegExp(`\\b(${SYMBOL_PREFIX_PATTERN})\\s*${CURRENCY_SYMBOL_CLASS}`, 'i');
   const hasShortCodeWithSymbol = shortCodeWithSymbolPattern.test(trimmedPrice);
 
   // Check for symbol only (e.g., "$1.99")
-  const hasSymbol = /[\$€£¥₹₪₽₩]/.test(trimmedPrice);
+  const hasSymbol = CURRENCY_SYMBOL_REGEX.test(trimmedPrice);
 
   // ⭐ SMART SPACING: Detect if there's a space between symbol and number
   // "US $ 9.11" → space after $  |  "US $9.11" → no space after $
-  const hasSpaceAfterSymbol = /[\$€£¥₹₪₽₩]\s+\d/.test(trimmedPrice);
+  const hasSpaceAfterSymbol = new RegExp(`${CURRENCY_SYMBOL_CLASS}\\s+\\d`).test(trimmedPrice);
 
   log(`💱 Price structure analysis for "${trimmedPrice}":`);
   log(`   - Full code (USD): ${hasFullCode}`);
@@ -447,19 +554,19 @@ function generateConvertedText(originalPrice, convertedAmount, targetCurrency) {
   if (hasFullCode && !hasSymbol) {
     // ⭐ Structure: CODE + NUMBER (no symbol)
     // "USD 663.92" → "ILS 2111.27" (letters to letters, numbers to numbers)
-    result = `${targetCurrency} ${convertedAmount.toFixed(2)}`;
+    result = `${targetCurrency} ${localizeDigits(convertedAmount.toFixed(2))}`;
     log(`   → CODE ONLY: "${result}"`);
   } else if (hasShortCodeWithSymbol) {
     // ⭐ Structure: CODE + SYMBOL + NUMBER
     // "US $ 9.11" → "ILS ₪ 6.33" (with space) | "US $9.11" → "ILS ₪6.33" (no space)
     const spacer = hasSpaceAfterSymbol ? ' ' : '';
-    result = `${targetCurrency} ${targetSymbol}${spacer}${convertedAmount.toFixed(2)}`;
+    result = `${targetCurrency} ${targetSymbol}${spacer}${localizeDigits(convertedAmount.toFixed(2))}`;
     log(`   → CODE + SYMBOL: "${result}"`);
   } else {
     // ⭐ Structure: SYMBOL + NUMBER (no code)
     // "$ 1.99" → "₪ 6.33" (with space) | "$1.99" → "₪6.33" (no space)
     const spacer = hasSpaceAfterSymbol ? ' ' : '';
-    result = `${targetSymbol}${spacer}${convertedAmount.toFixed(2)}`;
+    result = `${targetSymbol}${spacer}${localizeDigits(convertedAmount.toFixed(2))}`;
     log(`   → SYMBOL ONLY: "${result}"`);
   }
 
@@ -477,8 +584,8 @@ async function loadRates() {
     const response = await chrome.runtime.sendMessage({ type: 'getExchangeRates' });
     if (response && response.rates) {
       exchangeRates = response.rates;
-      const cryptoCodes = ['BTC', 'ETH', 'USDT', 'USDC', 'BNB', 'XRP', 'ADA', 'SOL', 'DOGE', 'DOT', 'MATIC', 'LTC'];
-      const availableCrypto = cryptoCodes.filter(code => exchangeRates[code]);
+      rateStatus = response.rateStatus || null;
+      const availableCrypto = getAvailableCrypto();
       log('💱 Loaded exchange rates:', Object.keys(exchangeRates).length, 'currencies');
       log('💰 Crypto rates included:', availableCrypto.length > 0 ? availableCrypto.join(', ') : 'NONE');
 
@@ -503,10 +610,22 @@ async function loadSettings() {
       'showInlineConversion',
       'replacePrice',
       'selectedTheme',
+      'extraTargetCurrencies',
+      'paymentProfiles',
+      'activePaymentProfile',
+      'showLandedCost',
+      'importCountry',
+      'importTaxOverrides',
+      'staleRateHours',
+      'rateOverrides',
+      'cryptoAssets',
+      'showConfidenceScore',
+      'sameSiteFramesOnly',
       // Display format
       'decimalPlaces',
       'currencyDisplay',
       'useThousandSeparator',
+      'useNativeNumbers',
       // Advanced settings
       'detectionSensitivity',
       'minPrice',
@@ -517,7 +636,9 @@ async function loadSettings() {
       'highContrast',
       'largeText',
       'reducedMotion',
-      'screenReaderMode'
+      'screenReaderMode',
+      // Per-domain profiles
+      'siteProfiles'
     ]);
 
     // Basic settings
@@ -525,11 +646,19 @@ async function loadSettings() {
     settings.highlightPrices = result.highlightPrices || false;
     settings.showInlineConversion = result.showInlineConversion !== undefined ? result.showInlineConversion : true; // Native HTML title ON by default ⭐
     settings.replacePrice = result.replacePrice || false;
+    settings.paymentProfile = findPaymentProfile ? findPaymentProfile(result.paymentProfiles, result.activePaymentProfile) : null;
+    settings.extraTargetCurrencies = Array.isArray(result.extraTargetCurrencies) ? result.extraTargetCurrencies.slice(0, 4) : [];
+    settings.staleRateHours = typeof result.staleRateHours === 'number' ? result.staleRateHours : 48;
+    settings.rateOverrides = Array.isArray(result.rateOverrides) ? result.rateOverrides : [];
+    settings.cryptoAssets = Array.isArray(result.cryptoAssets) ? result.cryptoAssets : [];
+    settings.showConfidenceScore = result.showConfidenceScore || false;
+    settings.sameSiteFramesOnly = result.sameSiteFramesOnly || false;
 
     // Display format
     settings.decimalPlaces = result.decimalPlaces || 'auto';
     settings.currencyDisplay = result.currencyDisplay || 'symbol';
     settings.useThousandSeparator = result.useThousandSeparator !== undefined ? result.useThousandSeparator : true;
+    settings.useNativeNumbers = result.useNativeNumbers || false;
 
     // Advanced settings
     settings.detectionSensitivity = result.detectionSensitivity || 'medium';
@@ -549,6 +678,16 @@ async function loadSettings() {
     // Load theme
     currentTheme = result.selectedTheme || 'chrome-dark';
 
+    // 🌐 Per-domain profile overrides the global settings above
+    siteProfile = findSiteProfile(result.siteProfiles || {}, getPageHostname()); // Frames follow the page embedding them
+    applySiteProfile();
+
+    // Landed cost: explicit country, or the one implied by the (possibly per-site) target currency
+    settings.showLandedCost = result.showLandedCost || false;
+    settings.taxRule = settings.showLandedCost && resolveTaxRule
+      ? resolveTaxRule(result.importCountry, settings.defaultTargetCurrency, result.importTaxOverrides || {})
+      : null;
+
     // Apply accessibility settings to body
     applyAccessibilitySettings();
 
@@ -563,6 +702,124 @@ async function loadSettings() {
   }
 }
 
+// Find the profile for a hostname, falling back to parent domains (shop.example.com → example.com)
+function findSiteProfile(profiles, hostname) {
+  const host = findSiteProfileHost(profiles, hostname);
+  return host ? profiles[host] : {};
+}
+
+// Key of the rule that covers a hostname (itself or a parent domain), or null
+function findSiteProfileHost(profiles, hostname) {
+  let host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  while (host) {
+    if (profiles[host]) return host;
+    const dot = host.indexOf('.');
+    if (dot === -1) break;
+    host = host.substring(dot + 1);
+  }
+  return null;
+}
+
+// Apply per-domain target currency and display mode on top of global settings
+function applySiteProfile() {
+  settings.displayMode = settings.replacePrice ? 'replace' : 'tooltip';
+
+  if (siteProfile.targetCurrency) {
+    settings.defaultTargetCurrency = siteProfile.targetCurrency;
+  }
+
+  if (siteProfile.displayMode) {
+    settings.displayMode = siteProfile.displayMode;
+    settings.replacePrice = siteProfile.displayMode === 'replace';
+    if (siteProfile.displayMode === 'tooltip') {
+      settings.showInlineConversion = true;
+    }
+  }
+
+  if (siteProfile.disabled) {
+    log(`🚫 Conversion disabled on ${getPageHostname()} (site rule)`);
+  } else if (Object.keys(siteProfile).length > 0) {
+    log('🌐 Site profile applied:', siteProfile);
+  }
+}
+
+// Forced source currency (site rule) wins over page detection; frames go by the top frame's page
+function resolvePageCurrency() {
+  if (siteProfile.sourceCurrency) {
+    log(`🌐 Page currency forced by site rule: ${siteProfile.sourceCurrency}`);
+    return siteProfile.sourceCurrency;
+  }
+  if (topFrameCurrency) {
+    log(`🖼️ Page currency shared by the top frame: ${topFrameCurrency}`);
+    return topFrameCurrency;
+  }
+  return detectPageCurrency();
+}
+
+// ============================================================================
+// FRAMES - content.js runs in every frame (checkout widgets, booking engines, ads)
+// ============================================================================
+// Each frame keeps its own processed elements and converted prices. The top frame owns the
+// page: site rules are looked up by its host, and its page currency is shared with the frames
+// through the background (cross-origin frames cannot read the top document).
+
+const IS_TOP_FRAME = window === window.top;
+
+// Page currency of the top frame (frames only; null until the top frame knows it)
+let topFrameCurrency = null;
+
+// Origin of the page the user is looking at - for a frame, the outermost of its ancestors
+function getTopFrameOrigin() {
+  if (IS_TOP_FRAME) return window.location.origin;
+  const ancestors = window.location.ancestorOrigins;
+  if (ancestors && ancestors.length > 0) return ancestors[ancestors.length - 1];
+  return document.referrer || window.location.origin;
+}
+
+function getPageHostname() {
+  if (IS_TOP_FRAME) return window.location.hostname;
+  try {
+    return new URL(getTopFrameOrigin()).hostname;
+  } catch (error) {
+    return window.location.hostname; // Sandboxed frame ("null" origin)
+  }
+}
+
+// Registrable part of a hostname, close enough without a suffix list:
+// "pay.shop.co.uk" → "shop.co.uk", "js.stripe.com" → "stripe.com"
+function getSiteDomain(hostname) {
+  const labels = (hostname || '').toLowerCase().split('.').filter(Boolean);
+  const shortSecondLevel = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+  return labels.slice(shortSecondLevel ? -3 : -2).join('.');
+}
+
+// about:blank and srcdoc frames are written by their parent, so they count as the same site
+function isSameSiteFrame() {
+  if (IS_TOP_FRAME || !window.location.hostname) return true;
+  return getSiteDomain(window.location.hostname) === getSiteDomain(getPageHostname());
+}
+
+// "Same-site frames only" leaves ad and third-party frames alone
+function isFrameAllowed() {
+  return IS_TOP_FRAME || !settings.sameSiteFramesOnly || isSameSiteFrame();
+}
+
+// Frames register with the background and get the top frame's page context back
+async function registerFrame() {
+  try {
+    const context = await chrome.runtime.sendMessage({ type: 'registerFrame' });
+    topFrameCurrency = context?.pageCurrency || null;
+  } catch (error) {
+    logWarn('⚠️ Could not reach the background to register this frame:', error.message);
+  }
+}
+
+// Top frame: hand the page currency to frames that registered before it was known
+function sharePageContext() {
+  if (!IS_TOP_FRAME || !pageCurrency) return;
+  chrome.runtime.sendMessage({ type: 'sharePageContext', pageCurrency }).catch(() => {});
+}
+
 // Apply accessibility settings to document
 function applyAccessibilitySettings() {
   const body = document.body;
@@ -878,7 +1135,7 @@ function detectPageCurrency() {
   }
 
   // Method 12: Domain-based detection
-  const hostname = window.location.hostname;
+  const hostname = getPageHostname(); // The shop's domain, not the payment widget's
   const domainCurrency = detectCurrencyFromDomain(hostname);
   if (domainCurrency) {
     log(`✅ Detected currency from domain: ${domainCurrency}`);
@@ -898,7 +1155,7 @@ function detectPageCurrency() {
   // Method 14: Statistical analysis - find most common currency on page
   const allText = document.body.textContent;
   const currencyCounts = {};
-  const currencyMatches = allText.match(/\b(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/gi);
+  const currencyMatches = allText.match(new RegExp(CURRENCY_CODE_REGEX.source, 'g'));
 
   if (currencyMatches && currencyMatches.length > 0) {
     currencyMatches.forEach(curr => {
@@ -935,11 +1192,7 @@ function detectPageCurrency() {
 
   const maxSymbol = Object.entries(symbolCounts).reduce((a, b) => b[1] > a[1] ? b : a);
   if (maxSymbol[1] >= 3) {
-    const symbolToCurrency = {
-      '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₪': 'ILS',
-      '₽': 'RUB', '₩': 'KRW', '฿': 'THB', '₺': 'TRY', 'zł': 'PLN', 'Kč': 'CZK'
-    };
-    const detectedCurrency = symbolToCurrency[maxSymbol[0]];
+    const detectedCurrency = getCurrenciesForSymbol(maxSymbol[0])[0]; // Default reading ($ -> USD)
     if (detectedCurrency) {
       log(`✅ Symbol frequency analysis detected: ${detectedCurrency} (${maxSymbol[0]} appears ${maxSymbol[1]} times)`);
       return detectedCurrency;
@@ -972,58 +1225,16 @@ function findCurrencyInObject(obj) {
   return null;
 }
 
+// Country-code TLDs used as generic domains (.io, .co, .tv...) - they say nothing about prices
+const VANITY_TLDS = ['io', 'co', 'tv', 'me', 'ai', 'fm', 'ws', 'cc', 'ly', 'gg', 'to', 'am', 'sh', 'ac', 'la', 'nu', 'so', 'vc', 'st', 'im'];
+
 /**
- * Detect currency from domain extension
+ * Detect currency from domain extension (.co.uk → GBP, .de → EUR) via the registry's country list
  */
 function detectCurrencyFromDomain(hostname) {
-  const domainMap = {
-    '.uk': 'GBP',
-    '.co.uk': 'GBP',
-    '.ie': 'EUR',
-    '.fr': 'EUR',
-    '.de': 'EUR',
-    '.es': 'EUR',
-    '.it': 'EUR',
-    '.nl': 'EUR',
-    '.be': 'EUR',
-    '.at': 'EUR',
-    '.pt': 'EUR',
-    '.fi': 'EUR',
-    '.gr': 'EUR',
-    '.ca': 'CAD',
-    '.au': 'AUD',
-    '.nz': 'NZD',
-    '.jp': 'JPY',
-    '.cn': 'CNY',
-    '.in': 'INR',
-    '.br': 'BRL',
-    '.mx': 'MXN',
-    '.ru': 'RUB',
-    '.ch': 'CHF',
-    '.se': 'SEK',
-    '.no': 'NOK',
-    '.dk': 'DKK',
-    '.pl': 'PLN',
-    '.cz': 'CZK',
-    '.tr': 'TRY',
-    '.za': 'ZAR',
-    '.kr': 'KRW',
-    '.sg': 'SGD',
-    '.hk': 'HKD',
-    '.tw': 'TWD',
-    '.th': 'THB',
-    '.ae': 'AED',
-    '.sa': 'SAR',
-    '.il': 'ILS'
-  };
-
-  for (const [domain, currency] of Object.entries(domainMap)) {
-    if (hostname.endsWith(domain)) {
-      return currency;
-    }
-  }
-
-  return null;
+  const tld = (hostname || '').split('.').pop().toLowerCase();
+  if (tld.length !== 2 || VANITY_TLDS.includes(tld)) return null;
+  return getCurrencyForCountry(tld);
 }
 
 /**
@@ -1032,55 +1243,196 @@ function detectCurrencyFromDomain(hostname) {
 function detectCurrencyFromLocale(locale) {
   if (!locale) return null;
 
-  // Normalize locale (e.g., "en-GB" → "GB", "fr-FR" → "FR")
-  const parts = locale.split('-');
-  const country = parts[1] || parts[0];
-
-  const localeMap = {
-    'GB': 'GBP',
-    'UK': 'GBP',
-    'US': 'USD',
-    'CA': 'CAD',
-    'AU': 'AUD',
-    'NZ': 'NZD',
-    'JP': 'JPY',
-    'CN': 'CNY',
-    'IN': 'INR',
-    'BR': 'BRL',
-    'MX': 'MXN',
-    'RU': 'RUB',
-    'CH': 'CHF',
-    'SE': 'SEK',
-    'NO': 'NOK',
-    'DK': 'DKK',
-    'PL': 'PLN',
-    'CZ': 'CZK',
-    'TR': 'TRY',
-    'ZA': 'ZAR',
-    'KR': 'KRW',
-    'SG': 'SGD',
-    'HK': 'HKD',
-    'TW': 'TWD',
-    'TH': 'THB',
-    'AE': 'AED',
-    'SA': 'SAR',
-    'IL': 'ILS',
-    // Euro zone countries
-    'FR': 'EUR', 'DE': 'EUR', 'ES': 'EUR', 'IT': 'EUR',
-    'NL': 'EUR', 'BE': 'EUR', 'AT': 'EUR', 'PT': 'EUR',
-    'FI': 'EUR', 'GR': 'EUR', 'IE': 'EUR', 'LU': 'EUR',
-    'SI': 'EUR', 'CY': 'EUR', 'MT': 'EUR', 'SK': 'EUR',
-    'EE': 'EUR', 'LV': 'EUR', 'LT': 'EUR'
-  };
+  // Region subtag wins ("en-GB" → "GB", "zh-Hant-TW" → "TW")
+  const parts = locale.split(/[-_]/);
+  const region = parts.slice(1).find(part => /^[A-Za-z]{2}$/.test(part));
+  if (region) return getCurrencyForCountry(region);
 
-  return localeMap[country.toUpperCase()] || null;
+  // Bare language: only when it is also its home country's code ("de" → DE, but "ar" is not Argentina)
+  try {
+    const likelyRegion = new Intl.Locale(parts[0]).maximize().region;
+    if (likelyRegion && likelyRegion === parts[0].toUpperCase()) {
+      return getCurrencyForCountry(likelyRegion);
+    }
+  } catch (error) {
+    // Invalid language tag
+  }
+  return null;
 }
 
 // Store detected page currency (cached)
 let pageCurrency = null;
 
+// Codes the page gives evidence for - its own currency, so "ALL 500" is lek on an Albanian shop and "TOP 10" a heading elsewhere
+function getPageCodeEvidence() {
+  return pageCurrency ? [pageCurrency] : [];
+}
+
+// AMOUNT_CODE_PATTERN plus the page currency when its code is a headline word, rebuilt when the page currency changes
+let amountCodePatternCache = { currency: null, pattern: null };
+function getAmountCodePattern() {
+  if (!pageCurrency) return AMOUNT_CODE_PATTERN;
+  if (amountCodePatternCache.currency !== pageCurrency) {
+    amountCodePatternCache = { currency: pageCurrency, pattern: buildCodePattern({ wordLike: true, evidence: getPageCodeEvidence() }) };
+  }
+  return amountCodePatternCache.pattern;
+}
+
+// ============================================================================
+// AMBIGUOUS SYMBOLS ($, ¥, kr, £) - scored against page evidence
+// ============================================================================
+
+// Country words near a price that point at one reading of a shared symbol
+const SYMBOL_CONTEXT_HINTS = {
+  CAD: ['canada', 'canadian'],
+  AUD: ['australia', 'australian'],
+  NZD: ['new zealand'],
+  HKD: ['hong kong'],
+  SGD: ['singapore'],
+  MXN: ['mexico', 'mexican'],
+  CNY: ['china', 'chinese'],
+  JPY: ['japan', 'japanese'],
+  SEK: ['sweden', 'swedish'],
+  DKK: ['denmark', 'danish'],
+  NOK: ['norway', 'norwegian'],
+  ISK: ['iceland', 'icelandic'],
+  EGP: ['egypt', 'egyptian']
+};
+
+// Points a candidate earns per signal; the symbol's usual reading (registry order) gets `default`,
+// the others share `others` so a page with no evidence is still only ~2/3 sure "$" means USD
+const SYMBOL_SIGNAL_WEIGHTS = {
+  nearbyText: 4,      // "Canadian", "Norway" in the price or its row
+  structuredData: 3,  // og:price:currency, itemprop="priceCurrency", JSON-LD priceCurrency
+  pageCurrency: 2,    // detectPageCurrency() or the site rule's source currency
+  domain: 2,          // .ca, .com.au, .se
+  htmlLang: 1,        // <html lang="en-CA">
+  default: 1,
+  others: 0.5
+};
+
+// How many other readings the "Wrong currency?" menu offers
+const MAX_SYMBOL_ALTERNATIVES = 4;
+
+// Resolution per converted element ({ symbol, code, confidence, candidates, corrected }) for tooltips and corrections
+const symbolResolutions = new WeakMap();
+
+// Page-wide evidence for the resolver, gathered on first use
+let pageCurrencySignals = null;
+
+/**
+ * Currency the page declares for its prices (product meta tags, microdata, JSON-LD), or null
+ */
+function findStructuredDataCurrency() {
+  const declared = document.querySelector('meta[property="og:price:currency"], meta[property="product:price:currency"], [itemprop="priceCurrency"]');
+  const value = declared && (declared.getAttribute('content') || declared.textContent || '').trim();
+  if (value) return value.toUpperCase();
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const currency = findCurrencyInObject(JSON.parse(script.textContent));
+      if (typeof currency === 'string') return currency.toUpperCase();
+    } catch (e) {
+      // Skip invalid JSON
+    }
+  }
+  return null;
+}
+
+function getPageCurrencySignals() {
+  if (!pageCurrencySignals) {
+    pageCurrencySignals = {
+      structuredData: findStructuredDataCurrency(),
+      domain: detectCurrencyFromDomain(getPageHostname()),
+      htmlLang: detectCurrencyFromLocale(document.documentElement.lang)
+    };
+  }
+  return pageCurrencySignals;
+}
+
+// Lowercased text of the price's row/card (two levels up, capped) for context words
+function getNearbyText(element) {
+  const container = element?.parentElement?.parentElement || element?.parentElement || element;
+  return container ? (container.textContent || '').slice(0, 300).toLowerCase() : '';
+}
+
+/**
+ * Score every currency a symbol could stand for
+ * @returns {{ symbol, code, confidence, candidates: Array<{code, confidence}>, corrected }}
+ *          candidates sorted most likely first, confidences in % summing to ~100
+ */
+function resolveSymbolCurrency({ symbol, codes }, lowerText, element = null) {
+  // The user already told us what this symbol means on this site
+  const corrected = siteProfile.symbolCurrencies?.[symbol];
+  if (codes.length === 1 || codes.includes(corrected)) {
+    const code = codes.length === 1 ? codes[0] : corrected;
+    const candidates = [code, ...codes.filter(other => other !== code)]
+      .map(candidate => ({ code: candidate, confidence: candidate === code ? 100 : 0 }));
+    return { symbol, code, confidence: 100, candidates, corrected: codes.length > 1 };
+  }
+
+  const weights = SYMBOL_SIGNAL_WEIGHTS;
+  const signals = getPageCurrencySignals();
+  const nearbyText = element ? `${lowerText} ${getNearbyText(element)}` : lowerText;
+
+  const scores = codes.map((code, index) => {
+    let score = index === 0 ? weights.default : weights.others / (codes.length - 1);
+    if ((SYMBOL_CONTEXT_HINTS[code] || []).some(word => nearbyText.includes(word))) score += weights.nearbyText;
+    if (code === signals.structuredData) score += weights.structuredData;
+    if (code === pageCurrency) score += weights.pageCurrency;
+    if (code === signals.domain) score += weights.domain;
+    if (code === signals.htmlLang) score += weights.htmlLang;
+    return { code, score };
+  });
+
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  const candidates = scores
+    .sort((a, b) => b.score - a.score) // Stable - ties keep registry order
+    .map(({ code, score }) => ({ code, confidence: Math.round((score / total) * 100) }));
+
+  const [best] = candidates;
+  log(`💰 ${symbol} → ${best.code} (${best.confidence}% sure, next: ${candidates[1].code} ${candidates[1].confidence}%)`);
+  return { symbol, code: best.code, confidence: best.confidence, candidates, corrected: false };
+}
+
+// "🎯 72% sure it's CAD (USD 20%)" for the tooltip / inline label, or null when not asked for or not in doubt
+function getConfidenceText(resolution) {
+  if (!settings.showConfidenceScore || !resolution || resolution.corrected || resolution.candidates.length < 2) return null;
+
+  const runnerUp = resolution.candidates[1];
+  return `🎯 ${resolution.confidence}% sure it's ${resolution.code} (${runnerUp.code} ${runnerUp.confidence}%)`;
+}
+
+// 🔁 "Wrong currency?" - remember what the symbol means on this site and re-convert the page
+async function rememberSymbolCurrency(symbol, currency) {
+  const { siteProfiles = {} } = await chrome.storage.sync.get('siteProfiles');
+  const hostname = getPageHostname().toLowerCase().replace(/^www\./, '');
+  const host = findSiteProfileHost(siteProfiles, hostname) || hostname; // Extend the rule covering this page
+
+  const profile = siteProfiles[host] || {};
+  profile.symbolCurrencies = { ...profile.symbolCurrencies, [symbol]: currency };
+  siteProfiles[host] = profile;
+  await chrome.storage.sync.set({ siteProfiles });
+  siteProfile = profile;
+  log(`🔁 ${symbol} on ${host} is now ${currency}`);
+
+  // Prices already converted with the old reading switch over in place
+  const resolution = resolveSymbolCurrency({ symbol, codes: getCurrenciesForSymbol(symbol) }, '');
+  document.querySelectorAll('[data-currency-symbol]').forEach(element => {
+    if (element.dataset.currencySymbol !== symbol) return;
+    element.dataset.sourceCurrency = currency;
+    symbolResolutions.set(element, resolution);
+  });
+
+  conversionCache.clear();
+  refreshConvertedPrices();
+  setTimeout(convertPrices, 500); // Prices skipped as already in the target currency may convert now
+}
+
 // ⭐ Enhanced currency detection with more formats
 function detectCurrency(text, element = null) {
+  if (element) symbolResolutions.delete(element);
+
   // Method 1: Check element data attributes first (highest priority)
   if (element) {
     // Check data-currency, data-currency-code, data-price-currency
@@ -1115,101 +1467,26 @@ function detectCurrency(text, element = null) {
   text = text.replace(/\s+/g, ' ').trim();
 
   // Method 2: Check for currency codes in text (high priority)
-  // Supports: "123.45 USD", "USD 123.45", "US $14.91", "USD3.50"
-  const codeMatch = text.match(/\b(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i);
-  if (codeMatch) {
-    const currency = codeMatch[1];
-    if (currency) return currency.toUpperCase();
-    if (codeMatch[0].includes('US $') || codeMatch[0].includes('US$')) return 'USD';
-  }
+  // Supports: "123.45 USD", "USD 123.45", "USD3.50", "500 ALL" (word-like codes only next to a number, and only on pages priced in them)
+  const code = findCurrencyCode(text, getPageCodeEvidence());
+  if (code) return code;
 
-  // Method 3: Check for currency names in text
+  // Method 3: Check for currency names in text (whole words - "brand" is not rand)
+  // Words like "pounds" only settle a symbol that can mean them ("£5 pounds"), never stand alone ("10 pounds of beef")
   const lowerText = text.toLowerCase();
-  const currencyNames = {
-    'dollar': 'USD',
-    'dollars': 'USD',
-    'euro': 'EUR',
-    'euros': 'EUR',
-    'pound': 'GBP',
-    'pounds': 'GBP',
-    'yen': 'JPY',
-    'yuan': 'CNY',
-    'rupee': 'INR',
-    'rupees': 'INR',
-    'shekel': 'ILS',
-    'shekels': 'ILS',
-    'ruble': 'RUB',
-    'rubles': 'RUB',
-    'franc': 'CHF',
-    'francs': 'CHF',
-    'peso': 'MXN',
-    'pesos': 'MXN',
-    'won': 'KRW',
-    'baht': 'THB',
-    'lira': 'TRY',
-    'rand': 'ZAR',
-    'krona': 'SEK',
-    'krone': 'NOK',
-    'zloty': 'PLN',
-    'koruna': 'CZK'
-  };
+  const named = findCurrencyWord(text);
+  const symbolForWord = named && named.ambiguous ? findCurrencySymbol(text) : null;
+  if (named && (!named.ambiguous || (symbolForWord && symbolForWord.codes.includes(named.code)))) {
+    log(`💬 Detected currency from name: ${named.word} → ${named.code}`);
+    return named.code;
+  }
 
-  for (const [name, code] of Object.entries(currencyNames)) {
-    if (lowerText.includes(name)) {
-      log(`💬 Detected currency from name: ${name} → ${code}`);
-      return code;
-    }
-  }
-
-  // Method 4: Check for currency symbols (order matters - check multi-char first)
-  if (text.includes('US $') || text.includes('US$')) return 'USD';
-  if (text.includes('AU $') || text.includes('AU$')) return 'AUD';
-  if (text.includes('C$') || text.includes('CAD$')) return 'CAD';
-  if (text.includes('A$')) return 'AUD';
-  if (text.includes('NZ$') || text.includes('NZ $')) return 'NZD';
-  if (text.includes('HK$') || text.includes('HK $')) return 'HKD';
-  if (text.includes('S$') || text.includes('SG$')) return 'SGD';
-  if (text.includes('R$')) return 'BRL';
-  if (text.includes('NT$') || text.includes('TW$')) return 'TWD';
-  if (text.includes('MX$')) return 'MXN';
-  if (text.includes('د.إ') || text.includes('AED')) return 'AED';
-  if (text.includes('د.ك') || text.includes('KWD')) return 'KWD';
-  if (text.includes('₣') || text.includes('CHF')) return 'CHF';
-  if (text.includes('€')) return 'EUR';
-  if (text.includes('£')) return 'GBP';
-  if (text.includes('₹')) return 'INR';
-  if (text.includes('₪')) return 'ILS';
-  if (text.includes('₽')) return 'RUB';
-  if (text.includes('₩')) return 'KRW';
-  if (text.includes('฿')) return 'THB';
-  if (text.includes('₺')) return 'TRY';
-  if (text.includes('zł')) return 'PLN';
-  if (text.includes('Kč')) return 'CZK';
-  if (text.includes('Ft')) return 'HUF';
-  if (text.includes('lei')) return 'RON';
-  if (text.includes('﷼')) return 'SAR';
-  if (text.includes('₱')) return 'PHP';
-  if (text.includes('₫')) return 'VND';
-  if (text.includes('₴')) return 'UAH';
-  if (text.includes('¥')) {
-    // Context-aware: check if it's Chinese Yuan or Japanese Yen
-    if (lowerText.includes('yuan') || lowerText.includes('cny') || lowerText.includes('china')) return 'CNY';
-    return 'JPY'; // Default to JPY
-  }
-  if (text.includes('kr')) {
-    // Context-aware: check which Nordic currency
-    if (lowerText.includes('denmark') || lowerText.includes('dkk')) return 'DKK';
-    if (lowerText.includes('norway') || lowerText.includes('nok')) return 'NOK';
-    if (lowerText.includes('iceland') || lowerText.includes('isk')) return 'ISK';
-    return 'SEK'; // Default to Swedish Krona
-  }
-  if (text.includes('$')) {
-    // Use page currency if it's a dollar-based currency
-    if (pageCurrency && ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'TWD', 'MXN'].includes(pageCurrency)) {
-      log(`💰 Using page currency for $: ${pageCurrency}`);
-      return pageCurrency;
-    }
-    return 'USD'; // Default to USD
+  // Method 4: Check for currency symbols (longest first - "NZ$" before "$"), scoring shared ones
+  const symbolMatch = findCurrencySymbol(text);
+  if (symbolMatch) {
+    const resolution = resolveSymbolCurrency(symbolMatch, lowerText, element);
+    if (element && symbolMatch.codes.length > 1) symbolResolutions.set(element, resolution);
+    return resolution.code;
   }
 
   // Method 5: Fallback to page currency if detected
@@ -1244,7 +1521,7 @@ function isProbablyPrice(text, element) {
   }
 
   // Not a percentage
-  if (/%/.test(text) && !/\$|€|£|¥|usd|eur|gbp/i.test(text)) {
+  if (/%/.test(text) && !HAS_CURRENCY_REGEX.test(originalText)) {
     return { isPrice: false, confidence: 0, reason: 'percentage' };
   }
 
@@ -1261,13 +1538,13 @@ function isProbablyPrice(text, element) {
   // POSITIVE SIGNALS (increase confidence)
 
   // Has currency symbol or code
-  if (/[\$€£¥₹₪₽₩฿₺₣₱₫₴]|(?:usd|eur|gbp|jpy|cny|inr|ils|cad|aud|chf|brl|rub|krw|thb|try|zar|sek|nok|dkk|pln|czk|huf|mxn|nzd|sgd|hkd|twd|aed|sar|php|vnd|uah|ron|isk|kwd|qar|egp)\b/i.test(text)) {
+  if (findCurrencySymbol(originalText) || findCurrencyCode(originalText, getPageCodeEvidence())) {
     confidence += 40;
   }
 
   // ⭐ EXTRA BOOST: Currency code followed by amount (e.g., "USD 663.92")
   // This format is very specific and almost always a price
-  if (/\b(USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s+\d/i.test(text)) {
+  if (CURRENCY_CODE_BEFORE_REGEX.test(originalText)) {
     confidence += 30; // Strong indicator of price format
     log(`💰 Detected currency code + amount format: "${text.substring(0, 30)}"`);
   }
@@ -1303,7 +1580,7 @@ function isProbablyPrice(text, element) {
   }
 
   // Common price patterns
-  if (/^[\$€£¥₹₪₽₩]\s*\d+([.,]\d{2})?$/.test(text)) {
+  if (new RegExp(`^${CURRENCY_SYMBOL_CLASS}\\s*\\d+([.,]\\d{2})?$`).test(text)) {
     confidence += 20; // Perfect price format
   }
 
@@ -1397,10 +1674,11 @@ function detectPriceRange(text) {
 
     log(`✅ Successfully detected price range: ${currencyText}${minPrice}-${maxPrice} → Currency: ${detectedCurrency}`);
 
+    const conventions = getPriceNumberConventions(detectedCurrency);
     return {
       isRange: true,
-      minPrice: parseFloat(minPrice.replace(',', '.')),
-      maxPrice: parseFloat(maxPrice.replace(',', '.')),
+      minPrice: parseLocaleAmount(minPrice, conventions),
+      maxPrice: parseLocaleAmount(maxPrice, conventions),
       currency: detectedCurrency,
       currencySymbol: currencySymbol || '',
       currencyCode: currencyCode || '',
@@ -1423,19 +1701,15 @@ function detectPriceRange(text) {
 function convertPriceRange(rangeData, targetCurrency) {
   const { minPrice, maxPrice, currency: sourceCurrency, separator } = rangeData;
 
-  // Get exchange rates
-  const sourceRate = exchangeRates[sourceCurrency];
-  const targetRate = exchangeRates[targetCurrency];
+  // Convert both prices (same path as single prices, so overrides apply)
+  const convertedMin = calculateConversion(minPrice, sourceCurrency, targetCurrency);
+  const convertedMax = calculateConversion(maxPrice, sourceCurrency, targetCurrency);
 
-  if (!sourceRate || !targetRate) {
+  if (convertedMin === null || convertedMax === null) {
     logWarn(`Missing exchange rate for ${sourceCurrency} or ${targetCurrency}`);
     return null;
   }
 
-  // Convert both prices
-  const convertedMin = (minPrice / sourceRate) * targetRate;
-  const convertedMax = (maxPrice / sourceRate) * targetRate;
-
   // Format with appropriate decimal places
   const decimals = settings.decimalPlaces === 'auto' ? 2 : parseInt(settings.decimalPlaces || 2);
   let formattedMin = convertedMin.toFixed(decimals);
@@ -1457,7 +1731,7 @@ function convertPriceRange(rangeData, targetCurrency) {
 
   // Build converted range string with symbol on both values for clarity
   // Format: "₪31.70-₪63.40 ILS" (symbol on both prices)
-  const convertedRange = `${targetSymbol}${formattedMin}${separator}${targetSymbol}${formattedMax} ${targetCurrency}`;
+  const convertedRange = `${targetSymbol}${localizeDigits(formattedMin)}${separator}${targetSymbol}${localizeDigits(formattedMax)} ${targetCurrency}`;
 
   log(`✅ Converted range: ${sourceCurrency} ${minPrice}-${maxPrice} → ${convertedRange}`);
 
@@ -1616,9 +1890,9 @@ function detectQuantityPricing(text) {
 
   const patterns = [
     // "2 for $10", "3 for €15"
-    /(\d+)\s+for\s+([\$€£¥₹₪₽₩]\s*\d+[.,]?\d*)/i,
+    new RegExp(`(\\d+)\\s+for\\s+(${CURRENCY_SYMBOL_CLASS}\\s*\\d+[.,]?\\d*)`, 'i'),
     // "$5 each", "€10 per item"
-    /([\$€£¥₹₪₽₩]\s*\d+[.,]?\d*)\s+(?:each|per item|per unit|apiece)/i,
+    new RegExp(`(${CURRENCY_SYMBOL_CLASS}\\s*\\d+[.,]?\\d*)\\s+(?:each|per item|per unit|apiece)`, 'i'),
     // "Buy 2 get 1 free" (skip these)
     /buy\s+\d+\s+get\s+\d+/i
   ];
@@ -1657,7 +1931,7 @@ function detectMultiCurrency(text) {
   }
 
   // Pattern: "USD 5.81 (EUR 5.20)" or "$5.81 (€5.20)"
-  const pattern = /(?:([\$€£¥₹₪₽₩]|USD|EUR|GBP|JPY)\s*(\d+[.,]?\d*))\s*\(([^)]+)\)/i;
+  const pattern = new RegExp(`(?:(${CURRENCY_SYMBOL_CLASS}|${getAmountCodePattern()})\\s*(\\d+[.,]?\\d*))\\s*\\(([^)]+)\\)`);
   const match = text.match(pattern);
 
   if (match) {
@@ -1696,7 +1970,7 @@ function assembleCrossElementPrice(element) {
   let assembledText = element.textContent.trim();
 
   // Check if previous sibling has currency symbol
-  if (prevSibling && /^[\$€£¥₹₪₽₩]$/.test(prevSibling.textContent.trim())) {
+  if (prevSibling && SYMBOL_ONLY_REGEX.test(prevSibling.textContent.trim())) {
     assembledText = prevSibling.textContent.trim() + ' ' + assembledText;
   }
 
@@ -1762,8 +2036,8 @@ function scorePriceElement(element, text) {
 function normalizePriceText(text) {
   if (!text) return '';
 
-  // Remove zero-width spaces, non-breaking spaces, and normalize whitespace
-  let normalized = text
+  // Native digits to 0-9, remove zero-width spaces, non-breaking spaces, and normalize whitespace
+  let normalized = toAsciiDigits(text)
     .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width characters
     .replace(/\u00A0/g, ' ')  // Non-breaking space
     .replace(/\s+/g, ' ')     // Multiple spaces to single space
@@ -1806,16 +2080,16 @@ function extractFragmentedPrice(element) {
       // Only include spans that are part of the price (currency, digits, decimal)
       // Use pattern from FRAGMENTED_PRICE_RULES if available
       const validFragmentPattern = FRAGMENTED_PRICE_RULES?.aliexpress?.validFragmentPattern ||
-                                  /^(US\s*\$|[A-Z]{3}|[\$€£¥₹₪₽₩฿₺₣₱₫₴]|\d+|[.,])$/;
+                                  PRICE_FRAGMENT_REGEX;
 
       if (validFragmentPattern.test(text)) {
         fragments.push({
           text: text,
           isDecimal: text === '.' || text === ',',
           isDigit: /^\d+$/.test(text),
-          isCurrency: /^(US\s*\$|[A-Z]{3}|[\$€£¥₹₪₽₩฿₺₣₱₫₴])$/.test(text)
+          isCurrency: CURRENCY_FRAGMENT_REGEX.test(text)
         });
-        log(`   Fragment ${fragments.length}: "${text}" (decimal=${text === '.' || text === ','}, digit=${/^\d+$/.test(text)}, currency=${/^(US\s*\$|[A-Z]{3}|[\$€£¥₹₪₽₩฿₺₣₱₫₴])$/.test(text)})`);
+        log(`   Fragment ${fragments.length}: "${text}" (decimal=${text === '.' || text === ','}, digit=${/^\d+$/.test(text)}, currency=${CURRENCY_FRAGMENT_REGEX.test(text)})`);
       } else {
         log(`   Skipped non-price fragment: "${text}"`);
       }
@@ -1899,8 +2173,8 @@ function extractFragmentedPrice(element) {
         // Add space between parts if needed (e.g., "US" + "$" should be "US $")
         if (trimmed && text && !text.endsWith(' ') && !trimmed.startsWith(' ')) {
           // Check if we need a space (currency code followed by symbol or digit)
-          if ((/[A-Z]{2,3}$/.test(text) && /^[\$€£¥₹₪₽₩฿₺₣₱₫₴\d]/.test(trimmed)) ||
-              (/[\$€£¥₹₪₽₩฿₺₣₱₫₴]$/.test(text) && /^\d/.test(trimmed))) {
+          if ((/[A-Z]{2,3}$/.test(text) && SYMBOL_OR_DIGIT_START_REGEX.test(trimmed)) ||
+              (SYMBOL_END_REGEX.test(text) && /^\d/.test(trimmed))) {
             text += ' ';
           }
         }
@@ -1914,7 +2188,7 @@ function extractFragmentedPrice(element) {
   let combinedText = getAllText(element);
 
   // ⭐ SMART: Check if element already has a complete price
-  const hasCurrencySymbol = /[\$€£¥₹₪₽₩฿₺₣₱₫₴]|USD|EUR|GBP|ILS|JPY|CNY/.test(combinedText);
+  const hasCurrencySymbol = HAS_CURRENCY_REGEX.test(combinedText);
   const hasNumber = /\d/.test(combinedText);
   const hasCompletePrice = hasCurrencySymbol && hasNumber;
 
@@ -1923,7 +2197,7 @@ function extractFragmentedPrice(element) {
     const parentText = getAllText(element.parentElement);
     // Only use parent if it's not too large (avoid grabbing entire page)
     // AND parent doesn't have multiple prices
-    const priceCount = (parentText.match(/[\$€£¥₹₪₽₩฿₺₣₱₫₴]\s*\d+/g) || []).length;
+    const priceCount = (parentText.match(SYMBOL_AMOUNT_REGEX) || []).length;
     if (parentText.length > combinedText.length && parentText.length < 100 && priceCount <= 1) {
       combinedText = parentText;
     }
@@ -1935,55 +2209,15 @@ function extractFragmentedPrice(element) {
   return combinedText;
 }
 
-// ⭐ SUPER SMART: Intelligent decimal separator detection
-function detectDecimalSeparator(text, currency) {
-  // Currency-based hints (European countries use comma as decimal)
-  const europeanCurrencies = ['EUR', 'DKK', 'SEK', 'NOK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN', 'HRK'];
-  const preferComma = europeanCurrencies.includes(currency);
-
-  // Analyze the number structure
-  const hasComma = text.includes(',');
-  const hasDot = text.includes('.');
-  const hasBoth = hasComma && hasDot;
-
-  if (hasBoth) {
-    // Find which appears last (that's likely the decimal separator)
-    const lastCommaIndex = text.lastIndexOf(',');
-    const lastDotIndex = text.lastIndexOf('.');
-
-    // Check digit count after each separator
-    const afterComma = text.slice(lastCommaIndex + 1).match(/^\d+/)?.[0]?.length || 0;
-    const afterDot = text.slice(lastDotIndex + 1).match(/^\d+/)?.[0]?.length || 0;
-
-    // If last separator has exactly 2 digits after it, it's the decimal
-    if (lastCommaIndex > lastDotIndex && afterComma === 2) {
-      return 'comma'; // European format: 1.234,56
-    } else if (lastDotIndex > lastCommaIndex && afterDot === 2) {
-      return 'dot'; // US format: 1,234.56
-    }
-
-    // Position-based: whichever comes last is likely decimal
-    return lastCommaIndex > lastDotIndex ? 'comma' : 'dot';
-  }
-
-  // Only one separator - check digit count after it
-  if (hasComma) {
-    const afterComma = text.slice(text.lastIndexOf(',') + 1).match(/^\d+/)?.[0]?.length || 0;
-    // 2 digits = decimal, 3+ = thousands separator (ambiguous), 1 = likely decimal
-    if (afterComma === 2 || afterComma === 1) return 'comma';
-    // Ambiguous: use currency hint
-    return preferComma ? 'comma' : 'dot';
-  }
-
-  if (hasDot) {
-    const afterDot = text.slice(text.lastIndexOf('.') + 1).match(/^\d+/)?.[0]?.length || 0;
-    if (afterDot === 2 || afterDot === 1) return 'dot';
-    // Ambiguous: use currency hint
-    return preferComma ? 'comma' : 'dot';
-  }
+// Number conventions for a price in this currency on this page (see lib/numbers.js)
+function getPriceNumberConventions(currency) {
+  return getNumberConventions(getPriceLocale(document.documentElement.lang, currency));
+}
 
-  // No separator - assume whole number
-  return 'none';
+// ABBREVIATED_PRICE_REGEX match with a currency the magnitude belongs to: any magnitude after a currency ("$5k"),
+// only whole words before one ("3 crore rupees" - "5B euros" is too likely a room or a model number)
+function isCurrencyMagnitudeMatch(match) {
+  return Boolean(match[1] || (match[3] && match[5]));
 }
 
 // Extract price amount from text
@@ -2000,52 +2234,45 @@ function extractAmount(text, currency, element = null) {
     }
   }
 
-  // ⭐ SMART: Check for abbreviated amounts first (k/M/B/T)
-  // Matches: $5k, €2.5M, £1.2B, ¥100K, $3.5T
-  const abbreviatedMatch = text.match(/([€£¥₹₪₽₩฿₺₣₱₫₴\$]|USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY)\s*(\d+(?:[.,]\d+)?)\s*([KkMmBbTt])\b/i);
-
-  if (abbreviatedMatch) {
-    const baseAmount = parseFloat(abbreviatedMatch[2].replace(',', '.'));
-    const suffix = abbreviatedMatch[3].toUpperCase();
+  // ⭐ SMART: Check for amounts scaled by a magnitude word first
+  // Matches: $5k, €2.5M, £1.2bn, ₹5 lakh, 3 crore rupees, ¥3万, 1,5 Mrd. €
+  for (const abbreviatedMatch of text.matchAll(ABBREVIATED_PRICE_REGEX)) {
+    if (!isCurrencyMagnitudeMatch(abbreviatedMatch)) continue; // "5 mil", "Room 5B"
 
-    // Multiply based on suffix
-    let multiplier = 1;
-    switch (suffix) {
-      case 'K': multiplier = 1000; break;           // Thousand
-      case 'M': multiplier = 1000000; break;        // Million
-      case 'B': multiplier = 1000000000; break;     // Billion
-      case 'T': multiplier = 1000000000000; break;  // Trillion
-    }
+    const baseAmount = parseLocaleAmount(abbreviatedMatch[2], getPriceNumberConventions(currency));
+    if (baseAmount === null) continue;
 
-    const result = baseAmount * multiplier;
-    log(`🔢 Abbreviated amount detected: ${abbreviatedMatch[2]}${suffix} = ${result.toLocaleString()}`);
+    const magnitude = abbreviatedMatch[3] || abbreviatedMatch[4];
+    const result = baseAmount * getMagnitudeMultiplier(magnitude, document.documentElement.lang);
+    log(`🔢 Abbreviated amount detected: ${abbreviatedMatch[2]}${magnitude} = ${result.toLocaleString()}`);
     return result;
   }
 
-  // Common price patterns (more comprehensive)
+  // Common price patterns (more comprehensive); the number part also takes lakh grouping and 1'234.50
+  const number = `(${AMOUNT_NUMBER_PATTERN})`;
   const patterns = [
     // US dollar: US $123.45, US$123.45
-    /US\s*\$\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/i,
-    // Symbol before number: $123.45, €123,45, €12,99
-    /[€£¥₹₪₽₩฿₺₣₱₫₴]\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/,
+    new RegExp(`US\\s*\\$\\s*${number}`, 'i'),
+    // Symbol before number: $123.45, €123,45, €12,99, ₹1,23,456
+    new RegExp(`(?!\\$)${CURRENCY_SYMBOL_CLASS}\\s*${number}`),
     // Multi-char symbols: C$123.45, A$123.45
-    /[CANZHSR]\$\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/,
+    new RegExp(`[CANZHSR]\\$\\s*${number}`),
     // NT$ symbol
-    /NT\$\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/,
+    new RegExp(`NT\\$\\s*${number}`),
     // Symbol after number: 123.45zł, 123Ft
-    /(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)\s*(?:zł|Kč|Ft|lei|kr)/,
+    new RegExp(`${number}\\s*(?:${LETTER_SYMBOL_PATTERN})`),
     // Dollar sign (various types)
-    /\$\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/,
-    // Currency code: 123.45 USD, USD 123.45
-    /(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)?\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)\s*(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)?/i,
+    new RegExp(`\\$\\s*${number}`),
+    // Currency code: 123.45 USD, USD 123.45, CHF 1'234.50
+    new RegExp(`(?:${getAmountCodePattern()})?\\s*${number}\\s*(?:${getAmountCodePattern()})?`),
     // Arabic/special symbols
-    /[د\.إ﷼]\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/,
+    new RegExp(`[د\\.إ﷼]\\s*${number}`),
     // Fragmented price pattern (for AliExpress): "US $" followed by digits split across elements
     /US\s*\$?\s*(\d+)\s*\.?\s*(\d+)/i,
     // Just currency symbol followed by fragmented numbers
     /\$\s*(\d+)\s*\.?\s*(\d+)/,
     // Price with just numbers (last resort)
-    /(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/
+    new RegExp(number)
   ];
 
   for (const pattern of patterns) {
@@ -2061,27 +2288,9 @@ function extractAmount(text, currency, element = null) {
       }
 
       if (amountStr) {
-        // Clean amount: remove spaces and non-breaking spaces
-        let cleaned = amountStr.replace(/\s/g, '').replace(/\u00A0/g, '');
-
-        // ⭐ SUPER SMART: Use intelligent decimal separator detection
-        const decimalSeparator = detectDecimalSeparator(cleaned, currency);
-
-        if (decimalSeparator === 'comma') {
-          // European format: 1.234,56 → remove dots, replace comma with dot
-          cleaned = cleaned.replace(/\./g, '').replace(',', '.');
-          log('🧠 Detected European format (comma decimal)');
-        } else if (decimalSeparator === 'dot') {
-          // US format: 1,234.56 → remove commas
-          cleaned = cleaned.replace(/,/g, '');
-          log('🧠 Detected US format (dot decimal)');
-        } else {
-          // No decimal separator or ambiguous - keep as is
-          cleaned = cleaned.replace(/[,.]/g, '');
-        }
-
-        const result = parseFloat(cleaned);
-        if (!isNaN(result) && isFinite(result) && result > 0) {
+        // ⭐ Locale-aware: lakh grouping, 1'234.50, 1 234,56; page language + currency settle "1.234"
+        const result = parseLocaleAmount(amountStr, getPriceNumberConventions(currency));
+        if (result !== null && result > 0) {
           log('✅ Extracted amount:', result, 'from text:', text);
           return result;
         }
@@ -2092,14 +2301,16 @@ function extractAmount(text, currency, element = null) {
   return null;
 }
 
-// Calculate conversion
+// Calculate conversion (📌 user overrides win over the provider table)
 function calculateConversion(amount, sourceCurrency, targetCurrency) {
-  if (!exchangeRates[sourceCurrency] || !exchangeRates[targetCurrency]) {
+  const effective = getEffectiveRate
+    ? getEffectiveRate(exchangeRates, settings.rateOverrides, sourceCurrency, targetCurrency)
+    : null;
+  if (!effective) {
     return null;
   }
 
-  const usdAmount = amount / exchangeRates[sourceCurrency];
-  const convertedAmount = usdAmount * exchangeRates[targetCurrency];
+  const convertedAmount = amount * effective.rate;
 
   return isNaN(convertedAmount) || !isFinite(convertedAmount) ? null : convertedAmount;
 }
@@ -2126,11 +2337,11 @@ function detectClickedPrice(element, event) {
     // Optional country prefix: US, UK, AU, CA, NZ, HK, SG, EU, etc.
     '(?:(?:US|UK|AU|CA|NZ|HK|SG|EU|JP|CN|IN|IL|BR|RU|KR|TH|TR|ZA|SE|NO|DK|PL|CZ|HU|MX|TW|AE|SA|PH|VN|UA|RO|IS|KW|QA|EG)\\s+)?' +
     // Currency symbol OR code BEFORE number
-    '(?:([\\$€£¥₹₪₽₩฿₺₣₱₫₴]|USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\\s*)?' +
+    `(?:(${CURRENCY_SYMBOL_CLASS}|${getAmountCodePattern()})\\s*)?` +
     // The number with optional separators
     '(\\d{1,3}(?:[,.]\\d{3})*(?:[.,]\\d{1,2})?)' +
     // Currency code AFTER number (optional)
-    '(?:\\s*(?:USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP))?',
+    `(?:\\s*(?:${getAmountCodePattern()}))?`,
     'gi'
   );
   const allPrices = [];
@@ -2243,6 +2454,10 @@ function setupPriceContextMenu(element) {
   // Remove old listener if exists
   element.oncontextmenu = null;
 
+  // Re-conversions (rate refresh) reuse the listener attached the first time
+  if (element.dataset.contextMenuAttached) return;
+  element.dataset.contextMenuAttached = 'true';
+
   // Add right-click listener
   element.addEventListener('contextmenu', function(e) {
     // 🔧 FRAGMENTED PRICE: Find the correct price container (not too large, not too small)
@@ -2332,7 +2547,7 @@ function setupPriceContextMenu(element) {
 
     // ⭐ SMART: If we found a valid SINGLE price, ALLOW the element even if it matches large container pattern
     const hasValidPrice = clickedPriceInfo && clickedPriceInfo.text;
-    const priceCount = (storeText.match(/[\$€£¥₹₪₽₩]\s*\d+/g) || []).length;
+    const priceCount = (storeText.match(SYMBOL_AMOUNT_REGEX) || []).length;
     const hasSinglePrice = hasValidPrice && priceCount === 1;
     const shouldReject = isStillLargeContainer && !hasSinglePrice;
 
@@ -2363,12 +2578,15 @@ function setupPriceContextMenu(element) {
           sourceAmount: targetElement.dataset.sourceAmount,
           targetAmount: targetElement.dataset.targetAmount,
           convertedText: targetElement.dataset.convertedText,
+          // Shared symbol ($, kr) and its other readings, for the "Wrong currency?" menu
+          currencySymbol: targetElement.dataset.currencySymbol || null,
+          currencyAlternatives: targetElement.dataset.currencyAlternatives ? targetElement.dataset.currencyAlternatives.split(',') : [],
           timestamp: Date.now(),
           // NEW: Store clicked price details
           clickedPriceText: clickedPriceInfo ? clickedPriceInfo.text : null,
           clickedPriceStart: clickedPriceInfo ? clickedPriceInfo.startIndex : null,
           clickedPriceEnd: clickedPriceInfo ? clickedPriceInfo.endIndex : null,
-          hasMultiplePrices: targetElement.textContent.match(/[\$€£¥₹₪₽₩]\s*\d+/g)?.length > 1
+          hasMultiplePrices: targetElement.textContent.match(SYMBOL_AMOUNT_REGEX)?.length > 1
         };
         log('🖱️ Right-clicked on detected price:', lastClickedPrice);
       } else if (targetElement.contains(lastClickedPrice.element)) {
@@ -2388,6 +2606,8 @@ function setupPriceContextMenu(element) {
           source: lastClickedPrice.sourceCurrency,
           amount: lastClickedPrice.sourceAmount,
           converted: lastClickedPrice.convertedText,
+          symbol: lastClickedPrice.currencySymbol,
+          alternatives: lastClickedPrice.currencyAlternatives,
           timestamp: lastClickedPrice.timestamp
         }
       });
@@ -2428,6 +2648,32 @@ function applyConversion(element, amount, sourceCurrency, convertedAmount, targe
   element.dataset.targetAmount = convertedAmount.toFixed(2);
   element.dataset.convertedText = convertedText;
 
+  // Provenance travels with the element so the page prices panel / devtools can see it
+  const provenance = getRateProvenance(sourceCurrency, targetCurrency);
+  element.dataset.rateProvider = provenance.override ? 'override' : rateStatus?.provider || (rateStatus?.baseline ? 'baseline' : '');
+  element.dataset.rateAsOf = provenance.asOf || '';
+  element.dataset.pairRate = provenance.pairRate !== null ? provenance.pairRate.toPrecision(6) : '';
+  element.classList.toggle('currency-converter-stale', provenance.stale);
+
+  // 🎯 Shared symbol: which reading we picked, for the confidence note and the "Wrong currency?" menu
+  const resolution = symbolResolutions.get(element);
+  const symbolGuess = resolution && resolution.code === sourceCurrency ? resolution : null;
+  if (symbolGuess) {
+    element.dataset.currencySymbol = symbolGuess.symbol;
+    element.dataset.currencyConfidence = symbolGuess.confidence;
+    element.dataset.currencyAlternatives = symbolGuess.candidates.slice(1, MAX_SYMBOL_ALTERNATIVES + 1).map(({ code }) => code).join(',');
+  }
+
+  // ⭐ Multi-target: "₪185.00 · €46.00 · £39.00" for tooltips and inline labels
+  const multiTargetText = appendExtraTargets(convertedText, amount, sourceCurrency, targetCurrency);
+  // "You pay" (payment profile), "Landed" (import taxes) and rate provenance, one per line in the tooltip
+  const costNotes = [
+    getPaidAmountText(convertedAmount, targetCurrency),
+    getLandedCostText(element, convertedAmount, targetCurrency),
+    provenance.text,
+    getConfidenceText(symbolGuess)
+  ].filter(Boolean).join('\n') || null;
+
   // Apply styling based on settings
   if (settings.replacePrice) {
     // MODE 1: Replace Price with Conversion (preserve original styling)
@@ -2436,7 +2682,7 @@ function applyConversion(element, amount, sourceCurrency, convertedAmount, targe
 
     element.textContent = convertedText;
     const normalizedOriginal = (element.dataset.originalPrice || '').replace(/\s+/g, ' ').trim();
-    element.title = `Original: ${normalizedOriginal} (${sourceCurrency})`;
+    element.title = `Original: ${normalizedOriginal} (${sourceCurrency})${costNotes ? `\n${costNotes}` : ''}`;
 
     // ⭐ APPLY PRESERVED STYLES - keeps same color, size, weight as original
     applyPreservedStyles(element, originalStyles);
@@ -2455,10 +2701,16 @@ function applyConversion(element, amount, sourceCurrency, convertedAmount, targe
       const normalizedText = convertedText.replace(/\s+/g, ' ').trim();
       // Check if convertedText already has currency code to avoid duplication
       const alreadyHasCode = normalizedText.startsWith(targetCurrency);
-      element.title = alreadyHasCode ? normalizedText : `${normalizedText} ${targetCurrency}`;
+      const mainText = alreadyHasCode ? normalizedText : `${normalizedText} ${targetCurrency}`;
+      element.title = mainText + multiTargetText.substring(convertedText.length) + (costNotes ? `\n${costNotes}` : '');
       log('   Added native HTML title attribute (zero conflicts, universal support)');
     }
 
+    // MODE 3: Inline label next to the original price (site display mode)
+    if (settings.displayMode === 'inline') {
+      renderInlineLabel(element, costNotes ? `${multiTargetText} · ${costNotes.replace(/\n/g, ' · ')}` : multiTargetText, provenance.stale);
+    }
+
     // Add visual highlight if highlightPrices enabled
     if (settings.highlightPrices) {
       const highlightColors = getHighlightColors();
@@ -2476,6 +2728,220 @@ function applyConversion(element, amount, sourceCurrency, convertedAmount, targe
   log(`✅ ${sourceSymbol}${amount} ${sourceCurrency} → ${logText}`);
 }
 
+// Append the extra target currencies to the main converted text, skipping the source and main target
+function appendExtraTargets(convertedText, amount, sourceCurrency, targetCurrency) {
+  const extras = settings.extraTargetCurrencies
+    .filter(code => code !== sourceCurrency && code !== targetCurrency)
+    .map(code => {
+      const extraAmount = calculateConversion(amount, sourceCurrency, code);
+      if (extraAmount === null) return null;
+      const symbol = getCurrencySymbol(code);
+      const digits = localizeDigits(extraAmount.toFixed(2));
+      return symbol === code ? `${code} ${digits}` : `${symbol}${digits}`;
+    })
+    .filter(Boolean);
+
+  return extras.length > 0 ? `${convertedText} · ${extras.join(' · ')}` : convertedText;
+}
+
+// "You pay ≈ ₪189.63 (Visa / Mastercard +2.5%)" for the active payment profile, or null
+function getPaidAmountText(convertedAmount, targetCurrency) {
+  if (!settings.paymentProfile || !applyPaymentFees) return null;
+
+  const paid = applyPaymentFees(convertedAmount, targetCurrency, settings.paymentProfile, exchangeRates);
+  if (!paid) return null;
+
+  return `You pay ≈ ${getCurrencySymbol(targetCurrency)}${localizeDigits(paid.amount.toFixed(2))} (${describePaymentProfile(settings.paymentProfile)})`;
+}
+
+// "European Central Bank · 1 USD = 3.7012 ILS · 2026-10-16 · ⏳ 3 days old"
+// or "📌 Company rate: 1 USD = 3.5000 ILS" when a user override priced the pair
+// Returns { text, asOf, pairRate, stale, override }; asOf is the publication date when the provider has one
+function getRateProvenance(sourceCurrency, targetCurrency) {
+  const pairRate = calculateConversion(1, sourceCurrency, targetCurrency);
+  const override = getEffectiveRate
+    ? getEffectiveRate(exchangeRates, settings.rateOverrides, sourceCurrency, targetCurrency)?.override
+    : null;
+  if (override) {
+    // Pinned rates don't age - no provider, timestamp or stale flag
+    return { text: describeRateOverride(override), asOf: null, pairRate, stale: false, override };
+  }
+
+  const status = rateStatus || {};
+  const asOf = status.publishedAt || (status.updatedAt ? formatRateTime(status.updatedAt) : status.asOf || null);
+
+  const ageHours = status.updatedAt ? (Date.now() - status.updatedAt) / (60 * 60 * 1000) : null;
+  const stale = settings.staleRateHours > 0 && ageHours !== null && ageHours > settings.staleRateHours;
+
+  const parts = [];
+  if (status.offline) parts.push('✈️ Offline');
+  if (status.providerName) parts.push(status.baseline ? `⚠️ ${status.providerName}` : status.providerName);
+  if (pairRate !== null) parts.push(`1 ${sourceCurrency} = ${pairRate.toFixed(4)} ${targetCurrency}`);
+  if (asOf) parts.push(asOf);
+  if (stale) parts.push(`⏳ ${ageHours < 48 ? `${Math.round(ageHours)} h` : `${Math.floor(ageHours / 24)} days`} old`);
+
+  return { text: parts.join(' · ') || null, asOf, pairRate, stale, override: null };
+}
+
+// "Oct 17, 02:30 PM" for the time rates were fetched
+function formatRateTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// "Landed ≈ ₪230.50 (VAT ₪33.10 + shipping ₪12.00, IL)" with import taxes, or null
+function getLandedCostText(element, convertedAmount, targetCurrency) {
+  if (!settings.taxRule || !estimateLandedCost) return null;
+
+  const shippingCost = getShippingFor(element);
+  const shipping = shippingCost ? calculateConversion(shippingCost.amount, shippingCost.currency, targetCurrency) || 0 : 0;
+  const landed = estimateLandedCost(convertedAmount, shipping, settings.taxRule, targetCurrency, exchangeRates);
+  if (!landed) return null;
+
+  const symbol = getCurrencySymbol(targetCurrency);
+  const parts = [];
+  if (landed.vat > 0) parts.push(`VAT ${symbol}${localizeDigits(landed.vat.toFixed(2))}`);
+  if (landed.duty > 0) parts.push(`duty ${symbol}${localizeDigits(landed.duty.toFixed(2))}`);
+  if (landed.shipping > 0) parts.push(`shipping ${symbol}${localizeDigits(landed.shipping.toFixed(2))}`);
+  if (landed.exempt) parts.push('under de minimis');
+
+  const breakdown = parts.length > 0 ? `${parts.join(' + ')}, ${settings.taxRule.country}` : settings.taxRule.country;
+  return `Landed ≈ ${symbol}${localizeDigits(landed.amount.toFixed(2))} (${breakdown})`;
+}
+
+// Tag prices the detector skips (shipping lines, old/comparison prices) so the page total panel can list them
+function markSkippedPrice(element, text, kind) {
+  const currency = detectCurrency(text, element);
+  const amount = currency ? extractAmount(text, currency, element) : null;
+  if (!amount || amount <= 0) return null;
+
+  element.dataset.skippedPrice = kind;
+  element.dataset.sourceCurrency = currency;
+  element.dataset.sourceAmount = amount;
+  return { amount, currency };
+}
+
+// Cart/checkout pages: everything listed is one order with one shipping cost
+function isCartPage() {
+  return /cart|basket|checkout|bag/i.test(window.location.pathname);
+}
+
+// Row/card a price belongs to (the element itself is never its own line item - "product-price" is a price)
+function getLineItemContainer(element) {
+  return element.parentElement ? element.parentElement.closest(LINE_ITEM_SELECTOR) : null;
+}
+
+// Shipping that applies to a price: the order's on cart pages, else the one inside the price's own card
+function getShippingFor(element) {
+  if (isCartPage()) return pageShipping;
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    if (lineItemShipping.has(node)) return lineItemShipping.get(node);
+  }
+  return null;
+}
+
+// Remember a shipping cost so landed cost can include it - the first one for a cart, one per card elsewhere
+function rememberShippingCost(element, text) {
+  const free = /\bfree\b/i.test(text);
+  const shipping = free ? { amount: 0, currency: settings.defaultTargetCurrency } : markSkippedPrice(element, text, 'shipping');
+  if (!shipping) return;
+
+  if (isCartPage()) {
+    if (pageShipping) return;
+    pageShipping = shipping;
+  } else {
+    const container = getLineItemContainer(element);
+    if (!container || lineItemShipping.has(container)) return;
+    lineItemShipping.set(container, shipping);
+  }
+  if (free || !settings.taxRule) return;
+
+  log(`📦 Shipping cost for landed cost: ${shipping.currency} ${shipping.amount}`);
+
+  // Prices converted before the shipping line was found need the new total
+  setTimeout(refreshConvertedPrices, 0);
+}
+
+// Show "(≈ ₪12.34)" right after the price; reuses the label on re-conversion
+function renderInlineLabel(element, convertedText, stale = false) {
+  let label = element.nextElementSibling;
+  if (!label || !label.classList.contains('currency-converter-inline')) {
+    label = document.createElement('span');
+    label.className = 'currency-converter-inline';
+    label.dataset.converted = 'true'; // Keep detection passes away from our own label
+    processedElements.add(label);
+    element.insertAdjacentElement('afterend', label);
+  }
+  label.textContent = ` (≈ ${convertedText.replace(/\s+/g, ' ').trim()})`;
+  label.classList.toggle('currency-converter-stale', stale);
+}
+
+// Re-apply conversions on already converted elements (e.g. after a rate refresh)
+function refreshConvertedPrices() {
+  if (siteProfile.disabled || !isFrameAllowed()) return;
+
+  const targetCurrency = settings.defaultTargetCurrency;
+  let refreshed = 0;
+
+  document.querySelectorAll('[data-converted="true"]').forEach(element => {
+    const amount = parseFloat(element.dataset.sourceAmount);
+    const sourceCurrency = element.dataset.sourceCurrency;
+    if (!amount || !sourceCurrency || !element.dataset.originalPrice || element.dataset.isRange) return;
+
+    const convertedAmount = calculateConversion(amount, sourceCurrency, targetCurrency);
+    if (convertedAmount === null) return;
+
+    // Prices replaced via context menu stay replaced even when replacePrice is OFF
+    const isReplaced = element.textContent === element.dataset.convertedText;
+    if (isReplaced && !settings.replacePrice) {
+      const convertedText = generateConvertedText(element.dataset.originalPrice, convertedAmount, targetCurrency);
+      element.textContent = convertedText;
+      element.dataset.targetAmount = convertedAmount.toFixed(2);
+      element.dataset.convertedText = convertedText;
+    } else {
+      applyConversion(element, amount, sourceCurrency, convertedAmount, targetCurrency);
+    }
+    refreshed++;
+  });
+
+  log(`🔄 Refreshed ${refreshed} converted prices with new rates`);
+}
+
+// 🧮 Every price on the page for the popup's total panel, in document order
+// kind: 'item' (converted price), 'shipping' or 'old' (skipped by the detector)
+function collectPagePrices() {
+  const targetCurrency = settings.defaultTargetCurrency;
+  const items = [];
+
+  document.querySelectorAll('[data-converted="true"][data-source-amount], [data-skipped-price]').forEach(element => {
+    const amount = parseFloat(element.dataset.sourceAmount);
+    const currency = element.dataset.sourceCurrency;
+    if (!amount || !currency) return;
+
+    // Line item context: the row/card the price sits in, minus the price itself
+    const container = element.closest(LINE_ITEM_SELECTOR);
+    const priceText = (element.dataset.originalPrice || element.textContent).trim();
+    const label = container && container !== element
+      ? container.textContent.replace(priceText, '').replace(/\s+/g, ' ').trim().slice(0, 60)
+      : '';
+
+    items.push({
+      kind: element.dataset.skippedPrice || 'item',
+      label,
+      originalText: priceText.replace(/\s+/g, ' '),
+      amount,
+      currency,
+      converted: calculateConversion(amount, currency, targetCurrency)
+    });
+  });
+
+  return {
+    items,
+    targetCurrency,
+    // Cart/checkout pages: everything listed is part of the order, so pre-tick it
+    isCart: isCartPage()
+  };
+}
+
 // ============================================================================
 // 🚀 SMART DETECTION METHODS - Find prices in multiple ways
 // ============================================================================
@@ -2647,7 +3113,7 @@ function detectPricesFromAttributes() {
 
     for (const attr of attributesToCheck) {
       const attrValue = element.getAttribute(attr);
-      if (attrValue && /[$€£¥₹₪₽₩]|\b(USD|EUR|GBP)\b/i.test(attrValue)) {
+      if (attrValue && HAS_CURRENCY_REGEX.test(attrValue)) {
         priceText = attrValue;
         log(`🔖 Attribute "${attr}" contains price: "${priceText}"`);
         break;
@@ -2723,13 +3189,13 @@ function detectPricesFromTables() {
       }
 
       // Check if cell contains currency indicators
-      if (!/[$€£¥₹₪₽₩]|\b(USD|EUR|GBP|JPY|ILS)\b/i.test(text)) {
+      if (!HAS_CURRENCY_REGEX.test(text)) {
         skipped++;
         continue;
       }
 
       // Look for price patterns
-      const priceMatch = text.match(/[$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(USD|EUR|GBP|JPY|ILS)/i);
+      const priceMatch = text.match(new RegExp(`${CURRENCY_SYMBOL_CLASS}\\s*\\d+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?\\s*(${getAmountCodePattern()})`));
       if (!priceMatch) {
         skipped++;
         continue;
@@ -2788,7 +3254,7 @@ function detectPricesFromLists() {
     }
 
     // Must contain currency indicator
-    if (!/[$€£¥₹₪₽₩]|\b(USD|EUR|GBP|JPY|ILS)\b/i.test(text)) {
+    if (!HAS_CURRENCY_REGEX.test(text)) {
       skipped++;
       continue;
     }
@@ -2921,7 +3387,7 @@ function detectPricesFromVisualStyles() {
     }
 
     // Must contain currency indicator
-    if (!/[$€£¥₹₪₽₩]|\b(USD|EUR|GBP|JPY|ILS)\b/i.test(text)) {
+    if (!HAS_CURRENCY_REGEX.test(text)) {
       skipped++;
       continue;
     }
@@ -3047,7 +3513,7 @@ function detectPricesFromAdjacentText() {
       // Try finding price within same parent
       const children = Array.from(parent.children);
       priceElement = children.find(child =>
-        /[$€£¥₹₪₽₩]|\b(USD|EUR|GBP)\b/i.test(child.textContent || '')
+        HAS_CURRENCY_REGEX.test(child.textContent || '')
       );
     }
 
@@ -3191,7 +3657,7 @@ function detectPricesFromShadowDOM() {
         }
 
         // Must contain currency
-        if (!/[$€£¥₹₪₽₩]|\b(USD|EUR|GBP|JPY|ILS)\b/i.test(text)) {
+        if (!HAS_CURRENCY_REGEX.test(text)) {
           skipped++;
           continue;
         }
@@ -3240,14 +3706,15 @@ function detectPricesFromTextPatterns() {
   const MAX_ELEMENTS = 400;
 
   // Comprehensive text patterns that indicate prices
+  const pricePart = `(${CURRENCY_SYMBOL_CLASS}\\s*\\d+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?\\s*(?:${getAmountCodePattern()}))`;
   const patterns = [
-    /\bstarting\s+(?:from|at)\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\bonly\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\bjust\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\bfrom\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\bas\s+low\s+as\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\bfor\s+(?:only|just)\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi,
-    /\b(?:save|discount)\s+up\s+to\s+([$€£¥₹₪₽₩]\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|ILS))/gi
+    new RegExp(`\\bstarting\\s+(?:from|at)\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\bonly\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\bjust\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\bfrom\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\bas\\s+low\\s+as\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\bfor\\s+(?:only|just)\\s+${pricePart}`, 'gi'),
+    new RegExp(`\\b(?:save|discount)\\s+up\\s+to\\s+${pricePart}`, 'gi')
   ];
 
   // Walk through all text-containing elements (limited for performance)
@@ -3338,7 +3805,7 @@ function detectPricesFromAriaLabels() {
       }
     }
 
-    if (!ariaText || !/[$€£¥₹₪₽₩]|\b(USD|EUR|GBP|JPY|ILS)\b/i.test(ariaText)) {
+    if (!ariaText || !HAS_CURRENCY_REGEX.test(ariaText)) {
       skipped++;
       continue;
     }
@@ -3377,6 +3844,124 @@ function detectPricesFromAriaLabels() {
   return { converted, skipped };
 }
 
+// Spelled-out and magnitude amounts in one text, in order and never overlapping:
+// "$1.2 billion" / "₹5 lakh" / "¥3万" (magnitude next to a currency), "50 euros" / "3 crore rupees" (currency word)
+function findSpelledAmounts(text) {
+  const found = [];
+  const overlaps = (index, length) => found.some(amount => index < amount.index + amount.text.length && amount.index < index + length);
+
+  for (const match of text.matchAll(ABBREVIATED_PRICE_REGEX)) {
+    if (isCurrencyMagnitudeMatch(match)) found.push({ text: match[0], index: match.index });
+  }
+  for (const match of text.matchAll(WORD_PRICE_REGEX)) {
+    // "pounds", "won", "rand", "lira" only with a symbol or code in front ("£5 pounds", not "lost 10 pounds")
+    if (!match[4] && !match[1]) continue;
+    if (!overlaps(match.index, match[0].length)) found.push({ text: match[0], index: match.index });
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * PASS 15: Spelled-out amounts in running text
+ * News and classifieds write "50 euros", "20 dólares", "3 crore rupees" or "$1.2 billion" mid-sentence -
+ * each amount is wrapped in its own span so the rest of the paragraph is left alone
+ */
+function detectPricesFromSpelledAmounts() {
+  let converted = 0;
+  let skipped = 0;
+
+  // Performance limits
+  const MAX_SCANNED_NODES = 2000;
+  const MAX_MATCHED_NODES = 100;
+  const MAX_SPELLED_AMOUNT = 1e15; // "$1.2 trillion" is written on purpose, unlike a 13-digit phone number
+
+  const walker = document.createTreeWalker(
+    document.body,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || /^(?:SCRIPT|STYLE|NOSCRIPT|TEXTAREA|OPTION)$/.test(parent.tagName) || parent.isContentEditable) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
+        // Already converted, or inside one of our own labels and panels
+        if (processedElements.has(parent) || parent.closest('[data-converted="true"], [class*="currency-converter"], [id*="currency-converter"]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
+        const text = node.textContent;
+        return text && text.length >= 4 && /\d/.test(text) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    }
+  );
+
+  // Collect first - splitting text nodes while walking would confuse the walker
+  const candidates = [];
+  let scanned = 0;
+  let node;
+  while ((node = walker.nextNode()) && scanned < MAX_SCANNED_NODES && candidates.length < MAX_MATCHED_NODES) {
+    scanned++;
+    const amounts = findSpelledAmounts(toAsciiDigits(node.textContent));
+    if (amounts.length > 0) candidates.push({ node, amounts });
+  }
+
+  for (const { node: textNode, amounts } of candidates) {
+    let rest = textNode; // Text node holding everything after the last wrapped amount
+    let offset = 0;      // Where `rest` starts in the original text
+
+    for (const spelled of amounts) {
+      // No element context - the words say which currency it is, a data-currency on the card does not
+      const sourceCurrency = detectCurrency(spelled.text, null);
+      if (!sourceCurrency || sourceCurrency === settings.defaultTargetCurrency) {
+        skipped++;
+        continue;
+      }
+
+      const amount = extractAmount(spelled.text, sourceCurrency);
+      if (!amount || amount <= 0 || amount > MAX_SPELLED_AMOUNT) {
+        skipped++;
+        continue;
+      }
+
+      const convertedAmount = calculateConversion(amount, sourceCurrency, settings.defaultTargetCurrency);
+      if (!convertedAmount) {
+        skipped++;
+        continue;
+      }
+
+      // "... raised $1.2 billion in ..." -> "... raised " <span>$1.2 billion</span> " in ..."
+      const priceNode = rest.splitText(spelled.index - offset);
+      rest = priceNode.splitText(spelled.text.length);
+      offset = spelled.index + spelled.text.length;
+
+      const span = document.createElement('span');
+      span.className = 'currency-converter-spelled';
+      priceNode.replaceWith(span);
+      span.appendChild(priceNode);
+
+      log(`🔤 Spelled-out amount: "${spelled.text}" → ${sourceCurrency} ${amount}`);
+      applyConversion(span, amount, sourceCurrency, convertedAmount, settings.defaultTargetCurrency);
+      processedElements.add(span);
+      converted++;
+    }
+  }
+
+  return { converted, skipped };
+}
+
+// Crypto codes (coins + sub-units) that currently have a rate
+function getAvailableCrypto() {
+  if (!getCryptoAssets) return [];
+  const { CRYPTO_DENOMINATIONS } = window.CryptoAssets;
+  const codes = [
+    ...getCryptoAssets(settings.cryptoAssets).map(asset => asset.ticker),
+    ...Object.keys(CRYPTO_DENOMINATIONS)
+  ];
+  return codes.filter(code => exchangeRates[code]);
+}
+
 /**
  * PASS 13: Cryptocurrency detection
  * Finds and converts cryptocurrency prices (BTC, ETH, etc.)
@@ -3386,8 +3971,7 @@ function detectPricesFromCrypto() {
   let skipped = 0;
 
   // Check if we have any crypto rates loaded
-  const cryptoRates = ['BTC', 'ETH', 'USDT', 'USDC', 'BNB', 'XRP', 'ADA', 'SOL', 'DOGE', 'DOT', 'MATIC', 'LTC'];
-  const availableCrypto = cryptoRates.filter(code => exchangeRates[code]);
+  const availableCrypto = getAvailableCrypto();
 
   log(`🔍 Crypto detection starting...`);
   log(`💰 Available crypto rates: ${availableCrypto.length > 0 ? availableCrypto.join(', ') : 'NONE'}`);
@@ -3401,6 +3985,9 @@ function detectPricesFromCrypto() {
   // Performance limit
   const MAX_ELEMENTS = 500;
 
+  // Default + user-added tickers and sub-units ("21,000 sats", "30 gwei")
+  const cryptoPriceRegex = buildCryptoPriceRegex(getCryptoAssets(settings.cryptoAssets));
+
   // Find all text elements that might contain crypto prices
   const textElements = Array.from(
     document.querySelectorAll('p, div, span, li, td, th, h1, h2, h3, h4, h5, h6, a, label, code')
@@ -3418,15 +4005,16 @@ function detectPricesFromCrypto() {
       continue;
     }
 
-    // Use the CRYPTO_PRICE_REGEX from lib/regex.js
-    const match = text.match(window.PriceRegex.CRYPTO_PRICE_REGEX);
+    const match = text.match(cryptoPriceRegex);
     if (!match) {
       skipped++;
       continue;
     }
 
-    const amount = parseFloat(match[1]);
-    const cryptoCode = match[2].toUpperCase();
+    // Crypto amounts are written the English way - commas only group thousands
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    const cryptoCode = resolveCryptoUnit(match[2]);
+    const cryptoUnit = match[2];
 
     log(`💰 Crypto detected: ${amount} ${cryptoCode}`);
 
@@ -3445,22 +4033,15 @@ function detectPricesFromCrypto() {
       continue;
     }
 
-    // Convert crypto → USD → target currency
-    // exchangeRates[cryptoCode] = how many crypto per 1 USD
-    // So: 1 crypto = 1 / exchangeRates[cryptoCode] USD
-    const usdValue = amount / exchangeRates[cryptoCode];
-
-    // Now convert USD to target currency
-    const targetRate = exchangeRates[settings.defaultTargetCurrency];
-    if (!targetRate) {
+    // Convert crypto → target currency (sub-units like SAT have their own rate-table entry)
+    const convertedAmount = calculateConversion(amount, cryptoCode, settings.defaultTargetCurrency);
+    if (convertedAmount === null) {
       log(`⚠️ No exchange rate available for ${settings.defaultTargetCurrency}`);
       skipped++;
       continue;
     }
 
-    const convertedAmount = usdValue * targetRate;
-
-    log(`🔄 Conversion: ${amount} ${cryptoCode} = $${usdValue.toFixed(2)} USD = ${convertedAmount.toFixed(2)} ${settings.defaultTargetCurrency}`);
+    log(`🔄 Conversion: ${amount} ${cryptoCode} = ${convertedAmount.toFixed(2)} ${settings.defaultTargetCurrency}`);
 
     // Format the converted price
     const targetSymbol = getCurrencySymbol(settings.defaultTargetCurrency);
@@ -3486,12 +4067,12 @@ function detectPricesFromCrypto() {
     // Apply conversion based on display mode
     if (settings.replacePrice) {
       // Replace mode: "₪185,123.45 ILS (was 1.5 ETH)"
-      element.textContent = `${convertedText} (was ${amount} ${cryptoCode})`;
-      element.title = `Original: ${amount} ${cryptoCode}`;
+      element.textContent = `${convertedText} (was ${amount} ${cryptoUnit})`;
+      element.title = `Original: ${amount} ${cryptoUnit}`;
       log(`✅ Replaced crypto price: ${amount} ${cryptoCode} → ${convertedText}`);
     } else if (settings.showInlineConversion) {
       // Inline mode: "1.5 ETH (₪185,123.45 ILS)"
-      element.textContent = `${amount} ${cryptoCode} (${convertedText})`;
+      element.textContent = `${amount} ${cryptoUnit} (${convertedText})`;
       log(`✅ Inline crypto conversion: ${amount} ${cryptoCode} (${convertedText})`);
     } else {
       // Tooltip mode (default): hover to see conversion
@@ -3516,6 +4097,8 @@ function detectPricesFromCrypto() {
 
 // Find and convert prices
 function convertPrices() {
+  if (siteProfile.disabled || !isFrameAllowed()) return;
+
   log('🔍 Looking for prices in ALL currencies...');
 
   const siteType = detectWebsiteType();
@@ -3705,10 +4288,10 @@ function convertPrices() {
       // Method 4: Check for generic small spans (various e-commerce sites)
       const hasSmallSpans = Array.from(childSpans).some(span => {
         const spanText = span.textContent.trim();
-        return spanText.length <= 3 && /^[\d\.$€£¥₹₪₽₩,.]+$/.test(spanText);
+        return spanText.length <= 3 && new RegExp(`^(?:${CURRENCY_SYMBOL_CLASS}|[\\d.,])+$`).test(spanText);
       });
 
-      const hasCurrencySymbol = /[\$€£¥₹₪₽₩]|USD|EUR|GBP|ILS|JPY|CNY|US\s*\$/.test(text);
+      const hasCurrencySymbol = HAS_CURRENCY_REGEX.test(text);
 
       // ⭐ AGGRESSIVE DETECTION: Trigger if ANY condition is met
       if ((hasAmazonPriceStructure || hasAliExpressMetadata || hasAliExpressContainer || hasSmallSpans) && hasCurrencySymbol) {
@@ -3776,6 +4359,7 @@ function convertPrices() {
     // ⭐ SMART: Skip shipping costs (only convert product prices)
     if (isShippingCost(element)) {
       log(`📦 Skipping shipping cost: "${text.slice(0, 30)}"`);
+      rememberShippingCost(element, text);
       skipped++;
       continue;
     }
@@ -3784,6 +4368,7 @@ function convertPrices() {
     const saleInfo = detectSalePrice(element);
     if (saleInfo.isOldPrice && saleInfo.confidence > 50) {
       log(`🏷️ Skipping old/comparison price: "${text.slice(0, 30)}" (confidence: ${saleInfo.confidence}%)`);
+      markSkippedPrice(element, text, 'old');
       skipped++;
       continue;
     }
@@ -3852,11 +4437,8 @@ function convertPrices() {
 
           const text = node.textContent.trim();
 
-          // Use imported regex pattern if available, otherwise fallback to inline
-          const hasCurrencyPattern = HAS_CURRENCY_REGEX || /[$€£¥₹₪₽₩฿₺₣₱₫₴złKčFtlei]|\b(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i;
-
           // Accept if text has currency symbol/code AND contains digits
-          if (hasCurrencyPattern.test(text) && /\d/.test(text)) {
+          if (HAS_CURRENCY_REGEX.test(text) && /\d/.test(text)) {
             return NodeFilter.FILTER_ACCEPT;
           }
 
@@ -3966,6 +4548,10 @@ function convertPrices() {
     }
   }
 
+  // PASS 15: Spelled-out amounts in sentences (50 euros, 3 crore rupees, $1.2 billion) - last, so
+  // prices the passes above already own are never split
+  safeExecutePass('PASS 15: Spelled-out amounts', detectPricesFromSpelledAmounts);
+
   log(`🎯 Converted ${converted} prices, skipped ${skipped} same-currency`);
 }
 
@@ -3993,12 +4579,20 @@ function debounce(func, wait) {
 // Initialize
 async function init() {
   await loadSettings();
+
+  if (!isFrameAllowed()) {
+    log(`🖼️ Skipping frame from ${window.location.hostname} (same-site frames only)`);
+    return;
+  }
+  if (!IS_TOP_FRAME) await registerFrame();
+
   await loadRates();
 
   // Detect page-level currency (meta tags, domain, locale, structured data)
-  pageCurrency = detectPageCurrency();
+  pageCurrency = resolvePageCurrency();
   if (pageCurrency) {
     log(`🌍 Page currency detected: ${pageCurrency}`);
+    sharePageContext();
   }
 
   log('🚀 Extension initialized - Using native HTML title tooltips for zero conflicts!');
@@ -4034,7 +4628,7 @@ async function init() {
       const text = target.textContent?.trim() || '';
 
       // Check if this element or its data attributes indicate it's a price
-      const hasPrice = /[\$€£¥₹₪₽₩฿₺₣₱₫₴]|USD|EUR|GBP|JPY|ILS|CAD/.test(text) && /\d/.test(text);
+      const hasPrice = HAS_CURRENCY_REGEX.test(text) && /\d/.test(text);
       const isConverted = target.dataset && (target.dataset.originalPrice || target.dataset.converted);
 
       if ((hasPrice || isConverted) && text.length < 300) {
@@ -4070,7 +4664,7 @@ function setupMutationObserver() {
             const hasPrice = node.querySelector && (
               node.querySelector('[class*="price"]') ||
               node.querySelector('[id*="price"]') ||
-              /[$€£¥₹₪₽₩฿₺]/.test(node.textContent || '') ||
+              CURRENCY_SYMBOL_REGEX.test(node.textContent || '') ||
               (node.className && typeof node.className === 'string' && node.className.includes('price'))
             );
             if (hasPrice) {
@@ -4136,6 +4730,27 @@ document.addEventListener('mouseup', () => {
 
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === 'getPagePrices') {
+    sendResponse(collectPagePrices());
+    return false;
+  }
+
+  if (request.type === 'getFrameContext') {
+    // 🖼️ A frame just registered - tell it what this page is priced in (top frame only)
+    sendResponse({ pageCurrency: IS_TOP_FRAME ? pageCurrency : null });
+    return false;
+  }
+
+  if (request.type === 'topFrameContext') {
+    // 🖼️ The top frame worked out its page currency after this frame registered
+    if (!IS_TOP_FRAME && request.pageCurrency && request.pageCurrency !== topFrameCurrency) {
+      topFrameCurrency = request.pageCurrency;
+      pageCurrency = resolvePageCurrency();
+      setTimeout(convertPrices, 500);
+    }
+    return false;
+  }
+
   if (request.type === 'replaceSelectedText') {
     replaceSelectedText(request);
     sendResponse({ success: true });
@@ -4147,6 +4762,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
   }
 
+  if (request.type === 'correctSymbolCurrency') {
+    // 🔁 "Wrong currency?" menu: this site's symbol means another currency
+    rememberSymbolCurrency(request.symbol, request.currency).catch(error => {
+      logError('❌ Failed to save currency correction:', error);
+    });
+    sendResponse({ success: true });
+  }
+
   if (request.type === 'themeChanged') {
     // Update current theme
     currentTheme = request.theme || 'default';
@@ -4158,11 +4781,25 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
   }
 
+  if (request.type === 'ratesUpdated') {
+    // ⭐ Scheduled refresh pushed a new rate table - re-convert with fresh numbers
+    if (request.rates && Object.keys(request.rates).length > 0) {
+      exchangeRates = request.rates;
+      rateStatus = request.rateStatus || null;
+      conversionCache.clear();
+      refreshConvertedPrices();
+      log('💱 Rates refreshed by scheduler:', Object.keys(exchangeRates).length, 'currencies');
+    }
+  }
+
   if (request.type === 'settingsUpdated') {
     // Reload settings and re-scan
     loadSettings().then(() => {
+      pageCurrency = resolvePageCurrency(); // Site rule may force a different source
+      sharePageContext();
       // Clear cache when settings change
       conversionCache.clear();
+      refreshConvertedPrices(); // Pick up target list / display changes on converted prices
       setTimeout(convertPrices, 500);
     });
   }
@@ -4216,12 +4853,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         // ⭐ Priority 2: Check if this element has a complete price pattern
         if (text.length > 0 && text.length < 300) {
-          const hasCurrency = /[\$€£¥₹₪₽₩฿₺₣₱₫₴]|US\s*\$|USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY/i.test(text);
+          const hasCurrency = HAS_CURRENCY_REGEX.test(text);
           const hasNumber = /\d+[.,]?\d*/.test(text);
 
           // ⭐ Priority 3: Check for fragmented prices (multiple child spans with numbers)
           const hasMultipleSpans = currentElement.querySelectorAll('span').length >= 2;
-          const hasFragmentedNumber = /\d/.test(text) && /[\$€£¥₹₪₽₩฿₺₣₱₫₴]|US|EUR|GBP|ILS/.test(text);
+          const hasFragmentedNumber = /\d/.test(text) && new RegExp(`${CURRENCY_SYMBOL_CLASS}|US|EUR|GBP|ILS`).test(text);
 
           if ((hasCurrency && hasNumber) || (hasMultipleSpans && hasFragmentedNumber)) {
             priceElement = currentElement;
@@ -4371,7 +5008,7 @@ function convertClickedPrice() {
       const candidates = element.querySelectorAll(selector);
       for (const candidate of candidates) {
         const candidateText = candidate.textContent.trim();
-        const priceCount = (candidateText.match(/[\$€£¥₹₪₽₩]\s*\d+/g) || []).length;
+        const priceCount = (candidateText.match(SYMBOL_AMOUNT_REGEX) || []).length;
 
         // Only use if it has exactly 1 price (not a container with multiple prices)
         if (priceCount === 1) {
@@ -4409,7 +5046,11 @@ function convertClickedPrice() {
 
   if (!convertedText) {
     // Calculate conversion if not already stored
-    const convertedAmount = (sourceAmount / exchangeRates[sourceCurrency]) * exchangeRates[targetCurrency];
+    const convertedAmount = calculateConversion(sourceAmount, sourceCurrency, targetCurrency);
+    if (convertedAmount === null) {
+      logWarn(`Missing exchange rate for ${sourceCurrency} or ${targetCurrency}`);
+      return;
+    }
 
     // ⭐ Use helper to generate converted text with currency code preservation
     // Prefer clicked price text (has full context), fallback to element text
@@ -4509,8 +5150,8 @@ function convertClickedPrice() {
 
           // Parse the converted price parts
           // Handle: "₪158.97", "₪ 158.97", "ILS ₪158.97", "ILS ₪ 158.97"
-          const convertedWithCodeMatch = specificConvertedText.match(/^([A-Z]{3})\s+([\$€£¥₹₪₽₩฿₺₣₱₫₴])\s*([\d.,]+)$/);
-          const convertedWithoutCodeMatch = specificConvertedText.match(/^([\$€£¥₹₪₽₩฿₺₣₱₫₴])\s*([\d.,]+)$/);
+          const convertedWithCodeMatch = specificConvertedText.match(new RegExp(`^([A-Z]{3})\\s+(${CURRENCY_SYMBOL_CLASS})\\s*([\\d.,]+)$`));
+          const convertedWithoutCodeMatch = specificConvertedText.match(new RegExp(`^(${CURRENCY_SYMBOL_CLASS})\\s*([\\d.,]+)$`));
 
           let convertedCurrencyCode = null;
           let convertedSymbol = null;
@@ -4560,7 +5201,7 @@ function convertClickedPrice() {
                 log(`   ✅ Replaced currency code: "${text}" → "${convertedCurrencyCode}"`);
               }
               // Replace currency symbol
-              else if (text === '$' || text === 'USD' || /^[\$€£¥₹₽₩]$/.test(text)) {
+              else if (text === '$' || text === 'USD' || SYMBOL_ONLY_REGEX.test(text)) {
                 node2.textContent = node2.textContent.replace(text, convertedSymbol);
                 // ⭐ REAPPLY STYLES to parent element
                 if (parentElement && parentStyles) {
@@ -4621,7 +5262,7 @@ function convertClickedPrice() {
 
   // ⭐ CRITICAL: Check if element contains text BEYOND the price
   // Extract all prices from the text
-  const pricePattern = /(?:US\s*)?([\$€£¥₹₪₽₩]|USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s*\d+(?:[.,]\d{1,2})?/gi;
+  const pricePattern = new RegExp(`(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(${CURRENCY_SYMBOL_CLASS}|${getAmountCodePattern()})\\s*\\d+(?:[.,]\\d{1,2})?`, 'g');
   const allPrices = textContent.match(pricePattern) || [];
   const totalPriceLength = allPrices.reduce((sum, price) => sum + price.length, 0);
 
@@ -4725,7 +5366,7 @@ function convertClickedPrice() {
 
   // Detect fragmented prices (multiple spans/elements with price parts)
   const hasMultipleSpans = (htmlContent.match(/<span/gi) || []).length > 1;
-  const hasCurrencyAndDigits = /[\$€£¥₹₪₽₩]|\bUSD\b|\bEUR\b|\bGBP\b|\bJPY\b|\bCNY\b/i.test(textContent) && /\d/.test(textContent);
+  const hasCurrencyAndDigits = HAS_CURRENCY_REGEX.test(textContent) && /\d/.test(textContent);
 
   // Check if it's a simple single-text-node structure (and ONLY contains price)
   const isSimplePrice = !hasAdditionalText &&
@@ -4761,7 +5402,7 @@ function convertClickedPrice() {
 
   // Extract ONLY the price pattern (currency + amount) from the original text
   // Enhanced regex to support BOTH symbols ($, €, £) AND codes (USD, EUR, GBP)
-  const pricePatternRegex = /(?:(?:US|HK|NZ|AU|CA|SG|C|A|NZ|HK|S)\s*)?(?:[\$€£¥₹₪₽₩฿₺₣₱₫₴]|USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s*(\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?)/gi;
+  const pricePatternRegex = new RegExp(`(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(?:${CURRENCY_SYMBOL_CLASS}|${getAmountCodePattern()})\\s*(\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?)`, 'g');
 
   // Find all currency patterns in the original text
   const matches = Array.from(originalPrice.matchAll(pricePatternRegex));
@@ -4839,8 +5480,8 @@ function convertClickedPrice() {
         // Match the exact source amount with flexible formatting - supports symbols AND codes
         const amountPattern = sourceAmount.toString().replace(/\./g, '[.,]');
         const lastResortRegex = new RegExp(
-          `(?:(?:US|HK|NZ|AU|CA|SG)\\s*)?(?:[\\\$€£¥₹₪₽₩฿₺₣₱₫₴]|USD|EUR|GBP|JPY|CNY|INR|ILS|CAD|AUD|CHF|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\\s*${amountPattern}`,
-          'gi'
+          `(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(?:${CURRENCY_SYMBOL_CLASS}|${getAmountCodePattern()})\\s*${amountPattern}`,
+          'g'
         );
 
         while (textNode = walker2.nextNode()) {
@@ -4902,9 +5543,9 @@ function replaceSelectedText(data) {
       // Multi-char symbols
       new RegExp(`[CANZHSR]\\$\\s*\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?`, 'g'),
       // Symbol after number
-      new RegExp(`\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?\\s*(?:zł|Kč|Ft|lei|kr)`, 'gi'),
+      new RegExp(`\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?\\s*(?:${LETTER_SYMBOL_PATTERN})`, 'g'),
       // Currency code with number
-      new RegExp(`(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)?\\s*\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?\\s*(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)?`, 'gi')
+      new RegExp(`(?:${getAmountCodePattern()})?\\s*\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d{1,2})?\\s*(?:${getAmountCodePattern()})?`, 'g')
     ];
 
     let priceMatch = null;
@@ -0,0 +1,134 @@
+/**
+ * Currency Converter Pro - Crypto Assets
+ * Which coins are priced (ticker -> CoinGecko ID) and their sub-unit denominations
+ * Version: 3.2.2
+ *
+ * Users add coins in options (cryptoAssets in sync storage: [{ ticker, id }]);
+ * entries with a default ticker replace its CoinGecko ID.
+ * Denominations (sats, mBTC, gwei...) are derived rate-table entries:
+ * rates.SAT = rates.BTC * 1e8, so every conversion path handles them like any other code.
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const DEFAULT_CRYPTO_ASSETS = [
+  { ticker: 'BTC', id: 'bitcoin' },
+  { ticker: 'ETH', id: 'ethereum' },
+  { ticker: 'USDT', id: 'tether' },
+  { ticker: 'USDC', id: 'usd-coin' },
+  { ticker: 'BNB', id: 'binancecoin' },
+  { ticker: 'XRP', id: 'ripple' },
+  { ticker: 'ADA', id: 'cardano' },
+  { ticker: 'SOL', id: 'solana' },
+  { ticker: 'DOGE', id: 'dogecoin' },
+  { ticker: 'DOT', id: 'polkadot' },
+  { ticker: 'MATIC', id: 'matic-network' },
+  { ticker: 'LTC', id: 'litecoin' },
+  { ticker: 'BCH', id: 'bitcoin-cash' },
+  { ticker: 'LINK', id: 'chainlink' },
+  { ticker: 'XLM', id: 'stellar' },
+  { ticker: 'ATOM', id: 'cosmos' }
+];
+
+// code -> { ticker, perCoin, names }: 1 ticker = perCoin units; names are the words matched on pages
+// ("bits" and "sat" are left out on purpose - too many false positives in ordinary text)
+const CRYPTO_DENOMINATIONS = {
+  SAT: { ticker: 'BTC', perCoin: 1e8, names: ['sats', 'satoshis', 'satoshi'] },
+  UBTC: { ticker: 'BTC', perCoin: 1e6, names: ['μBTC', 'µBTC', 'uBTC'] },
+  MBTC: { ticker: 'BTC', perCoin: 1e3, names: ['mBTC'] },
+  GWEI: { ticker: 'ETH', perCoin: 1e9, names: ['gwei'] },
+  FINNEY: { ticker: 'ETH', perCoin: 1e3, names: ['finney'] }
+};
+
+// Default crypto refresh cadence, independent of the fiat updateInterval
+const DEFAULT_CRYPTO_UPDATE_MINUTES = 15;
+
+// ============================================================================
+// ASSETS
+// ============================================================================
+
+/**
+ * Ticker that is already a fiat ISO code (TRY, CAD) - a coin under it would overwrite the fiat rate
+ * with a price that never went through the rate sanity checks. Needs lib/currencies.js.
+ */
+function isFiatTicker(ticker) {
+  const currency = self.CurrencyRegistry ? self.CurrencyRegistry.getCurrency(ticker) : null;
+  return Boolean(currency && !currency.crypto);
+}
+
+/**
+ * Defaults plus the user's coins (user entries win on the same ticker; fiat codes are skipped)
+ * @returns {Array<{ ticker: string, id: string }>}
+ */
+function getCryptoAssets(customAssets) {
+  const assets = new Map(DEFAULT_CRYPTO_ASSETS.map(asset => [asset.ticker, asset]));
+  (customAssets || []).forEach(asset => {
+    if (asset && asset.ticker && asset.id && !isFiatTicker(asset.ticker)) {
+      assets.set(asset.ticker.toUpperCase(), { ticker: asset.ticker.toUpperCase(), id: asset.id.trim().toLowerCase() });
+    }
+  });
+  return Array.from(assets.values());
+}
+
+/**
+ * Add denomination entries (SAT, GWEI...) for every coin present in a USD-based table
+ */
+function addCryptoDenominations(rates) {
+  Object.entries(CRYPTO_DENOMINATIONS).forEach(([code, denomination]) => {
+    if (rates[denomination.ticker]) {
+      rates[code] = rates[denomination.ticker] * denomination.perCoin;
+    }
+  });
+  return rates;
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * "0.5 BTC", "21,000 sats", "30 gwei" for the given assets and all denominations
+ * Group 1 = amount, group 2 = unit (resolve with resolveCryptoUnit)
+ */
+function buildCryptoPriceRegex(assets) {
+  const units = [
+    ...assets.map(asset => asset.ticker),
+    ...Object.values(CRYPTO_DENOMINATIONS).flatMap(denomination => denomination.names)
+  ].sort((a, b) => b.length - a.length); // Longest first so "satoshis" wins over "satoshi"
+
+  return new RegExp(`(\\d+(?:[.,]\\d+)*)\\s*(${units.map(escapeRegExp).join('|')})(?![\\w])`, 'i');
+}
+
+/**
+ * Rate-table code for a matched unit: "sats" -> "SAT", "eth" -> "ETH"
+ */
+function resolveCryptoUnit(unit) {
+  const lower = unit.toLowerCase();
+  for (const [code, denomination] of Object.entries(CRYPTO_DENOMINATIONS)) {
+    if (denomination.names.some(name => name.toLowerCase() === lower)) return code;
+  }
+  return unit.toUpperCase();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.CryptoAssets = {
+    DEFAULT_CRYPTO_ASSETS,
+    CRYPTO_DENOMINATIONS,
+    DEFAULT_CRYPTO_UPDATE_MINUTES,
+    isFiatTicker,
+    getCryptoAssets,
+    addCryptoDenominations,
+    buildCryptoPriceRegex,
+    resolveCryptoUnit
+  };
+}
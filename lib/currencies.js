@@ -0,0 +1,689 @@
+/**
+ * Currency Converter Pro - Currency Registry
+ * The one list of currencies every component uses: background, content scripts, popup and options
+ * Version: 3.2.2
+ *
+ * Each entry (CURRENCIES[code]) looks like:
+ *   { code, numeric, minor, symbol, narrow, alt, names: { en, de, fr, es, he }, countries, group, iso, legacy, crypto }
+ * symbol   - what we display ("C$", "₪")
+ * narrow   - local short form ("$" for CAD), also detected
+ * alt      - other spellings found on pages ("US$", "NIS", "円")
+ * group    - currency family ("dollar", "krone"...) for telling ambiguous symbols apart
+ * legacy   - replaced by a newer code but still returned by some rate providers
+ * Regexes for codes and symbols are generated here (buildCodePattern / buildSymbolPattern),
+ * so a currency added once is detected, converted and formatted everywhere.
+ */
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+// [code, numeric, minor units, symbol, narrow symbol, English name, countries (ISO 3166), group]
+// Order matters for shared symbols: the first currency listed is the default ("$" -> USD, "kr" -> SEK)
+const CURRENCY_ROWS = [
+  // Majors first
+  ['USD', 840, 2, '$', '$', 'US Dollar', 'US EC SV TL FM MH PW TC VG BQ PR GU AS MP VI UM IO ZW', 'dollar'],
+  ['EUR', 978, 2, '€', '€', 'Euro', 'DE FR IT ES NL BE AT PT FI IE GR LU SK SI EE LV LT CY MT HR BG AD MC SM VA ME XK AX GF GP MQ RE YT BL MF PM TF', null],
+  ['GBP', 826, 2, '£', '£', 'British Pound', 'GB UK GG JE IM', 'pound'],
+  ['JPY', 392, 0, '¥', '¥', 'Japanese Yen', 'JP', 'yen'],
+  ['CNY', 156, 2, '¥', '¥', 'Chinese Yuan', 'CN', 'yen'],
+  ['ILS', 376, 2, '₪', '₪', 'Israeli New Shekel', 'IL PS', null],
+  ['INR', 356, 2, '₹', '₹', 'Indian Rupee', 'IN', 'rupee'],
+  ['CHF', 756, 2, '₣', 'Fr.', 'Swiss Franc', 'CH LI', 'franc'],
+  ['CAD', 124, 2, 'C$', '$', 'Canadian Dollar', 'CA', 'dollar'],
+  ['AUD', 36, 2, 'A$', '$', 'Australian Dollar', 'AU CX CC HM KI NR NF TV', 'dollar'],
+  ['NZD', 554, 2, 'NZ$', '$', 'New Zealand Dollar', 'NZ CK NU PN TK', 'dollar'],
+  ['HKD', 344, 2, 'HK$', '$', 'Hong Kong Dollar', 'HK', 'dollar'],
+  ['SGD', 702, 2, 'S$', '$', 'Singapore Dollar', 'SG', 'dollar'],
+  ['TWD', 901, 2, 'NT$', '$', 'New Taiwan Dollar', 'TW', 'dollar'],
+  ['MXN', 484, 2, '$', '$', 'Mexican Peso', 'MX', 'dollar'],
+  ['BRL', 986, 2, 'R$', 'R$', 'Brazilian Real', 'BR', null],
+  ['KRW', 410, 0, '₩', '₩', 'South Korean Won', 'KR', 'won'],
+  ['RUB', 643, 2, '₽', '₽', 'Russian Ruble', 'RU', 'ruble'],
+  ['TRY', 949, 2, '₺', '₺', 'Turkish Lira', 'TR', 'lira'],
+  ['SEK', 752, 2, 'kr', 'kr', 'Swedish Krona', 'SE', 'krone'],
+  ['NOK', 578, 2, 'kr', 'kr', 'Norwegian Krone', 'NO SJ BV', 'krone'],
+  ['DKK', 208, 2, 'kr', 'kr', 'Danish Krone', 'DK GL FO', 'krone'],
+  ['ISK', 352, 0, 'kr', 'kr', 'Icelandic Króna', 'IS', 'krone'],
+  ['PLN', 985, 2, 'zł', 'zł', 'Polish Złoty', 'PL', null],
+  ['CZK', 203, 2, 'Kč', 'Kč', 'Czech Koruna', 'CZ', null],
+  ['HUF', 348, 2, 'Ft', 'Ft', 'Hungarian Forint', 'HU', null],
+  ['RON', 946, 2, 'lei', 'lei', 'Romanian Leu', 'RO', 'leu'],
+  ['ZAR', 710, 2, 'R', 'R', 'South African Rand', 'ZA', null],
+  ['THB', 764, 2, '฿', '฿', 'Thai Baht', 'TH', null],
+  ['AED', 784, 2, 'د.إ', 'د.إ', 'UAE Dirham', 'AE', 'dirham'],
+  ['SAR', 682, 2, '﷼', '﷼', 'Saudi Riyal', 'SA', 'rial'],
+
+  // Americas
+  ['ARS', 32, 2, '$', '$', 'Argentine Peso', 'AR', 'dollar'],
+  ['BBD', 52, 2, 'Bds$', '$', 'Barbadian Dollar', 'BB', 'dollar'],
+  ['BMD', 60, 2, '$', '$', 'Bermudian Dollar', 'BM', 'dollar'],
+  ['BOB', 68, 2, 'Bs', 'Bs', 'Bolivian Boliviano', 'BO', null],
+  ['BSD', 44, 2, 'B$', '$', 'Bahamian Dollar', 'BS', 'dollar'],
+  ['BZD', 84, 2, 'BZ$', '$', 'Belize Dollar', 'BZ', 'dollar'],
+  ['CLP', 152, 0, '$', '$', 'Chilean Peso', 'CL', 'dollar'],
+  ['COP', 170, 2, '$', '$', 'Colombian Peso', 'CO', 'dollar'],
+  ['CRC', 188, 2, '₡', '₡', 'Costa Rican Colón', 'CR', null],
+  ['CUP', 192, 2, '$', '$', 'Cuban Peso', 'CU', 'dollar'],
+  ['DOP', 214, 2, 'RD$', '$', 'Dominican Peso', 'DO', 'dollar'],
+  ['GTQ', 320, 2, 'Q', 'Q', 'Guatemalan Quetzal', 'GT', null],
+  ['GYD', 328, 2, 'G$', '$', 'Guyanese Dollar', 'GY', 'dollar'],
+  ['HNL', 340, 2, 'L', 'L', 'Honduran Lempira', 'HN', null],
+  ['HTG', 332, 2, 'G', 'G', 'Haitian Gourde', 'HT', null],
+  ['JMD', 388, 2, 'J$', '$', 'Jamaican Dollar', 'JM', 'dollar'],
+  ['KYD', 136, 2, 'CI$', '$', 'Cayman Islands Dollar', 'KY', 'dollar'],
+  ['NIO', 558, 2, 'C$', 'C$', 'Nicaraguan Córdoba', 'NI', null],
+  ['PAB', 590, 2, 'B/.', 'B/.', 'Panamanian Balboa', 'PA', null],
+  ['PEN', 604, 2, 'S/', 'S/', 'Peruvian Sol', 'PE', null],
+  ['PYG', 600, 0, '₲', '₲', 'Paraguayan Guaraní', 'PY', null],
+  ['SRD', 968, 2, '$', '$', 'Surinamese Dollar', 'SR', 'dollar'],
+  ['TTD', 780, 2, 'TT$', '$', 'Trinidad and Tobago Dollar', 'TT', 'dollar'],
+  ['UYU', 858, 2, '$U', '$', 'Uruguayan Peso', 'UY', 'dollar'],
+  ['VES', 928, 2, 'Bs.S', 'Bs.S', 'Venezuelan Bolívar', 'VE', null],
+  ['XCD', 951, 2, 'EC$', '$', 'East Caribbean Dollar', 'AG DM GD KN LC VC AI MS', 'dollar'],
+  ['AWG', 533, 2, 'ƒ', 'ƒ', 'Aruban Florin', 'AW', 'guilder'],
+  ['XCG', 532, 2, 'Cg', 'Cg', 'Caribbean Guilder', 'CW SX', 'guilder'],
+  ['FKP', 238, 2, '£', '£', 'Falkland Islands Pound', 'FK', 'pound'],
+
+  // Asia & Pacific
+  ['AFN', 971, 2, '؋', '؋', 'Afghan Afghani', 'AF', null],
+  ['BDT', 50, 2, '৳', '৳', 'Bangladeshi Taka', 'BD', null],
+  ['BND', 96, 2, 'B$', '$', 'Brunei Dollar', 'BN', 'dollar'],
+  ['BTN', 64, 2, 'Nu.', 'Nu.', 'Bhutanese Ngultrum', 'BT', null],
+  ['FJD', 242, 2, 'FJ$', '$', 'Fijian Dollar', 'FJ', 'dollar'],
+  ['IDR', 360, 2, 'Rp', 'Rp', 'Indonesian Rupiah', 'ID', null],
+  ['KHR', 116, 2, '៛', '៛', 'Cambodian Riel', 'KH', null],
+  ['KPW', 408, 2, '₩', '₩', 'North Korean Won', 'KP', 'won'],
+  ['KZT', 398, 2, '₸', '₸', 'Kazakhstani Tenge', 'KZ', null],
+  ['KGS', 417, 2, 'с', 'с', 'Kyrgyzstani Som', 'KG', null],
+  ['LAK', 418, 2, '₭', '₭', 'Lao Kip', 'LA', null],
+  ['PKR', 586, 2, '₨', 'Rs', 'Pakistani Rupee', 'PK', 'rupee'],
+  ['LKR', 144, 2, 'Rs', 'Rs', 'Sri Lankan Rupee', 'LK', 'rupee'],
+  ['MMK', 104, 2, 'K', 'K', 'Myanmar Kyat', 'MM', null],
+  ['MNT', 496, 2, '₮', '₮', 'Mongolian Tögrög', 'MN', null],
+  ['MOP', 446, 2, 'MOP$', '$', 'Macanese Pataca', 'MO', 'dollar'],
+  ['MVR', 462, 2, 'Rf', 'Rf', 'Maldivian Rufiyaa', 'MV', null],
+  ['MYR', 458, 2, 'RM', 'RM', 'Malaysian Ringgit', 'MY', null],
+  ['NPR', 524, 2, 'Rs', 'Rs', 'Nepalese Rupee', 'NP', 'rupee'],
+  ['PGK', 598, 2, 'K', 'K', 'Papua New Guinean Kina', 'PG', null],
+  ['PHP', 608, 2, '₱', '₱', 'Philippine Peso', 'PH', null],
+  ['SBD', 90, 2, 'SI$', '$', 'Solomon Islands Dollar', 'SB', 'dollar'],
+  ['TJS', 972, 2, 'SM', 'SM', 'Tajikistani Somoni', 'TJ', null],
+  ['TMT', 934, 2, 'm', 'm', 'Turkmenistani Manat', 'TM', null],
+  ['TOP', 776, 2, 'T$', '$', 'Tongan Paʻanga', 'TO', 'dollar'],
+  ['UZS', 860, 2, 'soʻm', 'soʻm', 'Uzbekistani Som', 'UZ', null],
+  ['VND', 704, 0, '₫', '₫', 'Vietnamese Đồng', 'VN', null],
+  ['VUV', 548, 0, 'VT', 'VT', 'Vanuatu Vatu', 'VU', null],
+  ['WST', 882, 2, 'WS$', '$', 'Samoan Tālā', 'WS', 'dollar'],
+  ['XPF', 953, 0, '₣', 'F', 'CFP Franc', 'PF NC WF', 'franc'],
+
+  // Middle East
+  ['BHD', 48, 3, 'د.ب', 'د.ب', 'Bahraini Dinar', 'BH', 'dinar'],
+  ['IQD', 368, 3, 'ع.د', 'ع.د', 'Iraqi Dinar', 'IQ', 'dinar'],
+  ['IRR', 364, 2, '﷼', '﷼', 'Iranian Rial', 'IR', 'rial'],
+  ['JOD', 400, 3, 'د.ا', 'د.ا', 'Jordanian Dinar', 'JO', 'dinar'],
+  ['KWD', 414, 3, 'د.ك', 'د.ك', 'Kuwaiti Dinar', 'KW', 'dinar'],
+  ['LBP', 422, 2, 'ل.ل', 'ل.ل', 'Lebanese Pound', 'LB', 'pound'],
+  ['OMR', 512, 3, 'ر.ع.', 'ر.ع.', 'Omani Rial', 'OM', 'rial'],
+  ['QAR', 634, 2, 'ر.ق', 'ر.ق', 'Qatari Riyal', 'QA', 'rial'],
+  ['SYP', 760, 2, '£S', '£', 'Syrian Pound', 'SY', 'pound'],
+  ['YER', 886, 2, '﷼', '﷼', 'Yemeni Rial', 'YE', 'rial'],
+
+  // Europe (non-euro)
+  ['ALL', 8, 2, 'L', 'L', 'Albanian Lek', 'AL', null],
+  ['AMD', 51, 2, '֏', '֏', 'Armenian Dram', 'AM', null],
+  ['AZN', 944, 2, '₼', '₼', 'Azerbaijani Manat', 'AZ', null],
+  ['BAM', 977, 2, 'KM', 'KM', 'Bosnia-Herzegovina Mark', 'BA', null],
+  ['BYN', 933, 2, 'Br', 'Br', 'Belarusian Ruble', 'BY', 'ruble'],
+  ['GEL', 981, 2, '₾', '₾', 'Georgian Lari', 'GE', null],
+  ['GIP', 292, 2, '£', '£', 'Gibraltar Pound', 'GI', 'pound'],
+  ['MDL', 498, 2, 'L', 'L', 'Moldovan Leu', 'MD', 'leu'],
+  ['MKD', 807, 2, 'ден', 'ден', 'Macedonian Denar', 'MK', null],
+  ['RSD', 941, 2, 'дин', 'дин', 'Serbian Dinar', 'RS', 'dinar'],
+  ['UAH', 980, 2, '₴', '₴', 'Ukrainian Hryvnia', 'UA', null],
+
+  // Africa
+  ['AOA', 973, 2, 'Kz', 'Kz', 'Angolan Kwanza', 'AO', null],
+  ['BIF', 108, 0, 'FBu', 'FBu', 'Burundian Franc', 'BI', 'franc'],
+  ['BWP', 72, 2, 'P', 'P', 'Botswana Pula', 'BW', null],
+  ['CDF', 976, 2, 'FC', 'FC', 'Congolese Franc', 'CD', 'franc'],
+  ['CVE', 132, 2, '$', '$', 'Cape Verdean Escudo', 'CV', 'dollar'],
+  ['DJF', 262, 0, 'Fdj', 'Fdj', 'Djiboutian Franc', 'DJ', 'franc'],
+  ['DZD', 12, 2, 'د.ج', 'د.ج', 'Algerian Dinar', 'DZ', 'dinar'],
+  ['EGP', 818, 2, 'E£', '£', 'Egyptian Pound', 'EG', 'pound'],
+  ['ERN', 232, 2, 'Nfk', 'Nfk', 'Eritrean Nakfa', 'ER', null],
+  ['ETB', 230, 2, 'Br', 'Br', 'Ethiopian Birr', 'ET', null],
+  ['GHS', 936, 2, '₵', '₵', 'Ghanaian Cedi', 'GH', null],
+  ['GMD', 270, 2, 'D', 'D', 'Gambian Dalasi', 'GM', null],
+  ['GNF', 324, 0, 'FG', 'FG', 'Guinean Franc', 'GN', 'franc'],
+  ['KES', 404, 2, 'KSh', 'KSh', 'Kenyan Shilling', 'KE', 'shilling'],
+  ['KMF', 174, 0, 'CF', 'CF', 'Comorian Franc', 'KM', 'franc'],
+  ['LRD', 430, 2, 'L$', '$', 'Liberian Dollar', 'LR', 'dollar'],
+  ['LSL', 426, 2, 'L', 'L', 'Lesotho Loti', 'LS', null],
+  ['LYD', 434, 3, 'ل.د', 'ل.د', 'Libyan Dinar', 'LY', 'dinar'],
+  ['MAD', 504, 2, 'د.م.', 'د.م.', 'Moroccan Dirham', 'MA EH', 'dirham'],
+  ['MGA', 969, 2, 'Ar', 'Ar', 'Malagasy Ariary', 'MG', null],
+  ['MRU', 929, 2, 'UM', 'UM', 'Mauritanian Ouguiya', 'MR', null],
+  ['MUR', 480, 2, '₨', 'Rs', 'Mauritian Rupee', 'MU', 'rupee'],
+  ['MWK', 454, 2, 'MK', 'MK', 'Malawian Kwacha', 'MW', null],
+  ['MZN', 943, 2, 'MT', 'MT', 'Mozambican Metical', 'MZ', null],
+  ['NAD', 516, 2, 'N$', '$', 'Namibian Dollar', 'NA', 'dollar'],
+  ['NGN', 566, 2, '₦', '₦', 'Nigerian Naira', 'NG', null],
+  ['RWF', 646, 0, 'FRw', 'FRw', 'Rwandan Franc', 'RW', 'franc'],
+  ['SCR', 690, 2, '₨', 'Rs', 'Seychellois Rupee', 'SC', 'rupee'],
+  ['SDG', 938, 2, 'ج.س.', 'ج.س.', 'Sudanese Pound', 'SD', 'pound'],
+  ['SHP', 654, 2, '£', '£', 'Saint Helena Pound', 'SH', 'pound'],
+  ['SLE', 925, 2, 'Le', 'Le', 'Sierra Leonean Leone', 'SL', null],
+  ['SOS', 706, 2, 'Sh', 'Sh', 'Somali Shilling', 'SO', 'shilling'],
+  ['SSP', 728, 2, '£', '£', 'South Sudanese Pound', 'SS', 'pound'],
+  ['STN', 930, 2, 'Db', 'Db', 'São Tomé and Príncipe Dobra', 'ST', null],
+  ['SZL', 748, 2, 'E', 'E', 'Swazi Lilangeni', 'SZ', null],
+  ['TND', 788, 3, 'د.ت', 'د.ت', 'Tunisian Dinar', 'TN', 'dinar'],
+  ['TZS', 834, 2, 'TSh', 'TSh', 'Tanzanian Shilling', 'TZ', 'shilling'],
+  ['UGX', 800, 0, 'USh', 'USh', 'Ugandan Shilling', 'UG', 'shilling'],
+  ['XAF', 950, 0, 'FCFA', 'FCFA', 'Central African CFA Franc', 'CM CF TD CG GQ GA', 'franc'],
+  ['XOF', 952, 0, 'CFA', 'CFA', 'West African CFA Franc', 'BJ BF CI GW ML NE SN TG', 'franc'],
+  ['ZMW', 967, 2, 'ZK', 'ZK', 'Zambian Kwacha', 'ZM', null],
+  ['ZWG', 924, 2, 'ZiG', 'ZiG', 'Zimbabwe Gold', '', null],
+
+  // Special drawing rights and metals (rate providers include them)
+  ['XDR', 960, null, 'SDR', 'SDR', 'Special Drawing Rights', '', null],
+  ['XAU', 959, null, 'XAU', 'XAU', 'Gold (troy ounce)', '', null],
+  ['XAG', 961, null, 'XAG', 'XAG', 'Silver (troy ounce)', '', null]
+];
+
+// Replaced codes some providers still quote: code -> [numeric, minor, symbol, name, replacedBy]
+const LEGACY_ROWS = {
+  BGN: [975, 2, 'лв', 'Bulgarian Lev', 'EUR'],
+  HRK: [191, 2, 'kn', 'Croatian Kuna', 'EUR'],
+  ANG: [532, 2, 'ƒ', 'Netherlands Antillean Guilder', 'XCG'],
+  SLL: [694, 2, 'Le', 'Sierra Leonean Leone (old)', 'SLE'],
+  VEF: [937, 2, 'Bs', 'Venezuelan Bolívar (old)', 'VES'],
+  ZWL: [932, 2, 'Z$', 'Zimbabwean Dollar', 'ZWG']
+};
+
+// Other spellings seen on pages (detected, never displayed)
+const ALT_SYMBOLS = {
+  USD: ['US$', 'US $', 'U$S', 'USD$'],
+  EUR: ['EUR€'],
+  GBP: ['UK£'],
+  JPY: ['円', 'JP¥'],
+  CNY: ['元', 'CN¥', 'RMB'],
+  ILS: ['NIS', 'ש"ח', 'ש״ח'],
+  INR: ['Rs.', 'Rs'],
+  CHF: ['SFr.'],
+  CAD: ['CA$', 'CAD$', 'Can$'],
+  AUD: ['AU$', 'AU $', 'AUD$'],
+  NZD: ['NZ $'],
+  HKD: ['HK $'],
+  SGD: ['SG$'],
+  TWD: ['TW$'],
+  MXN: ['MX$', 'Mex$'],
+  RUB: ['руб.', 'руб'],
+  TRY: ['TL'],
+  DKK: ['kr.'],
+  SAR: ['ر.س'],
+  QAR: ['﷼'],
+  OMR: ['﷼'],
+  PKR: ['Rs'],
+  LKR: ['₨', 'රු'],
+  NPR: ['रू'],
+  EGP: ['ج.م'],
+  GHS: ['GH₵'],
+  UAH: ['грн'],
+  SYP: ['ل.س'],
+  CZK: ['Kc'],
+  PLN: ['zl']
+};
+
+// Names in other languages (majors; English for everything comes from CURRENCY_ROWS)
+const LOCALIZED_NAMES = {
+  de: {
+    USD: 'US-Dollar', EUR: 'Euro', GBP: 'Britisches Pfund', JPY: 'Japanischer Yen', CNY: 'Chinesischer Yuan',
+    CHF: 'Schweizer Franken', CAD: 'Kanadischer Dollar', AUD: 'Australischer Dollar', ILS: 'Israelischer Schekel',
+    INR: 'Indische Rupie', SEK: 'Schwedische Krone', NOK: 'Norwegische Krone', DKK: 'Dänische Krone',
+    PLN: 'Polnischer Złoty', CZK: 'Tschechische Krone', HUF: 'Ungarischer Forint', TRY: 'Türkische Lira',
+    RUB: 'Russischer Rubel', BRL: 'Brasilianischer Real', MXN: 'Mexikanischer Peso'
+  },
+  fr: {
+    USD: 'Dollar américain', EUR: 'Euro', GBP: 'Livre sterling', JPY: 'Yen japonais', CNY: 'Yuan chinois',
+    CHF: 'Franc suisse', CAD: 'Dollar canadien', AUD: 'Dollar australien', ILS: 'Shekel israélien',
+    INR: 'Roupie indienne', SEK: 'Couronne suédoise', NOK: 'Couronne norvégienne', DKK: 'Couronne danoise',
+    PLN: 'Złoty polonais', CZK: 'Couronne tchèque', HUF: 'Forint hongrois', TRY: 'Livre turque',
+    RUB: 'Rouble russe', BRL: 'Réal brésilien', MXN: 'Peso mexicain', XOF: 'Franc CFA (BCEAO)', XAF: 'Franc CFA (BEAC)'
+  },
+  es: {
+    USD: 'Dólar estadounidense', EUR: 'Euro', GBP: 'Libra esterlina', JPY: 'Yen japonés', CNY: 'Yuan chino',
+    CHF: 'Franco suizo', CAD: 'Dólar canadiense', AUD: 'Dólar australiano', ILS: 'Nuevo séquel israelí',
+    INR: 'Rupia india', MXN: 'Peso mexicano', ARS: 'Peso argentino', CLP: 'Peso chileno', COP: 'Peso colombiano',
+    PEN: 'Sol peruano', UYU: 'Peso uruguayo', BRL: 'Real brasileño', TRY: 'Lira turca', RUB: 'Rublo ruso'
+  },
+  he: {
+    USD: 'דולר אמריקאי', EUR: 'אירו', GBP: 'לירה שטרלינג', JPY: 'ין יפני', CNY: 'יואן סיני',
+    CHF: 'פרנק שוויצרי', CAD: 'דולר קנדי', AUD: 'דולר אוסטרלי', ILS: 'שקל חדש', INR: 'רופי הודי',
+    RUB: 'רובל רוסי', TRY: 'לירה טורקית'
+  }
+};
+
+// Everyday words for a currency in running text -> code ("20 euros", "500 shekels", "100 шекелей", "100美元"),
+// lowercase, one entry per inflection
+const CURRENCY_WORDS = {
+  dollar: 'USD', dollars: 'USD', buck: 'USD', bucks: 'USD',
+  euro: 'EUR', euros: 'EUR',
+  pound: 'GBP', pounds: 'GBP', 'pound sterling': 'GBP', 'pounds sterling': 'GBP', quid: 'GBP', sterling: 'GBP',
+  yen: 'JPY', yuan: 'CNY', renminbi: 'CNY',
+  rupee: 'INR', rupees: 'INR',
+  shekel: 'ILS', shekels: 'ILS', sheqel: 'ILS', shekalim: 'ILS',
+  ruble: 'RUB', rubles: 'RUB', rouble: 'RUB', roubles: 'RUB',
+  franc: 'CHF', francs: 'CHF',
+  peso: 'MXN', pesos: 'MXN',
+  won: 'KRW', baht: 'THB', lira: 'TRY', rand: 'ZAR',
+  krona: 'SEK', kronor: 'SEK', krone: 'NOK', kroner: 'NOK',
+  zloty: 'PLN', złoty: 'PLN', zlotys: 'PLN',
+  koruna: 'CZK', forint: 'HUF', leu: 'RON',
+  ringgit: 'MYR', rupiah: 'IDR', dong: 'VND', naira: 'NGN', cedi: 'GHS',
+  hryvnia: 'UAH', tenge: 'KZT', lari: 'GEL', dirham: 'AED', dirhams: 'AED', riyal: 'SAR', riyals: 'SAR',
+  // Spanish / Portuguese / French / Italian / German ("real" and "livre" are left out - too common as words)
+  'dólar': 'USD', 'dólares': 'USD', 'dólares estadounidenses': 'USD', dollari: 'USD', dollaro: 'USD',
+  reais: 'BRL', reales: 'BRL', rublos: 'RUB', rupias: 'INR', francos: 'CHF', franken: 'CHF',
+  'livres sterling': 'GBP', sterline: 'GBP', 'libras esterlinas': 'GBP', yenes: 'JPY',
+  'złotych': 'PLN', zlotych: 'PLN', forintot: 'HUF', korun: 'CZK',
+  // Russian / Ukrainian (all case endings after numbers: 1 рубль, 2 рубля, 5 рублей)
+  'доллар': 'USD', 'доллара': 'USD', 'долларов': 'USD', 'долларів': 'USD', 'евро': 'EUR', 'євро': 'EUR',
+  'рубль': 'RUB', 'рубля': 'RUB', 'рублей': 'RUB', 'шекель': 'ILS', 'шекеля': 'ILS', 'шекелей': 'ILS',
+  'гривна': 'UAH', 'гривны': 'UAH', 'гривен': 'UAH', 'гривня': 'UAH', 'гривні': 'UAH', 'гривень': 'UAH',
+  'фунт': 'GBP', 'фунта': 'GBP', 'фунтов': 'GBP', 'тенге': 'KZT', 'юань': 'CNY', 'юаней': 'CNY', 'иен': 'JPY',
+  // Hebrew / Arabic / Hindi / Turkish
+  'שקל': 'ILS', 'שקלים': 'ILS', 'דולר': 'USD', 'דולרים': 'USD', 'אירו': 'EUR', 'יורו': 'EUR',
+  'دولار': 'USD', 'يورو': 'EUR', 'جنيه': 'EGP', 'درهم': 'AED', 'ريال': 'SAR', 'دينار': 'KWD',
+  'रुपये': 'INR', 'रुपए': 'INR', 'रुपया': 'INR', 'डॉलर': 'USD', 'dolar': 'USD',
+  // Chinese / Japanese / Korean - only read straight after an amount ("100美元", "3万円", "5만원")
+  '美元': 'USD', '美金': 'USD', '欧元': 'EUR', '歐元': 'EUR', '英镑': 'GBP', '英鎊': 'GBP', '日元': 'JPY',
+  '人民币': 'CNY', '人民幣': 'CNY', '港元': 'HKD', '港币': 'HKD', '港幣': 'HKD', '新台币': 'TWD', '新台幣': 'TWD',
+  '韩元': 'KRW', '韓元': 'KRW', 'ドル': 'USD', 'ユーロ': 'EUR', 'ポンド': 'GBP', '원': 'KRW', '달러': 'USD', '유로': 'EUR'
+};
+
+// Codes that are also everyday words - only matched in capitals and right next to a number
+// ("CAD 20" is Canadian dollars, "rub gently" is not)
+const WORD_LIKE_CODES = [
+  'ALL', 'TOP', 'PEN', 'MAD', 'BOB', 'CUP', 'GEL', 'MOP', 'SOS', 'AMD', 'CVE', 'BAM', 'TRY', 'ERN', 'LAK',
+  'CAD', 'RUB', 'NAD', 'DOP'
+];
+
+// Word-like codes that headings and buttons write in capitals before numbers ("TOP 10", "ALL 50% OFF",
+// "TRY 30 DAYS") - only read where the page is already priced in them ("ALL 500" on an Albanian shop)
+const HEADLINE_WORD_CODES = ['ALL', 'TOP', 'TRY', 'PEN', 'MAD', 'BOB', 'CUP', 'SOS', 'MOP', 'GEL', 'BAM'];
+
+// Word-like codes to read next to a number, given the headline ones there is evidence for
+const getWordLikeCodes = (evidence = []) => WORD_LIKE_CODES
+  .filter(code => !HEADLINE_WORD_CODES.includes(code) || evidence.includes(code));
+
+// Display decimals that differ from ISO minor units (prices in rupiah are shown without cents)
+const DISPLAY_DECIMALS = { IDR: 0 };
+
+// Not ISO 4217 - shown and formatted like currencies, detected by lib/crypto.js instead
+const CRYPTO_ROWS = [
+  ['BTC', '₿', 'Bitcoin'], ['ETH', 'Ξ', 'Ethereum'], ['USDT', '₮', 'Tether'], ['USDC', 'USDC', 'USD Coin'],
+  ['BNB', 'BNB', 'BNB'], ['XRP', 'XRP', 'XRP'], ['ADA', '₳', 'Cardano'], ['SOL', 'SOL', 'Solana'],
+  ['DOGE', 'Ð', 'Dogecoin'], ['DOT', 'DOT', 'Polkadot'], ['MATIC', 'MATIC', 'Polygon'], ['LTC', 'Ł', 'Litecoin'],
+  ['BCH', 'BCH', 'Bitcoin Cash'], ['LINK', 'LINK', 'Chainlink'], ['XLM', 'XLM', 'Stellar'], ['ATOM', 'ATOM', 'Cosmos'],
+  // Sub-units (lib/crypto.js denominations)
+  ['SAT', 'sats', 'Satoshi', 0], ['UBTC', 'μBTC', 'Microbitcoin', 2], ['MBTC', 'mBTC', 'Millibitcoin', 5],
+  ['GWEI', 'gwei', 'Gwei', 2], ['FINNEY', 'finney', 'Finney', 5]
+];
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+function buildRegistry() {
+  const registry = {};
+
+  CURRENCY_ROWS.forEach(([code, numeric, minor, symbol, narrow, name, countries, group]) => {
+    registry[code] = {
+      code, numeric, minor, symbol, narrow,
+      alt: ALT_SYMBOLS[code] || [],
+      names: { en: name },
+      countries: countries ? countries.split(' ') : [],
+      group,
+      iso: true
+    };
+  });
+
+  Object.entries(LEGACY_ROWS).forEach(([code, [numeric, minor, symbol, name, replacedBy]]) => {
+    registry[code] = {
+      code, numeric, minor, symbol, narrow: symbol, alt: [], names: { en: name },
+      countries: [], group: null, iso: true, legacy: replacedBy
+    };
+  });
+
+  CRYPTO_ROWS.forEach(([code, symbol, name, minor = 8]) => {
+    registry[code] = {
+      code, numeric: null, minor, symbol, narrow: symbol, alt: [], names: { en: name },
+      countries: [], group: null, iso: false, crypto: true
+    };
+  });
+
+  Object.entries(LOCALIZED_NAMES).forEach(([lang, names]) => {
+    Object.entries(names).forEach(([code, name]) => {
+      if (registry[code]) registry[code].names[lang] = name;
+    });
+  });
+
+  return registry;
+}
+
+const CURRENCIES = buildRegistry();
+
+// Active ISO codes (no legacy, no crypto) in registry order
+const ISO_CURRENCY_CODES = CURRENCY_ROWS.map(row => row[0]);
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function getCurrency(code) {
+  return (code && CURRENCIES[String(code).toUpperCase()]) || null;
+}
+
+function isKnownCurrency(code) {
+  return Boolean(getCurrency(code));
+}
+
+/**
+ * Display symbol ("C$"), or the narrow one ("$") - falls back to the code
+ */
+function getCurrencySymbol(code, narrow = false) {
+  const currency = getCurrency(code);
+  if (!currency) return code;
+  return (narrow ? currency.narrow : currency.symbol) || code;
+}
+
+/**
+ * Decimal places used when formatting (ISO minor units unless overridden, 2 when undefined)
+ */
+function getCurrencyDecimals(code) {
+  const currency = getCurrency(code);
+  if (!currency) return 2;
+  if (DISPLAY_DECIMALS[currency.code] !== undefined) return DISPLAY_DECIMALS[currency.code];
+  return typeof currency.minor === 'number' ? currency.minor : 2;
+}
+
+function getCurrencyName(code, lang = 'en') {
+  const currency = getCurrency(code);
+  if (!currency) return code;
+  return currency.names[lang] || currency.names.en;
+}
+
+/**
+ * Currency used in a country ("GB" -> "GBP"); first match in registry order wins
+ */
+function getCurrencyForCountry(country) {
+  if (!country) return null;
+  const upper = country.toUpperCase();
+  const match = CURRENCY_ROWS.find(row => row[6] && row[6].split(' ').includes(upper));
+  return match ? match[0] : null;
+}
+
+// ============================================================================
+// SYMBOLS
+// ============================================================================
+
+// A lone Latin/Cyrillic letter ("R", "L", "с") or a bare ISO code says nothing on its own - display only
+function isDetectableSymbol(symbol) {
+  return Boolean(symbol) && !/^[\p{Script=Latin}\p{Script=Cyrillic}]$/u.test(symbol) && !CURRENCIES[symbol];
+}
+
+// symbol -> codes sharing it, default first (registry order)
+function buildSymbolIndex() {
+  const index = new Map();
+  Object.values(CURRENCIES).forEach(currency => {
+    if (currency.crypto || currency.legacy) return;
+    [currency.symbol, currency.narrow, ...currency.alt].forEach(symbol => {
+      if (!isDetectableSymbol(symbol)) return;
+      if (!index.has(symbol)) index.set(symbol, []);
+      if (!index.get(symbol).includes(currency.code)) index.get(symbol).push(currency.code);
+    });
+  });
+  return index;
+}
+
+const SYMBOL_INDEX = buildSymbolIndex();
+
+// Default reading of each symbol ("$" -> "USD", "kr" -> "SEK")
+const SYMBOL_DEFAULTS = Object.fromEntries(Array.from(SYMBOL_INDEX, ([symbol, codes]) => [symbol, codes[0]]));
+
+/**
+ * Every currency that writes this symbol, default first ([] when unknown)
+ */
+function getCurrenciesForSymbol(symbol) {
+  return SYMBOL_INDEX.get(symbol) || [];
+}
+
+function escapeSymbol(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Symbols made of letters ("kr", "zł", "د.إ") only count right next to a number
+function isLetterSymbol(symbol) {
+  return /\p{L}/u.test(symbol.replace(/[$£€¥]/g, ''));
+}
+
+// Han, kana and hangul are written without spaces ("3000円です", "100美元") - no word boundary to look for
+function isUnspacedScript(text) {
+  return /[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text);
+}
+
+// Digits before an unspaced symbol or word, with the CJK magnitude characters of lib/numbers.js allowed in between ("3万円")
+const UNSPACED_AMOUNT_BEFORE = '[\\d０-９][千万萬亿億천만억]?\\s?';
+
+// Longest first so "NZ$" wins over "$"
+const SORTED_SYMBOLS = Array.from(SYMBOL_INDEX.keys()).sort((a, b) => b.length - a.length);
+
+const SYMBOL_MATCHERS = SORTED_SYMBOLS.map(symbol => {
+  const escaped = escapeSymbol(symbol);
+  let pattern = escaped;
+  if (isUnspacedScript(symbol)) {
+    pattern = `${UNSPACED_AMOUNT_BEFORE}${escaped}|${escaped}\\s*\\d`;
+  } else if (isLetterSymbol(symbol)) {
+    pattern = `\\d\\s*${escaped}(?!\\p{L})|(?<!\\p{L})${escaped}\\s*\\d`;
+  }
+  return { symbol, regex: new RegExp(pattern, 'u') };
+});
+
+// Native digits as 0-9 ("٣٤٥ ر.س" -> "345 ر.س") for the "next to a number" checks below
+// (lib/numbers.js loads after this file, so it is looked up when called)
+function withAsciiDigits(text) {
+  return self.NumberFormats ? self.NumberFormats.toAsciiDigits(text) : text;
+}
+
+/**
+ * First (longest) currency symbol in a piece of text
+ * @returns {{ symbol: string, codes: string[] }|null} codes: default reading first
+ */
+function findCurrencySymbol(text) {
+  if (!text) return null;
+  const asciiText = withAsciiDigits(text);
+  for (const { symbol, regex } of SYMBOL_MATCHERS) {
+    if (regex.test(asciiText)) return { symbol, codes: SYMBOL_INDEX.get(symbol) };
+  }
+  return null;
+}
+
+// ============================================================================
+// CODES & WORDS
+// ============================================================================
+
+/**
+ * Regex alternation of ISO codes for case-sensitive patterns: "USD|usd|EUR|eur|..."
+ * Word-like codes (CAD, RUB...) are added in capitals only, and only when the surrounding pattern
+ * already requires a number next to the code (wordLike: true); headline words (ALL, TOP, TRY...)
+ * only when listed in evidence (the page's own currency)
+ */
+function buildCodePattern({ wordLike = false, evidence = [] } = {}) {
+  const wordLikeCodes = wordLike ? getWordLikeCodes(evidence) : [];
+  return ISO_CURRENCY_CODES
+    .flatMap(code => {
+      if (!WORD_LIKE_CODES.includes(code)) return [code, code.toLowerCase()];
+      return wordLikeCodes.includes(code) ? [code] : [];
+    })
+    .join('|');
+}
+
+/**
+ * Character class of the one-character symbols ("[$€£¥₹₪...]"), or with letters: true
+ * an alternation of the letter symbols ("NZ\$|kr|zł|..."), which must sit next to a number
+ */
+function buildSymbolPattern({ letters = false } = {}) {
+  if (letters) {
+    return SORTED_SYMBOLS.filter(isLetterSymbol).map(escapeSymbol).join('|');
+  }
+  const chars = SORTED_SYMBOLS.filter(symbol => Array.from(symbol).length === 1 && !isLetterSymbol(symbol));
+  return `[${chars.map(escapeSymbol).join('')}]`;
+}
+
+/**
+ * Letters written before a one-character symbol ("US" in "US$", "NZ" in "NZ $", "JP" in "JP¥")
+ */
+function buildSymbolPrefixPattern() {
+  const prefixes = new Set();
+  SORTED_SYMBOLS.forEach(symbol => {
+    const match = symbol.match(/^([A-Za-z]+)\s?[$£€¥₵]$/);
+    if (match) prefixes.add(match[1]);
+  });
+  return Array.from(prefixes).sort((a, b) => b.length - a.length).join('|');
+}
+
+// ISO codes anywhere in text, plus word-like codes in capitals next to a number
+function buildCodeInTextRegex(wordLikeCodes) {
+  return new RegExp(
+    `(?<![A-Za-z])(${buildCodePattern()})(?![A-Za-z])` +
+    `|(?<=\\d\\s?)(${wordLikeCodes.join('|')})(?![A-Za-z])` +
+    `|(?<![A-Za-z])(${wordLikeCodes.join('|')})(?=\\s?\\d)`
+  );
+}
+
+const CODE_IN_TEXT_REGEX = buildCodeInTextRegex(getWordLikeCodes());
+const ANY_CODE_IN_TEXT_REGEX = buildCodeInTextRegex(WORD_LIKE_CODES);
+const codeInTextRegexCache = new Map(); // Page currency "ALL" -> regex that also reads "ALL 500"
+
+/**
+ * First ISO code in text ("49 usd" -> "USD"), null when none
+ * @param {string[]} [evidence] - headline word codes there is other evidence for (the page currency);
+ *   "TOP 10" and "ALL 500" are only read as currencies when listed here
+ */
+function findCurrencyCode(text, evidence = []) {
+  if (!text) return null;
+  const headlineCodes = evidence.filter(code => HEADLINE_WORD_CODES.includes(code));
+  let regex = CODE_IN_TEXT_REGEX;
+  if (headlineCodes.length === HEADLINE_WORD_CODES.length) {
+    regex = ANY_CODE_IN_TEXT_REGEX;
+  } else if (headlineCodes.length > 0) {
+    const key = headlineCodes.join('|');
+    if (!codeInTextRegexCache.has(key)) codeInTextRegexCache.set(key, buildCodeInTextRegex(getWordLikeCodes(headlineCodes)));
+    regex = codeInTextRegexCache.get(key);
+  }
+
+  const match = withAsciiDigits(text).match(regex);
+  return match ? (match[1] || match[2] || match[3]).toUpperCase() : null;
+}
+
+// Currency words that are just as often something else ("10 pounds" of flour, "he won 3", "2 lira" in a recipe
+// of Turkish coffee) - only trusted with a symbol or code next to them
+const AMBIGUOUS_CURRENCY_WORDS = ['pound', 'pounds', 'won', 'rand', 'lira'];
+
+// Han, kana and hangul words only count right after an amount, the others are whole words ("brand" is not rand)
+const sortedCurrencyWords = Object.keys(CURRENCY_WORDS)
+  .filter(word => !AMBIGUOUS_CURRENCY_WORDS.includes(word))
+  .sort((a, b) => b.length - a.length);
+
+// "euros" -> "euros|Euros|EUROS", so patterns work without the i flag (which would also relax word-like codes)
+const wordCaseVariants = word => [...new Set([word, word.charAt(0).toUpperCase() + word.slice(1), word.toUpperCase()])].join('|');
+
+/**
+ * Currency words for 'u' regexes, in lower, capitalized and upper case
+ */
+const CURRENCY_WORD_PATTERN =
+  `(?<!\\p{L})(?:${sortedCurrencyWords.filter(word => !isUnspacedScript(word)).map(wordCaseVariants).join('|').replace(/ /g, '\\s+')})(?!\\p{L})` +
+  `|(?<=${UNSPACED_AMOUNT_BEFORE})(?:${sortedCurrencyWords.filter(isUnspacedScript).join('|')})`;
+
+/**
+ * AMBIGUOUS_CURRENCY_WORDS for 'u' regexes - callers require a currency symbol or code next to them
+ */
+const AMBIGUOUS_CURRENCY_WORD_PATTERN = `(?<!\\p{L})(?:${AMBIGUOUS_CURRENCY_WORDS.map(wordCaseVariants).join('|')})(?!\\p{L})`;
+
+const CURRENCY_WORD_REGEX = new RegExp(`(${CURRENCY_WORD_PATTERN})`, 'iu');
+const AMBIGUOUS_CURRENCY_WORD_REGEX = new RegExp(`(${AMBIGUOUS_CURRENCY_WORD_PATTERN})`, 'iu');
+
+/**
+ * Currency named in words ("twenty euros" -> "EUR"), whole words only so "brand" is not rand
+ * @returns {{ word: string, code: string, ambiguous: boolean }|null} ambiguous: a word like "pounds",
+ *   only found when no other currency word is in the text
+ */
+function findCurrencyWord(text) {
+  if (!text) return null;
+  const asciiText = withAsciiDigits(text); // "١٠٠美元" - unspaced words need the digits before them
+  const match = asciiText.match(CURRENCY_WORD_REGEX);
+  const ambiguousMatch = match ? null : asciiText.match(AMBIGUOUS_CURRENCY_WORD_REGEX);
+  const word = (match || ambiguousMatch || [])[1];
+  return word ? { word, code: CURRENCY_WORDS[word.toLowerCase().replace(/\s+/g, ' ')], ambiguous: !match } : null;
+}
+
+/**
+ * Currency of a snippet the user picked as a price: ISO code first (word-like ones too - "ALL 500"),
+ * then words ("100美元" is dollars, not the 元 in it), then symbol (default reading),
+ * then words like "pounds" that may not be money at all
+ */
+function identifyCurrency(text) {
+  if (!text) return null;
+  const named = findCurrencyWord(text);
+  return findCurrencyCode(text, HEADLINE_WORD_CODES) ||
+    (named && !named.ambiguous ? named.code : null) ||
+    findCurrencySymbol(text)?.codes[0] ||
+    named?.code ||
+    null;
+}
+
+/**
+ * Remove currency words, codes and symbols, leaving the number ("US$ 1,299.00" -> " 1,299.00")
+ */
+function stripCurrencyMarkers(text) {
+  let cleaned = String(text)
+    .replace(new RegExp(CURRENCY_WORD_REGEX.source, 'giu'), '')
+    .replace(new RegExp(AMBIGUOUS_CURRENCY_WORD_REGEX.source, 'giu'), '')
+    .replace(new RegExp(ANY_CODE_IN_TEXT_REGEX.source, 'g'), '');
+  SORTED_SYMBOLS.forEach(symbol => {
+    cleaned = cleaned.split(symbol).join('');
+  });
+  return cleaned;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.CurrencyRegistry = {
+    CURRENCIES,
+    ISO_CURRENCY_CODES,
+    SYMBOL_DEFAULTS,
+    CURRENCY_WORDS,
+    getCurrency,
+    isKnownCurrency,
+    getCurrencySymbol,
+    getCurrencyDecimals,
+    getCurrencyName,
+    getCurrencyForCountry,
+    getCurrenciesForSymbol,
+    findCurrencySymbol,
+    findCurrencyCode,
+    findCurrencyWord,
+    CURRENCY_WORD_PATTERN,
+    AMBIGUOUS_CURRENCY_WORD_PATTERN,
+    identifyCurrency,
+    stripCurrencyMarkers,
+    buildCodePattern,
+    buildSymbolPattern,
+    buildSymbolPrefixPattern
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Currency Converter Pro - Payment Fees
+ * Card FX markup, bank spread and fixed fees applied on top of mid-market conversions
+ * Version: 3.2.2
+ *
+ * A payment profile looks like:
+ *   { id, name, markupPercent, weekendMarkupPercent, fixedFee, fixedFeeCurrency }
+ * weekendMarkupPercent is optional (Revolut-style weekend surcharge),
+ * fixedFee is charged once per payment in fixedFeeCurrency.
+ */
+
+// ============================================================================
+// DEFAULT PROFILES (used until the user edits the list in options)
+// ============================================================================
+
+const DEFAULT_PAYMENT_PROFILES = [
+  { id: 'card', name: 'Visa / Mastercard', markupPercent: 2.5, weekendMarkupPercent: null, fixedFee: 0, fixedFeeCurrency: 'USD' },
+  { id: 'revolut', name: 'Revolut', markupPercent: 0, weekendMarkupPercent: 1, fixedFee: 0, fixedFeeCurrency: 'USD' },
+  { id: 'paypal', name: 'PayPal', markupPercent: 4, weekendMarkupPercent: null, fixedFee: 0.30, fixedFeeCurrency: 'USD' }
+];
+
+// ============================================================================
+// FEE CALCULATION
+// ============================================================================
+
+/**
+ * Find a profile by id (null when none is active or it was deleted)
+ */
+function findPaymentProfile(profiles, id) {
+  if (!id) return null;
+  return (profiles || DEFAULT_PAYMENT_PROFILES).find(profile => profile.id === id) || null;
+}
+
+/**
+ * Markup that applies on a given date (weekend surcharge on Saturday/Sunday)
+ */
+function getMarkupPercent(profile, date = new Date()) {
+  const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+  if (isWeekend && typeof profile.weekendMarkupPercent === 'number') {
+    return profile.weekendMarkupPercent;
+  }
+  return profile.markupPercent || 0;
+}
+
+/**
+ * What you will actually pay for a mid-market amount in targetCurrency
+ * @param {number} midAmount - Mid-market converted amount
+ * @param {string} targetCurrency - Currency of midAmount
+ * @param {Object} profile - Payment profile
+ * @param {Object} rates - USD-based rate table (to convert the fixed fee)
+ * @returns {{ amount: number, markupPercent: number, fixedFee: number }|null}
+ */
+function applyPaymentFees(midAmount, targetCurrency, profile, rates, date = new Date()) {
+  if (!profile || typeof midAmount !== 'number' || !isFinite(midAmount)) return null;
+
+  const markupPercent = getMarkupPercent(profile, date);
+  let fixedFee = 0;
+
+  if (profile.fixedFee > 0) {
+    const feeCurrency = profile.fixedFeeCurrency || targetCurrency;
+    if (feeCurrency === targetCurrency) {
+      fixedFee = profile.fixedFee;
+    } else if (rates && rates[feeCurrency] && rates[targetCurrency]) {
+      fixedFee = profile.fixedFee / rates[feeCurrency] * rates[targetCurrency];
+    } else {
+      return null; // Can't price the fee - better no figure than a wrong one
+    }
+  }
+
+  return {
+    amount: midAmount * (1 + markupPercent / 100) + fixedFee,
+    markupPercent,
+    fixedFee
+  };
+}
+
+/**
+ * Short fee summary for tooltips: "Visa / Mastercard +2.5%" or "PayPal +4% + 0.30 USD"
+ */
+function describePaymentProfile(profile, date = new Date()) {
+  const parts = [`+${getMarkupPercent(profile, date)}%`];
+  if (profile.fixedFee > 0) {
+    parts.push(`${profile.fixedFee.toFixed(2)} ${profile.fixedFeeCurrency}`);
+  }
+  return `${profile.name} ${parts.join(' + ')}`;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// `self` is the window in pages/content scripts and the global scope in the service worker
+if (typeof self !== 'undefined') {
+  self.PaymentFees = {
+    DEFAULT_PAYMENT_PROFILES,
+    findPaymentProfile,
+    getMarkupPercent,
+    applyPaymentFees,
+    describePaymentProfile
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Currency Converter Pro - API Key Store
+ * Per-provider API keys kept on this device only, optionally encrypted with a passphrase
+ * Version: 3.2.2
+ *
+ * apiKeys (chrome.storage.local, never synced or exported) is one of:
+ *   { encrypted: false, keys: { fixer: '...', openexchangerates: '...' } }
+ *   { encrypted: true, salt, iv, data }   AES-GCM over the keys JSON, key from PBKDF2(passphrase)
+ * The custom provider's request headers ("Authorization: Bearer ...", one per line) are kept under 'custom'.
+ * Unlocking puts the keys and the derived AES key in chrome.storage.session (memory only,
+ * cleared when the browser closes), where the background worker reads them without the passphrase.
+ */
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+const PBKDF2_ITERATIONS = 250000;
+
+async function readKeyVault() {
+  const { apiKeys } = await chrome.storage.local.get(['apiKeys']);
+  return apiKeys && (apiKeys.encrypted || apiKeys.keys) ? apiKeys : { encrypted: false, keys: {} };
+}
+
+async function readUnlockedKeys() {
+  const { unlockedApiKeys } = await chrome.storage.session.get(['unlockedApiKeys']);
+  return unlockedApiKeys || null;
+}
+
+/**
+ * Keys by provider id, or null while an encrypted store is locked
+ */
+async function getApiKeys() {
+  const vault = await readKeyVault();
+  if (!vault.encrypted) return vault.keys;
+
+  const unlocked = await readUnlockedKeys();
+  return unlocked ? unlocked.keys : null;
+}
+
+async function getApiKey(provider) {
+  const keys = await getApiKeys();
+  return keys ? keys[provider] || '' : '';
+}
+
+async function isKeyVaultEncrypted() {
+  return (await readKeyVault()).encrypted === true;
+}
+
+async function isKeyVaultLocked() {
+  const vault = await readKeyVault();
+  return vault.encrypted && !(await readUnlockedKeys());
+}
+
+/**
+ * Save (or clear, with an empty key) one provider's key - re-encrypts when the store is encrypted
+ */
+async function setApiKey(provider, key) {
+  const vault = await readKeyVault();
+  if (!vault.encrypted) {
+    const keys = { ...vault.keys, [provider]: key.trim() };
+    if (!keys[provider]) delete keys[provider];
+    await chrome.storage.local.set({ apiKeys: { encrypted: false, keys } });
+    return;
+  }
+
+  const unlocked = await readUnlockedKeys();
+  if (!unlocked) {
+    throw new Error('API keys are locked - enter your passphrase first');
+  }
+
+  const keys = { ...unlocked.keys, [provider]: key.trim() };
+  if (!keys[provider]) delete keys[provider];
+  const cryptoKey = await importAesKey(unlocked.aesKey);
+  await chrome.storage.local.set({ apiKeys: await sealKeys(keys, cryptoKey, vault.salt) });
+  await chrome.storage.session.set({ unlockedApiKeys: { keys, aesKey: unlocked.aesKey } });
+}
+
+/**
+ * Move synced secrets into the local store: the pre-3.2 apiKey under the provider it was used with,
+ * custom provider headers (older versions, imported settings files) under 'custom'
+ */
+async function migrateLegacyApiKey() {
+  const { apiKey, apiProvider, customProvider } = await chrome.storage.sync.get(['apiKey', 'apiProvider', 'customProvider']);
+  const headers = customProvider ? customProvider.headers : undefined;
+  if (apiKey === undefined && headers === undefined) return false;
+
+  const locked = await isKeyVaultLocked();
+  const realHeaders = stripRedactedHeaderLines(headers);
+  let waiting = false; // Secrets stay synced while the store is locked - moved on the next unlock
+
+  if (apiKey !== undefined) {
+    if (apiKey && apiProvider && locked) {
+      waiting = true;
+    } else {
+      if (apiKey && apiProvider) await setApiKey(apiProvider, apiKey);
+      await chrome.storage.sync.remove('apiKey');
+    }
+  }
+
+  if (headers !== undefined) {
+    if (realHeaders && locked) {
+      waiting = true;
+    } else {
+      if (realHeaders) await setApiKey('custom', realHeaders);
+      const { headers: _synced, ...rest } = customProvider;
+      await chrome.storage.sync.set({ customProvider: rest });
+    }
+  }
+  return !waiting;
+}
+
+// ============================================================================
+// ENCRYPTION (WebCrypto: PBKDF2-SHA256 -> AES-GCM 256)
+// ============================================================================
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveAesKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // Exported to session storage so the worker can re-encrypt without the passphrase
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function importAesKey(base64) {
+  return crypto.subtle.importKey('raw', fromBase64(base64), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function sealKeys(keys, cryptoKey, salt) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+  return { encrypted: true, salt, iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function rememberUnlocked(keys, cryptoKey) {
+  const aesKey = toBase64(await crypto.subtle.exportKey('raw', cryptoKey));
+  await chrome.storage.session.set({ unlockedApiKeys: { keys, aesKey } });
+}
+
+/**
+ * Encrypt the store with a passphrase (also used to change it - the store must be unlocked)
+ */
+async function encryptKeyVault(passphrase) {
+  if (!passphrase) {
+    throw new Error('Enter a passphrase');
+  }
+  const keys = await getApiKeys();
+  if (!keys) {
+    throw new Error('API keys are locked - enter your current passphrase first');
+  }
+
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const cryptoKey = await deriveAesKey(passphrase, fromBase64(salt));
+  await chrome.storage.local.set({ apiKeys: await sealKeys(keys, cryptoKey, salt) });
+  await rememberUnlocked(keys, cryptoKey);
+}
+
+/**
+ * Decrypt for this browser session - throws on a wrong passphrase
+ */
+async function unlockKeyVault(passphrase) {
+  const vault = await readKeyVault();
+  if (!vault.encrypted) return vault.keys;
+
+  const cryptoKey = await deriveAesKey(passphrase || '', fromBase64(vault.salt));
+  let keys;
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, cryptoKey, fromBase64(vault.data));
+    keys = JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+
+  await rememberUnlocked(keys, cryptoKey);
+  await migrateLegacyApiKey();
+  return keys;
+}
+
+async function lockKeyVault() {
+  await chrome.storage.session.remove('unlockedApiKeys');
+}
+
+/**
+ * Go back to unencrypted local storage (the store must be unlocked)
+ */
+async function removeKeyVaultEncryption() {
+  const keys = await getApiKeys();
+  if (!keys) {
+    throw new Error('API keys are locked - enter your passphrase first');
+  }
+  await chrome.storage.local.set({ apiKeys: { encrypted: false, keys } });
+  await lockKeyVault();
+}
+
+// ============================================================================
+// REDACTION (debug logs, exports)
+// ============================================================================
+
+// access_key=abc / app_id=abc / key=abc in URLs and messages
+function redactSecrets(text) {
+  return String(text).replace(/\b(access_key|app_id|api_?key|apikey|key|token)=[^&\s"']+/gi, '$1=***');
+}
+
+// "Authorization: Bearer abc" header lines -> "Authorization: [redacted]"
+function redactHeaderLines(text) {
+  return (text || '').split(/\r?\n/)
+    .map(line => (line.indexOf(':') > 0 ? `${line.slice(0, line.indexOf(':'))}: [redacted]` : line))
+    .join('\n');
+}
+
+// Header lines with their value still in place - drops the "Name: [redacted]" lines an export writes
+function stripRedactedHeaderLines(text) {
+  return (text || '').split(/\r?\n/)
+    .filter(line => line.trim() && !/:\s*\[redacted\]\s*$/.test(line))
+    .join('\n');
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.ApiKeyStore = {
+    getApiKeys,
+    getApiKey,
+    setApiKey,
+    isKeyVaultEncrypted,
+    isKeyVaultLocked,
+    migrateLegacyApiKey,
+    encryptKeyVault,
+    unlockKeyVault,
+    lockKeyVault,
+    removeKeyVaultEncryption,
+    redactSecrets,
+    redactHeaderLines,
+    stripRedactedHeaderLines
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Currency Converter Pro - Number Formats
+ * Reads amounts in the grouping and digits pages actually use, and writes converted amounts back in them
+ * Version: 3.2.2
+ *
+ * Parsed:  1,234.56  1.234,56  1'234.50 (CH)  1 234,56 (FR, narrow no-break space)
+ *          12,34,567.89 (IN lakh)  ١٬٢٣٤٫٥٦ (Arabic-Indic)  ۱۲۳ (Persian)  १२३ (Devanagari)
+ * The page language and the price currency only decide the one ambiguous case - a lone
+ * separator followed by three digits ("1.234" is a thousand in de-DE, one and a bit in en-US).
+ * Magnitude words scale the number before them: $1.2 billion, ₹5 lakh, 3 crore, 1,5 Mrd., ¥3万.
+ * Needs lib/currencies.js for currency -> country.
+ */
+
+// ============================================================================
+// NATIVE DIGITS
+// ============================================================================
+
+// Zero of each decimal digit set we read, by Intl numbering system name
+const NUMBERING_SYSTEM_ZEROS = {
+  arab: 0x0660,     // ٠١٢ Arabic-Indic
+  arabext: 0x06F0,  // ۰۱۲ Persian / Urdu
+  deva: 0x0966,     // ०१२ Devanagari
+  beng: 0x09E6,     // ০১২ Bengali
+  guru: 0x0A66,
+  gujr: 0x0AE6,
+  orya: 0x0B66,
+  tamldec: 0x0BE6,
+  telu: 0x0C66,
+  knda: 0x0CE6,
+  mlym: 0x0D66,
+  thai: 0x0E50,
+  laoo: 0x0ED0,
+  tibt: 0x0F20,
+  mymr: 0x1040,
+  khmr: 0x17E0,
+  fullwide: 0xFF10  // ０１２ full-width (CJK pages)
+};
+
+// Arabic decimal and thousands separators (٫ ٬), used with both Arabic-Indic and Persian digits
+const ARABIC_DECIMAL_SEPARATOR = '٫';
+const ARABIC_GROUP_SEPARATOR = '٬';
+
+const NATIVE_DIGIT_CLASS = `[${Object.values(NUMBERING_SYSTEM_ZEROS)
+  .map(zero => `${String.fromCharCode(zero)}-${String.fromCharCode(zero + 9)}`)
+  .join('')}]`;
+
+// Numbering system of one native digit character, or null
+function getDigitSystem(char) {
+  const code = char.charCodeAt(0);
+  return Object.keys(NUMBERING_SYSTEM_ZEROS)
+    .find(system => code >= NUMBERING_SYSTEM_ZEROS[system] && code <= NUMBERING_SYSTEM_ZEROS[system] + 9) || null;
+}
+
+/**
+ * Native digits and Arabic separators to ASCII ("١٬٢٣٤٫٥٠" -> "1,234.50")
+ */
+function toAsciiDigits(text) {
+  return String(text || '')
+    .replace(new RegExp(NATIVE_DIGIT_CLASS, 'g'), digit => String(digit.charCodeAt(0) - NUMBERING_SYSTEM_ZEROS[getDigitSystem(digit)]))
+    .replace(new RegExp(ARABIC_DECIMAL_SEPARATOR, 'g'), '.')
+    .replace(new RegExp(ARABIC_GROUP_SEPARATOR, 'g'), ',');
+}
+
+/**
+ * ASCII amount to a numbering system ("1,234.50", 'arab' -> "١٬٢٣٤٫٥٠"); 'latn' or unknown systems are left alone
+ */
+function toNativeDigits(text, numberingSystem) {
+  const zero = NUMBERING_SYSTEM_ZEROS[numberingSystem];
+  if (!zero) return String(text);
+
+  const native = String(text).replace(/\d/g, digit => String.fromCharCode(zero + Number(digit)));
+  if (numberingSystem !== 'arab' && numberingSystem !== 'arabext') return native;
+  return native.replace(/[.,]/g, separator => (separator === '.' ? ARABIC_DECIMAL_SEPARATOR : ARABIC_GROUP_SEPARATOR));
+}
+
+/**
+ * Numbering system of the first native digit in a text ('arab', 'deva'...), or null when it only has 0-9
+ */
+function detectNumberingSystem(text) {
+  const match = String(text || '').match(new RegExp(NATIVE_DIGIT_CLASS));
+  return match ? getDigitSystem(match[0]) : null;
+}
+
+// ============================================================================
+// LOCALE CONVENTIONS
+// ============================================================================
+
+const numberConventionsCache = new Map();
+
+/**
+ * Decimal separator of a locale, read from Intl ("de-CH" -> { locale: 'de-CH', decimal: '.' }, "de-DE" -> { ..., decimal: ',' })
+ */
+function getNumberConventions(locale) {
+  const key = locale || 'en-US';
+  if (!numberConventionsCache.has(key)) {
+    let conventions = { locale: 'en-US', decimal: '.' };
+    try {
+      const format = new Intl.NumberFormat(key);
+      const decimal = format.formatToParts(1.5).find(part => part.type === 'decimal');
+      conventions = {
+        locale: format.resolvedOptions().locale,
+        decimal: toAsciiDigits(decimal ? decimal.value : '.') // ٫ in Arabic locales
+      };
+    } catch (error) {
+      // Invalid language tag - keep en-US
+    }
+    numberConventionsCache.set(key, conventions);
+  }
+  return numberConventionsCache.get(key);
+}
+
+/**
+ * Locale to read a price in: the page locale when it already names the currency's country (en-IN + INR),
+ * the page language in that country (fr + CHF -> fr-CH), or the country's own language (CHF -> de-CH)
+ */
+function getPriceLocale(pageLang, currency) {
+  const registry = self.CurrencyRegistry;
+  const currencyInfo = registry ? registry.getCurrency(currency) : null;
+  const country = currencyInfo && currencyInfo.countries.length > 0 ? currencyInfo.countries[0] : null;
+  if (!country) return pageLang || 'en-US';
+
+  const [language, ...subtags] = (pageLang || '').split(/[-_]/);
+  const region = subtags.find(part => /^[A-Za-z]{2}$/.test(part));
+  if (region && registry.getCurrencyForCountry(region) === currency) return pageLang;
+
+  try {
+    const homeLanguage = language || new Intl.Locale(`und-${country}`).maximize().language;
+    return new Intl.Locale(`${homeLanguage}-${country}`).toString(); // No script subtag - Intl drops the region with one
+  } catch (error) {
+    return 'en-US';
+  }
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// One amount as written on a page: lakh grouping (12,34,567) first, then groups of three
+// (1,234 / 1.234 / 1 234 / 1'234), then plain digits - each with optional 1-2 decimals
+const AMOUNT_NUMBER_PATTERN = "(?:\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:[,.\\s'’]\\d{3})+|\\d+)(?:[.,]\\d{1,2})?";
+
+/**
+ * Parse an amount in any of the groupings above (native digits included)
+ * @param {string} text - the number, possibly with symbols or words around it
+ * @param {Object} conventions - from getNumberConventions(); only settles "1.234" / "1,234"
+ * @returns {number|null}
+ */
+function parseLocaleAmount(text, conventions) {
+  const cleaned = toAsciiDigits(text)
+    .replace(/(\d)[\s'’ʼ](?=\d)/g, '$1') // Spaces (any width) and apostrophes only ever group
+    .replace(/[^\d.,]/g, '');
+  if (!/\d/.test(cleaned)) return null;
+
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+  let decimalIndex = -1;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both: the later one is the decimal (1,234.56 / 1.234,56)
+    decimalIndex = Math.max(lastDot, lastComma);
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const index = Math.max(lastDot, lastComma);
+    const repeated = cleaned.indexOf(separator) !== index; // 1,234,567 / 12,34,567
+    const digitsAfter = cleaned.length - index - 1;
+    if (!repeated && (digitsAfter !== 3 || separator === conventions.decimal)) {
+      decimalIndex = index;
+    }
+  }
+
+  const integer = (decimalIndex === -1 ? cleaned : cleaned.slice(0, decimalIndex)).replace(/[.,]/g, '');
+  const fraction = decimalIndex === -1 ? '' : cleaned.slice(decimalIndex + 1).replace(/[.,]/g, '');
+  const amount = parseFloat(`${integer || '0'}.${fraction || '0'}`);
+  return isFinite(amount) ? amount : null;
+}
+
+// ============================================================================
+// MAGNITUDE WORDS
+// ============================================================================
+
+// Words that multiply the number before them ("₹5 lakh", "1,5 Mrd.", "¥3万"), lowercase
+const MAGNITUDE_WORDS = {
+  // Finance shorthand ("$5k", "€2.5M", "£1.2bn", "$20 mil") - single letters only straight after the digits
+  // and only with a currency in front ("Room 5B" is not five billion)
+  k: 1e3, m: 1e6, b: 1e9, t: 1e12, mn: 1e6, bn: 1e9, tn: 1e12, mil: 1e6,
+  thousand: 1e3, million: 1e6, millions: 1e6, billion: 1e9, billions: 1e9, trillion: 1e12, trillions: 1e12,
+  // South Asian
+  lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7, cr: 1e7,
+  'हज़ार': 1e3, 'हजार': 1e3, 'लाख': 1e5, 'करोड़': 1e7,
+  // Spanish, Portuguese, French, Italian ("billón" is a million million in Spanish)
+  'mil millones': 1e9, 'millón': 1e6, millones: 1e6, 'billón': 1e12, billones: 1e12,
+  'milhão': 1e6, 'milhões': 1e6, 'bilhão': 1e9, 'bilhões': 1e9,
+  mille: 1e3, milliard: 1e9, milliards: 1e9, milione: 1e6, milioni: 1e6, miliardo: 1e9, miliardi: 1e9,
+  // German
+  tausend: 1e3, tsd: 1e3, mio: 1e6, millionen: 1e6, mrd: 1e9, milliarde: 1e9, milliarden: 1e9,
+  // Russian, Ukrainian
+  'тыс': 1e3, 'тысяча': 1e3, 'тысячи': 1e3, 'тысяч': 1e3,
+  'млн': 1e6, 'миллион': 1e6, 'миллиона': 1e6, 'миллионов': 1e6,
+  'млрд': 1e9, 'миллиард': 1e9, 'миллиарда': 1e9, 'миллиардов': 1e9,
+  // Chinese, Japanese, Korean - written without a space and without a word boundary ("3万円", "5만원")
+  '千': 1e3, '万': 1e4, '萬': 1e4, '亿': 1e8, '億': 1e8, '천': 1e3, '만': 1e4, '억': 1e8
+};
+
+// Words whose size depends on the page language - "$20 mil" is twenty million in English,
+// "20 mil pesos" twenty thousand in Spanish and Portuguese
+const LANGUAGE_MAGNITUDES = {
+  mil: { es: 1e3, pt: 1e3, ca: 1e3 }
+};
+
+// "lakh" -> "lakh|Lakh|LAKH" (patterns using this run without the i flag)
+const magnitudeCaseVariants = word => [...new Set([word, word.charAt(0).toUpperCase() + word.slice(1), word.toUpperCase()])]
+  .map(variant => variant.replace(/ /g, '\\s+'))
+  .join('|');
+const sortedMagnitudes = Object.keys(MAGNITUDE_WORDS).sort((a, b) => b.length - a.length);
+const isUnspacedMagnitude = word => /^[\p{Script=Han}\p{Script=Hangul}]$/u.test(word);
+
+/**
+ * Magnitude words with the space before them, for 'u' regexes: "5 lakh", "1.2 billion", "3万"
+ */
+const MAGNITUDE_WORD_PATTERN = '(?:' + [
+  `\\s?(?:${sortedMagnitudes.filter(word => word.length > 1 && !isUnspacedMagnitude(word)).map(magnitudeCaseVariants).join('|')})(?!\\p{L})`,
+  `\\s?(?:${sortedMagnitudes.filter(isUnspacedMagnitude).join('|')})`
+].join('|') + ')';
+
+/**
+ * One-letter magnitudes glued to the digits: "5k", "2.5M" (not "5 k") - callers require a currency in front
+ */
+const MAGNITUDE_LETTER_PATTERN =
+  `(?:${sortedMagnitudes.filter(word => word.length === 1 && !isUnspacedMagnitude(word)).map(magnitudeCaseVariants).join('|')})(?!\\p{L})`;
+
+// Either kind - for text the user picked as a price (context menu selection)
+const MAGNITUDE_PATTERN = `(?:${MAGNITUDE_WORD_PATTERN}|${MAGNITUDE_LETTER_PATTERN})`;
+
+const MAGNITUDE_AMOUNT_REGEX = new RegExp(`(?<![\\d.,])(${AMOUNT_NUMBER_PATTERN})(${MAGNITUDE_PATTERN})`, 'u');
+
+/**
+ * Multiplier of a magnitude word as matched by MAGNITUDE_PATTERN (" Lakh" -> 100000), 1 when unknown
+ * @param {string} [language] - page language, for words like "mil" that differ between languages
+ */
+function getMagnitudeMultiplier(word, language = '') {
+  const key = String(word || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const localized = LANGUAGE_MAGNITUDES[key];
+  const primaryLanguage = String(language || '').split(/[-_]/)[0].toLowerCase();
+  if (localized && localized[primaryLanguage]) return localized[primaryLanguage];
+  return MAGNITUDE_WORDS[key] || 1;
+}
+
+/**
+ * First "number + magnitude" in a text, scaled ("1.2 billion" -> 1200000000, "3万" -> 30000), or null
+ */
+function parseMagnitudeAmount(text, conventions, language = '') {
+  const match = toAsciiDigits(text).match(MAGNITUDE_AMOUNT_REGEX);
+  if (!match) return null;
+  const amount = parseLocaleAmount(match[1], conventions);
+  return amount === null ? null : amount * getMagnitudeMultiplier(match[2], language);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.NumberFormats = {
+    AMOUNT_NUMBER_PATTERN,
+    toAsciiDigits,
+    toNativeDigits,
+    detectNumberingSystem,
+    getNumberConventions,
+    getPriceLocale,
+    parseLocaleAmount,
+    MAGNITUDE_PATTERN,
+    MAGNITUDE_WORD_PATTERN,
+    MAGNITUDE_LETTER_PATTERN,
+    getMagnitudeMultiplier,
+    parseMagnitudeAmount
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Currency Converter Pro - Rate Overrides
+ * User-pinned rates that win over the provider table
+ * Version: 3.2.2
+ *
+ * An override looks like one of:
+ *   { id, type: 'currency', currency: 'ARS', rate: 1150, label }   1 USD = 1150 ARS for every pair with ARS
+ *   { id, type: 'pair', from: 'USD', to: 'ILS', rate: 3.5, label }  1 USD = 3.50 ILS, this pair (and its inverse) only
+ * Pair overrides take precedence over currency overrides. label is optional
+ * ("Company rate", "Blue dollar") and shown in the badge.
+ */
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function isValidOverride(override) {
+  return override && typeof override.rate === 'number' && override.rate > 0 && isFinite(override.rate);
+}
+
+/**
+ * Pinned pair for from -> to (or its inverse), as { rate, override }, or null
+ */
+function findPairOverride(overrides, fromCurrency, toCurrency) {
+  for (const override of overrides || []) {
+    if (override.type !== 'pair' || !isValidOverride(override)) continue;
+    if (override.from === fromCurrency && override.to === toCurrency) {
+      return { rate: override.rate, override };
+    }
+    if (override.from === toCurrency && override.to === fromCurrency) {
+      return { rate: 1 / override.rate, override };
+    }
+  }
+  return null;
+}
+
+function findCurrencyOverride(overrides, currency) {
+  return (overrides || []).find(override =>
+    override.type === 'currency' && override.currency === currency && isValidOverride(override)) || null;
+}
+
+/**
+ * Effective rate for 1 fromCurrency in toCurrency
+ * @param {Object} rates - USD-based provider table
+ * @param {Array} overrides - User overrides (rateOverrides in sync storage)
+ * @returns {{ rate: number, override: Object|null }|null} override is the entry that changed the rate
+ */
+function getEffectiveRate(rates, overrides, fromCurrency, toCurrency) {
+  const pair = findPairOverride(overrides, fromCurrency, toCurrency);
+  if (pair) return pair;
+
+  const fromOverride = findCurrencyOverride(overrides, fromCurrency);
+  const toOverride = findCurrencyOverride(overrides, toCurrency);
+  const fromRate = fromCurrency === 'USD' ? 1 : fromOverride?.rate || rates?.[fromCurrency];
+  const toRate = toCurrency === 'USD' ? 1 : toOverride?.rate || rates?.[toCurrency];
+  if (!fromRate || !toRate) return null;
+
+  return { rate: toRate / fromRate, override: fromOverride || toOverride };
+}
+
+/**
+ * Badge text for tooltips: "📌 Company rate: 1 USD = 3.5000 ILS"
+ */
+function describeRateOverride(override) {
+  const quote = override.type === 'pair'
+    ? `1 ${override.from} = ${override.rate.toFixed(4)} ${override.to}`
+    : `1 USD = ${override.rate.toFixed(4)} ${override.currency}`;
+  return `📌 ${override.label || 'Fixed rate'}: ${quote}`;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.RateOverrides = {
+    findPairOverride,
+    findCurrencyOverride,
+    getEffectiveRate,
+    describeRateOverride
+  };
+}
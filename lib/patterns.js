@@ -29,43 +29,12 @@
 // ============================================================================
 
 /**
- * Comprehensive currency symbol mapping (170+ currencies)
+ * Currency symbol mapping for every registry currency (lib/currencies.js)
  * Format: { 'CODE': 'Symbol' }
  */
-const CURRENCY_SYMBOLS = {
-  // Major currencies
-  'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'CNY': '¥',
-  'ILS': '₪', 'AUD': 'A$', 'CAD': 'C$', 'CHF': 'CHF', 'SEK': 'kr',
-  'NOK': 'kr', 'DKK': 'kr', 'RUB': '₽', 'INR': '₹', 'BRL': 'R$',
-  'ZAR': 'R', 'KRW': '₩', 'MXN': '$', 'SGD': 'S$', 'HKD': 'HK$',
-  'NZD': 'NZ$', 'TRY': '₺', 'PLN': 'zł', 'THB': '฿', 'IDR': 'Rp',
-  'MYR': 'RM', 'PHP': '₱', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei',
-  'BGN': 'лв', 'HRK': 'kn', 'AED': 'د.إ', 'SAR': '﷼', 'QAR': 'ر.ق',
-  'KWD': 'د.ك', 'BHD': 'د.ب', 'OMR': 'ر.ع', 'JOD': 'د.ا', 'LBP': 'ل.ل',
-  'EGP': 'E£', 'MAD': 'د.م', 'TND': 'د.ت', 'DZD': 'د.ج', 'LYD': 'ل.د',
-  'IQD': 'ع.د', 'SYP': '£S', 'YER': '﷼', 'SDG': 'ج.س', 'SOS': 'Sh',
-  'KES': 'KSh', 'TZS': 'TSh', 'UGX': 'USh', 'GHS': '₵', 'NGN': '₦',
-  'XOF': 'CFA', 'XAF': 'FCFA', 'ETB': 'Br', 'ARS': '$', 'CLP': '$',
-  'COP': '$', 'PEN': 'S/', 'UYU': '$U', 'VEF': 'Bs', 'BOB': 'Bs',
-  'PYG': '₲', 'CRC': '₡', 'GTQ': 'Q', 'HNL': 'L', 'NIO': 'C$',
-  'PAB': 'B/.', 'DOP': 'RD$', 'JMD': 'J$', 'TTD': 'TT$', 'BBD': 'Bds$',
-  'BZD': 'BZ$', 'GYD': 'G$', 'SRD': '$', 'HTG': 'G', 'AWG': 'ƒ',
-  'ANG': 'ƒ', 'VND': '₫', 'KHR': '៛', 'LAK': '₭', 'MMK': 'K',
-  'BDT': '৳', 'PKR': '₨', 'LKR': '₨', 'NPR': '₨', 'AFN': '؋',
-  'UZS': 'soʻm', 'KZT': '₸', 'GEL': '₾', 'AMD': '֏', 'AZN': '₼',
-  'TMT': 'm', 'TJS': 'SM', 'KGS': 'с', 'MDL': 'L', 'UAH': '₴',
-  'BYN': 'Br', 'ISK': 'kr', 'ALL': 'L', 'MKD': 'ден', 'RSD': 'дин',
-  'BAM': 'KM', 'GIP': '£', 'FKP': '£', 'SHP': '£', 'JEP': '£',
-  'IMP': '£', 'GGP': '£', 'TVD': '$', 'NRG': '$', 'SBD': '$',
-  'TOP': 'T$', 'WST': 'T', 'VUV': 'Vt', 'FJD': '$', 'PGK': 'K',
-  'XPF': '₣', 'MRU': 'UM', 'MGA': 'Ar', 'MWK': 'MK', 'ZMW': 'ZK',
-  'AOA': 'Kz', 'BIF': 'FBu', 'RWF': 'FRw', 'LSL': 'L', 'SZL': 'E',
-  'BWP': 'P', 'NAD': '$', 'MUR': '₨', 'SCR': '₨', 'GMD': 'D',
-  'SLL': 'Le', 'LRD': '$', 'GNF': 'FG', 'CVE': '$', 'STN': 'Db',
-  'ERN': 'Nfk', 'DJF': 'Fdj', 'KMF': 'CF', 'MZN': 'MT',
-  // Cryptocurrencies
-  'BTC': '₿', 'ETH': 'Ξ', 'LTC': 'Ł', 'XRP': 'XRP', 'BCH': 'BCH', 'ADA': '₳'
-};
+const CURRENCY_SYMBOLS = Object.fromEntries(
+  Object.values(window.CurrencyRegistry.CURRENCIES).map(currency => [currency.code, currency.symbol])
+);
 
 /**
  * Currency codes array for pattern matching
@@ -89,22 +58,22 @@ const EUROPEAN_CURRENCIES = [
  */
 const PATTERNS = {
   // Currency codes (e.g., "USD", "EUR", "US $")
-  currencyCode: /\b(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP|US\s*\$)\b/i,
+  currencyCode: new RegExp(`\\b(${window.PriceRegex.CURRENCY_CODE_PATTERN})\\b|\\b(?:${window.PriceRegex.SYMBOL_PREFIX_PATTERN})\\s*\\$`),
 
   // Currency symbols (single or multi-char)
-  currencySymbol: /[\$€£¥₹₪₽₩฿₺₣₱₫₴złKčFtlei]|US\s*\$|C\$|A\$|NZ\$|HK\$|S\$|R\$|NT\$|د\.إ|د\.ك/,
+  currencySymbol: new RegExp(`${window.PriceRegex.CURRENCY_SYMBOL_CLASS}|${window.PriceRegex.LETTER_SYMBOL_PATTERN}`),
 
   // Complete price patterns
-  priceWithSymbol: /(?:^|[^\d])[\$€£¥₹₪₽₩฿₺₣₱₫₴]\s*\d+(?:[.,]\d{2,3})?(?:[.,]\d{2})?(?:[^\d]|$)/,
-  priceWithCode: /\b(?:USD|EUR|GBP|JPY|CNY|ILS)\s+\d+(?:[.,]\d{2,3})?(?:[.,]\d{2})?/i,
+  priceWithSymbol: new RegExp(`(?:^|[^\\d])${window.PriceRegex.CURRENCY_SYMBOL_CLASS}\\s*\\d+(?:[.,]\\d{2,3})?(?:[.,]\\d{2})?(?:[^\\d]|$)`),
+  priceWithCode: new RegExp(`\\b(?:${window.PriceRegex.AMOUNT_CODE_PATTERN})\\s+\\d+(?:[.,]\\d{2,3})?(?:[.,]\\d{2})?`),
 
   // Number patterns
   number: /\d[\d,.\s]*\d|\d/,
   decimal: /\d+[.,]\d{2}/,
 
   // Price range patterns
-  priceRange: /([\$€£¥₹₪₽₩])\s*(\d+[.,]\d{2})\s*[-–—to]\s*\1\s*(\d+[.,]\d{2})/i,
-  priceRangeWithCode: /(\d+[.,]\d{2})\s*[-–—to]\s*(\d+[.,]\d{2})\s*(usd|eur|gbp|jpy|cny)/i,
+  priceRange: new RegExp(`(${window.PriceRegex.CURRENCY_SYMBOL_CLASS})\\s*(\\d+[.,]\\d{2})\\s*[-–—to]\\s*\\1\\s*(\\d+[.,]\\d{2})`, 'i'),
+  priceRangeWithCode: new RegExp(`(\\d+[.,]\\d{2})\\s*[-–—to]\\s*(\\d+[.,]\\d{2})\\s*(${window.PriceRegex.AMOUNT_CODE_PATTERN})`),
 
   // Negative signals (NOT prices)
   phoneNumber: /^\+?\d{1,3}[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/,
@@ -620,123 +589,10 @@ const WEBSITE_PATTERNS = {
 
 /**
  * Currency symbol to code mapping
- * Maps symbols like $, €, £ to ISO currency codes
- */
-const CURRENCY_MAP = {
-  '$': 'USD',
-  '€': 'EUR',
-  '£': 'GBP',
-  '¥': 'JPY',
-  '₹': 'INR',
-  '₪': 'ILS',
-  '₽': 'RUB',
-  '₩': 'KRW',
-  '฿': 'THB',
-  '₺': 'TRY',
-  'C$': 'CAD',
-  'A$': 'AUD',
-  'NZ$': 'NZD',
-  'HK$': 'HKD',
-  'S$': 'SGD',
-  'R$': 'BRL',
-  'R': 'ZAR',
-  'kr': 'SEK', // Also DKK, NOK, ISK - will handle by context
-  'zł': 'PLN',
-  'Kč': 'CZK',
-  'Ft': 'HUF',
-  'lei': 'RON',
-  'NT$': 'TWD',
-  'د.إ': 'AED',
-  '﷼': 'SAR', // Also used for QAR (Qatari Riyal) - defaults to SAR
-  '₱': 'PHP',
-  '₫': 'VND',
-  '₴': 'UAH',
-  'د.ك': 'KWD',
-  '₣': 'CHF'
-};
-
-/**
- * Get currency symbol for display from ISO code
- * @param {string} code - ISO currency code (e.g., 'USD', 'EUR')
- * @returns {string} Currency symbol or code if not found
- */
-function getCurrencySymbol(code) {
-  const symbols = {
-    // Major Fiat Currencies
-    'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'INR': '₹',
-    'ILS': '₪', 'RUB': '₽', 'KRW': '₩', 'THB': '฿', 'TRY': '₺',
-    'CAD': 'C$', 'AUD': 'A$', 'NZD': 'NZ$', 'HKD': 'HK$', 'SGD': 'S$',
-    'BRL': 'R$', 'ZAR': 'R', 'SEK': 'kr', 'NOK': 'kr', 'DKK': 'kr',
-    'PLN': 'zł', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei', 'TWD': 'NT$',
-    'AED': 'د.إ', 'SAR': '﷼', 'PHP': '₱', 'VND': '₫', 'UAH': '₴',
-    'CHF': '₣', 'MXN': '$', 'CNY': '¥', 'ISK': 'kr', 'KWD': 'د.ك',
-    'QAR': '﷼', 'EGP': '£', 'BGN': 'лв', 'HRK': 'kn', 'ALL': 'L',
-
-    // Americas
-    'ARS': '$', 'CLP': '$', 'COP': '$', 'PEN': 'S/', 'UYU': '$',
-    'VEF': 'Bs', 'BOB': 'Bs', 'CRC': '₡', 'DOP': 'RD$', 'GTQ': 'Q',
-    'PYG': '₲', 'HNL': 'L', 'NIO': 'C$', 'PAB': 'B/.', 'JMD': 'J$',
-
-    // Asia
-    'MYR': 'RM', 'IDR': 'Rp', 'PKR': '₨', 'BDT': '৳', 'LKR': 'Rs',
-    'NPR': 'Rs', 'MMK': 'K', 'KHR': '៛', 'LAK': '₭', 'AFN': '؋',
-
-    // Middle East
-    'BHD': 'د.ب', 'OMR': '﷼', 'JOD': 'د.ا', 'LBP': 'ل.ل',
-    'IQD': 'ع.د', 'SYP': '£', 'YER': '﷼', 'SDG': '£',
-
-    // Africa
-    'NGN': '₦', 'KES': 'KSh', 'GHS': '₵', 'MAD': 'د.م.', 'TZS': 'TSh',
-    'UGX': 'USh', 'ETB': 'Br', 'DZD': 'د.ج', 'TND': 'د.ت', 'LYD': 'ل.د',
-    'MUR': '₨', 'NAD': '$', 'BWP': 'P', 'MZN': 'MT', 'XOF': 'CFA', 'XAF': 'CFA',
-
-    // Europe (Additional)
-    'MKD': 'ден', 'RSD': 'дин', 'BAM': 'KM', 'GEL': '₾', 'AMD': '֏',
-    'AZN': '₼', 'BYN': 'Br', 'MDL': 'L', 'KZT': '₸',
-
-    // Cryptocurrencies (16 major)
-    'BTC': '₿', 'ETH': 'Ξ', 'USDT': '₮', 'USDC': '$', 'BNB': 'BNB',
-    'XRP': 'XRP', 'ADA': '₳', 'SOL': 'SOL', 'DOGE': 'Ð', 'DOT': 'DOT',
-    'MATIC': 'MATIC', 'LTC': 'Ł', 'BCH': 'BCH', 'LINK': 'LINK',
-    'XLM': 'XLM', 'ATOM': 'ATOM'
-  };
-  return symbols[code] || code;
-}
-
-/**
- * Get appropriate decimal places for currency
- * Some currencies don't use decimals, others use 2 or 3
- * @param {string} code - ISO currency code
- * @returns {number} Number of decimal places
+ * Maps symbols like $, €, £ to ISO currency codes - shared symbols ("$", "kr", "﷼") map to their
+ * default currency; CurrencyRegistry.getCurrenciesForSymbol lists the alternatives
  */
-function getCurrencyDecimals(code) {
-  // Zero decimal currencies (whole numbers only)
-  const zeroDecimalCurrencies = [
-    'JPY', 'KRW', 'VND', 'IDR', 'CLP', 'ISK', 'PYG', 'UGX', 'KRW',
-    'XOF', 'XAF', 'GNF', 'RWF', 'BIF', 'KMF', 'DJF', 'XPF'
-  ];
-
-  // Three decimal currencies (more precision)
-  const threeDecimalCurrencies = [
-    'BHD', 'JOD', 'KWD', 'OMR', 'TND', 'IQD', 'LYD'
-  ];
-
-  // Cryptocurrencies (8 decimals for high precision)
-  const cryptoCurrencies = [
-    'BTC', 'ETH', 'USDT', 'USDC', 'BNB', 'XRP', 'ADA', 'SOL',
-    'DOGE', 'DOT', 'MATIC', 'LTC', 'BCH', 'LINK', 'XLM', 'ATOM'
-  ];
-
-  if (zeroDecimalCurrencies.includes(code)) {
-    return 0;
-  } else if (threeDecimalCurrencies.includes(code)) {
-    return 3;
-  } else if (cryptoCurrencies.includes(code)) {
-    return 8;
-  } else {
-    return 2; // Default for most currencies
-  }
-}
+const CURRENCY_MAP = window.CurrencyRegistry.SYMBOL_DEFAULTS;
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -839,7 +695,8 @@ if (typeof window !== 'undefined') {
     // Functions
     detectWebsiteType,
     getPriceSelectors,
-    getCurrencySymbol,
-    getCurrencyDecimals
+    // Display symbol and decimal places come from the currency registry
+    getCurrencySymbol: window.CurrencyRegistry.getCurrencySymbol,
+    getCurrencyDecimals: window.CurrencyRegistry.getCurrencyDecimals
   };
 }
@@ -4,6 +4,38 @@
  * Version: 3.2.2
  */
 
+// ============================================================================
+// CURRENCY PATTERN PARTS (generated from lib/currencies.js)
+// ============================================================================
+
+const { CurrencyRegistry, NumberFormats } = window;
+
+/**
+ * ISO codes safe to match anywhere ("USD|usd|EUR|eur|...")
+ */
+const CURRENCY_CODE_PATTERN = CurrencyRegistry.buildCodePattern();
+
+/**
+ * ISO codes for patterns that require an amount next to the code - adds word-like codes in capitals ("CAD 20");
+ * headline words ("ALL 500", "TOP 10") are left out, content.js adds the page currency's own (getAmountCodePattern)
+ */
+const AMOUNT_CODE_PATTERN = CurrencyRegistry.buildCodePattern({ wordLike: true });
+
+/**
+ * One-character symbols as a character class ("[$€£¥₹₪...]")
+ */
+const CURRENCY_SYMBOL_CLASS = CurrencyRegistry.buildSymbolPattern();
+
+/**
+ * Symbols made of letters ("NZ$", "kr", "zł", "د.إ") - only meaningful next to a number
+ */
+const LETTER_SYMBOL_PATTERN = CurrencyRegistry.buildSymbolPattern({ letters: true });
+
+/**
+ * Letters in front of a symbol ("US" in "US$", "NZ" in "NZ $")
+ */
+const SYMBOL_PREFIX_PATTERN = CurrencyRegistry.buildSymbolPrefixPattern();
+
 // ============================================================================
 // CURRENCY DETECTION REGEX
 // ============================================================================
@@ -12,22 +44,25 @@
  * Currency codes pattern (USD, EUR, GBP, etc.)
  * Matches 3-letter ISO currency codes
  */
-const CURRENCY_CODE_REGEX = /\b(USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i;
+const CURRENCY_CODE_REGEX = new RegExp(`\\b(${CURRENCY_CODE_PATTERN})\\b`);
 
 /**
- * Special currency format (US $, US$, etc.)
+ * Special currency format (US $, US$, NZ$, etc.)
  */
-const SPECIAL_CURRENCY_REGEX = /US\s*\$|C\$|A\$|NZ\$|HK\$|S\$|R\$|NT\$/;
+const SPECIAL_CURRENCY_REGEX = new RegExp(`\\b(?:${SYMBOL_PREFIX_PATTERN})\\s*${CURRENCY_SYMBOL_CLASS}`);
 
 /**
- * All currency symbols in one pattern
+ * All one-character currency symbols in one pattern
  */
-const CURRENCY_SYMBOL_REGEX = /[$€£¥₹₪₽₩฿₺₣₱₫₴złKčFtleiد\.إد\.كل\.ع﷼]/;
+const CURRENCY_SYMBOL_REGEX = new RegExp(CURRENCY_SYMBOL_CLASS);
 
 /**
- * Quick currency check (symbols or codes)
+ * Quick currency check (symbols, letter symbols next to a number, or codes)
  */
-const HAS_CURRENCY_REGEX = /[$€£¥₹₪₽₩฿₺₣₱₫₴złKčFtlei]|\b(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i;
+const HAS_CURRENCY_REGEX = new RegExp(
+  `${CURRENCY_SYMBOL_CLASS}|\\b(?:${CURRENCY_CODE_PATTERN})\\b` +
+  `|\\d\\s*(?:${LETTER_SYMBOL_PATTERN})|(?:${LETTER_SYMBOL_PATTERN})\\s*\\d`
+);
 
 // ============================================================================
 // PRICE DETECTION REGEX
@@ -37,31 +72,34 @@ const HAS_CURRENCY_REGEX = /[$€£¥₹₪₽₩฿₺₣₱₫₴złKčFtlei]|
  * Basic price pattern - matches currency + number
  * Examples: $49, €12.99, £5, ¥1000
  */
-const BASIC_PRICE_REGEX = /[$€£¥₹₪₽₩฿₺₣₱₫₴]\s*\d+(?:[.,]\d+)?/;
+const BASIC_PRICE_REGEX = new RegExp(`${CURRENCY_SYMBOL_CLASS}\\s*\\d+(?:[.,]\\d+)?`);
 
 /**
  * Price with currency code before number
  * Examples: USD 49, EUR 12.99, GBP 5
  */
-const CURRENCY_CODE_BEFORE_REGEX = /\b(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s*\d+(?:[.,]\d+)?/i;
+const CURRENCY_CODE_BEFORE_REGEX = new RegExp(`\\b(?:${AMOUNT_CODE_PATTERN})\\s*\\d+(?:[.,]\\d+)?`);
 
 /**
  * Price with currency code after number
  * Examples: 49 USD, 12.99 EUR, 5 GBP
  */
-const CURRENCY_CODE_AFTER_REGEX = /\d+(?:[.,]\d+)?\s*(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i;
+const CURRENCY_CODE_AFTER_REGEX = new RegExp(`\\d+(?:[.,]\\d+)?\\s*(?:${AMOUNT_CODE_PATTERN})\\b`);
 
 /**
  * Comprehensive price pattern - catches most price formats
  * Examples: $49, $49.99, 49.99 USD, USD 49.99, €12,99
  */
-const COMPREHENSIVE_PRICE_REGEX = /(?:[$€£¥₹₪₽₩฿₺₣₱₫₴]|(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\s*)\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{1,2})?|\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{1,2})?\s*(?:USD|EUR|GBP|JPY|INR|ILS|CAD|AUD|CHF|CNY|BRL|RUB|KRW|THB|TRY|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|MXN|NZD|SGD|HKD|TWD|AED|SAR|PHP|VND|UAH|RON|ISK|KWD|QAR|EGP)\b/i;
+const COMPREHENSIVE_PRICE_REGEX = new RegExp(
+  `(?:${CURRENCY_SYMBOL_CLASS}|(?:${AMOUNT_CODE_PATTERN})\\s*)\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{1,2})?` +
+  `|\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{1,2})?\\s*(?:${AMOUNT_CODE_PATTERN})\\b`
+);
 
 /**
  * Simple price pattern for basic detection
  * Examples: $49, €12.99, £5.00
  */
-const SIMPLE_PRICE_REGEX = /[$€£¥₹₪₽₩]\s*\d+(?:\.\d{2})?/;
+const SIMPLE_PRICE_REGEX = new RegExp(`${CURRENCY_SYMBOL_CLASS}\\s*\\d+(?:\\.\\d{2})?`);
 
 // ============================================================================
 // NUMBER EXTRACTION REGEX
@@ -157,14 +195,14 @@ const QUANTITY_PATTERN_REGEX = /\b(?:pack|box|set|bundle|lot)\s+of\s+\d+|\d+\s*x
  * Handles special formats like "US$", "C$", and regular currency codes
  * Groups vary based on match - see detectPriceRange function for parsing
  */
-const PRICE_RANGE_REGEX = /(?:(?:US|C|A|NZ|HK|S|R|NT)\s*)?([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s*[-–—~]\s*(?:(?:US|C|A|NZ|HK|S|R|NT)\s*)?([$€£¥₹₪₽₩฿₺₣₱₫₴])?\s*(\d+(?:[.,]\d+)?)|(?:([A-Z]{3})\s+)?(\d+(?:[.,]\d+)?)\s*[-–—~]\s*(\d+(?:[.,]\d+)?)\s*([A-Z]{3})?/i;
+const PRICE_RANGE_REGEX = new RegExp(`(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s*[-–—~]\\s*(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(${CURRENCY_SYMBOL_CLASS})?\\s*(\\d+(?:[.,]\\d+)?)|(?:([A-Z]{3})\\s+)?(\\d+(?:[.,]\\d+)?)\\s*[-–—~]\\s*(\\d+(?:[.,]\\d+)?)\\s*([A-Z]{3})?`, 'i');
 
 /**
  * Alternative price range pattern with "to"
  * Matches: $10 to $20, US$10 to 20, 10 to 20 USD, etc.
  * Handles special formats like "US$", "C$", and regular currency codes
  */
-const PRICE_RANGE_TO_REGEX = /(?:(?:US|C|A|NZ|HK|S|R|NT)\s*)?([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s+to\s+(?:(?:US|C|A|NZ|HK|S|R|NT)\s*)?([$€£¥₹₪₽₩฿₺₣₱₫₴])?\s*(\d+(?:[.,]\d+)?)|(?:([A-Z]{3})\s+)?(\d+(?:[.,]\d+)?)\s+to\s+(\d+(?:[.,]\d+)?)\s*([A-Z]{3})?/i;
+const PRICE_RANGE_TO_REGEX = new RegExp(`(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s+to\\s+(?:(?:${SYMBOL_PREFIX_PATTERN})\\s*)?(${CURRENCY_SYMBOL_CLASS})?\\s*(\\d+(?:[.,]\\d+)?)|(?:([A-Z]{3})\\s+)?(\\d+(?:[.,]\\d+)?)\\s+to\\s+(\\d+(?:[.,]\\d+)?)\\s*([A-Z]{3})?`, 'i');
 
 // ============================================================================
 // CONTEXT REGEX (Words that indicate prices)
@@ -195,7 +233,7 @@ const SALE_PRICE_INDICATOR_REGEX = /\b(?:was|originally|before|list|msrp|rrp|reg
  * Valid price fragment pattern
  * Matches single characters/numbers used in fragmented prices
  */
-const PRICE_FRAGMENT_REGEX = /^(US\s*\$|[A-Z]{3}|[$€£¥₹₪₽₩฿₺₣₱₫₴]|\d+|[.,])$/;
+const PRICE_FRAGMENT_REGEX = new RegExp(`^((?:${SYMBOL_PREFIX_PATTERN})\\s*${CURRENCY_SYMBOL_CLASS}|[A-Z]{3}|${CURRENCY_SYMBOL_CLASS}|\\d+|[.,])$`);
 
 /**
  * AliExpress style attribute patterns
@@ -207,34 +245,53 @@ const ALIEXPRESS_STYLE_PATTERN_REGEX = /currency-symbol:|is-price-power:|decimal
 // ============================================================================
 
 /**
- * Abbreviated price formats (5k, 2.5M, 1.2B)
- * Matches: $5k, €2.5M, £1.2B, ¥500k
+ * Amounts scaled by a magnitude word (lib/numbers.js), with the currency before or after
+ * Matches: $5k, €2.5M, £1.2bn, ₹5 lakh, $1.2 billion, ¥3万, 3 crore rupees, 20 mil dólares, 1,5 Mrd. €
+ * Groups: 1 currency before, 2 number, 3 magnitude word, 4 one-letter magnitude, 5 currency after -
+ * a match needs 1, or 3 with 5 ("5 mil" alone is not a price, "Room 5B" is not five billion)
  */
-const ABBREVIATED_PRICE_REGEX = /([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:\.\d+)?)\s*([KkMmBb])\b/;
+const ABBREVIATED_PRICE_REGEX = new RegExp(
+  `(?:(${CURRENCY_SYMBOL_CLASS}|${AMOUNT_CODE_PATTERN}|${LETTER_SYMBOL_PATTERN})\\s*)?(?<![\\d.,])(${NumberFormats.AMOUNT_NUMBER_PATTERN})` +
+  `(?:(${NumberFormats.MAGNITUDE_WORD_PATTERN})|(${NumberFormats.MAGNITUDE_LETTER_PATTERN}))` +
+  `(?:\\.?\\s*(?:(?:de|d['’])\\s*)?(${CurrencyRegistry.CURRENCY_WORD_PATTERN}|(?:${AMOUNT_CODE_PATTERN}|${LETTER_SYMBOL_PATTERN})(?![A-Za-z])|${CURRENCY_SYMBOL_CLASS}))?`,
+  'gu'
+);
+
+/**
+ * Amounts followed by a currency word, in any language the registry knows (optionally scaled)
+ * Matches: 50 euros, 20 dólares, 100 шекелей, 500 שקלים, 3 crore rupees, 1,5 Millionen Euro, 100美元, £5 pounds
+ * Groups: 1 currency before, 2 number, 3 magnitude, 4 currency word, 5 word like "pounds" -
+ * a match needs 4, or 5 with 1 ("He lost 10 pounds" is not a price)
+ */
+const WORD_PRICE_REGEX = new RegExp(
+  `(?:(${CURRENCY_SYMBOL_CLASS}|${AMOUNT_CODE_PATTERN}|${LETTER_SYMBOL_PATTERN})\\s*)?(?<![\\d.,])(${NumberFormats.AMOUNT_NUMBER_PATTERN})(${NumberFormats.MAGNITUDE_WORD_PATTERN})?` +
+  `\\.?\\s*(?:(?:de|d['’])\\s*)?(?:(${CurrencyRegistry.CURRENCY_WORD_PATTERN})|(${CurrencyRegistry.AMBIGUOUS_CURRENCY_WORD_PATTERN}))`,
+  'gu'
+);
 
 /**
  * Price with "from" or "starting at"
  * Matches: from $10, starting at €50, as low as £20
  */
-const PRICE_FROM_REGEX = /\b(?:from|starting\s+at|as\s+low\s+as|only|just)\s+([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)/i;
+const PRICE_FROM_REGEX = new RegExp(`\\b(?:from|starting\\s+at|as\\s+low\\s+as|only|just)\\s+(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)`, 'i');
 
 /**
  * Price with "up to" or "under"
  * Matches: up to $100, under €50, less than £20
  */
-const PRICE_UP_TO_REGEX = /\b(?:up\s+to|under|less\s+than|max|maximum)\s+([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)/i;
+const PRICE_UP_TO_REGEX = new RegExp(`\\b(?:up\\s+to|under|less\\s+than|max|maximum)\\s+(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)`, 'i');
 
 /**
  * Price per unit (per kg, per item, each, etc.)
  * Matches: $5/kg, €10 each, £2 per item
  */
-const PRICE_PER_UNIT_REGEX = /([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s*(?:\/|per|each)\s*(?:kg|g|lb|oz|item|piece|unit|person)?\b/i;
+const PRICE_PER_UNIT_REGEX = new RegExp(`(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s*(?:\\/|per|each)\\s*(?:kg|g|lb|oz|item|piece|unit|person)?\\b`, 'i');
 
 /**
  * Multiple prices in one string (and/or pattern)
  * Matches: $5 and $10, €20 or €30
  */
-const MULTIPLE_PRICES_REGEX = /([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s+(?:and|or|to)\s+\1\s*(\d+(?:[.,]\d+)?)/i;
+const MULTIPLE_PRICES_REGEX = new RegExp(`(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s+(?:and|or|to)\\s+\\1\\s*(\\d+(?:[.,]\\d+)?)`, 'i');
 
 /**
  * Cryptocurrency patterns
@@ -246,25 +303,25 @@ const CRYPTO_PRICE_REGEX = /(\d+(?:\.\d+)?)\s*(BTC|ETH|USDT|USDC|BNB|XRP|ADA|SOL
  * Price with discount indication
  * Matches: $50 (save $10), €100 (20% off)
  */
-const PRICE_WITH_DISCOUNT_REGEX = /([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s*\((?:save|discount|off)\s+[^)]+\)/i;
+const PRICE_WITH_DISCOUNT_REGEX = new RegExp(`(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s*\\((?:save|discount|off)\\s+[^)]+\\)`, 'i');
 
 /**
  * Subscription/recurring price patterns
  * Matches: $9.99/month, €50/year, £5 per month
  */
-const SUBSCRIPTION_PRICE_REGEX = /([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s*(?:\/|per)\s*(?:month|mo|year|yr|week|day|hour)\b/i;
+const SUBSCRIPTION_PRICE_REGEX = new RegExp(`(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s*(?:\\/|per)\\s*(?:month|mo|year|yr|week|day|hour)\\b`, 'i');
 
 /**
  * Price in parentheses (common in Asian markets)
  * Matches: (¥100), ($50), (€20)
  */
-const PRICE_IN_PARENTHESES_REGEX = /\(\s*([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)\s*\)/;
+const PRICE_IN_PARENTHESES_REGEX = new RegExp(`\\(\\s*(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)\\s*\\)`);
 
 /**
  * Approx/circa price patterns
  * Matches: ~$50, approx €100, circa £200
  */
-const APPROXIMATE_PRICE_REGEX = /(?:~|approx\.?|circa|about|around)\s*([$€£¥₹₪₽₩฿₺₣₱₫₴])\s*(\d+(?:[.,]\d+)?)/i;
+const APPROXIMATE_PRICE_REGEX = new RegExp(`(?:~|approx\\.?|circa|about|around)\\s*(${CURRENCY_SYMBOL_CLASS})\\s*(\\d+(?:[.,]\\d+)?)`, 'i');
 
 // ============================================================================
 // EXPORT
@@ -272,6 +329,13 @@ const APPROXIMATE_PRICE_REGEX = /(?:~|approx\.?|circa|about|around)\s*([$€£¥
 
 if (typeof window !== 'undefined') {
   window.PriceRegex = {
+    // Pattern parts (for composing page-specific regexes)
+    CURRENCY_CODE_PATTERN,
+    AMOUNT_CODE_PATTERN,
+    CURRENCY_SYMBOL_CLASS,
+    LETTER_SYMBOL_PATTERN,
+    SYMBOL_PREFIX_PATTERN,
+
     // Currency detection
     CURRENCY_CODE_REGEX,
     SPECIAL_CURRENCY_REGEX,
@@ -317,6 +381,7 @@ if (typeof window !== 'undefined') {
 
     // Advanced patterns
     ABBREVIATED_PRICE_REGEX,
+    WORD_PRICE_REGEX,
     PRICE_FROM_REGEX,
     PRICE_UP_TO_REGEX,
     PRICE_PER_UNIT_REGEX,
@@ -0,0 +1,103 @@
+/**
+ * Currency Converter Pro - Import Taxes
+ * VAT / sales tax, import duty and de-minimis thresholds by destination country
+ * Version: 3.2.2
+ *
+ * Rates are typical standard rates for low-value consumer imports and can be
+ * overridden per country in options (importTaxOverrides in sync storage).
+ * deMinimis is the order value (goods + shipping, in deMinimisCurrency or the
+ * country's currency) up to which no import VAT or duty is charged; 0 means taxed
+ * from the first cent.
+ */
+
+// ============================================================================
+// DEFAULT RULES
+// ============================================================================
+
+const IMPORT_TAX_RULES = {
+  IL: { name: 'Israel', currency: 'ILS', vatPercent: 18, dutyPercent: 0, deMinimis: 75, deMinimisCurrency: 'USD' },
+  GB: { name: 'United Kingdom', currency: 'GBP', vatPercent: 20, dutyPercent: 0, deMinimis: 0 },
+  DE: { name: 'Germany', currency: 'EUR', vatPercent: 19, dutyPercent: 0, deMinimis: 0 },
+  FR: { name: 'France', currency: 'EUR', vatPercent: 20, dutyPercent: 0, deMinimis: 0 },
+  IT: { name: 'Italy', currency: 'EUR', vatPercent: 22, dutyPercent: 0, deMinimis: 0 },
+  ES: { name: 'Spain', currency: 'EUR', vatPercent: 21, dutyPercent: 0, deMinimis: 0 },
+  NL: { name: 'Netherlands', currency: 'EUR', vatPercent: 21, dutyPercent: 0, deMinimis: 0 },
+  PL: { name: 'Poland', currency: 'PLN', vatPercent: 23, dutyPercent: 0, deMinimis: 0 },
+  SE: { name: 'Sweden', currency: 'SEK', vatPercent: 25, dutyPercent: 0, deMinimis: 0 },
+  NO: { name: 'Norway', currency: 'NOK', vatPercent: 25, dutyPercent: 0, deMinimis: 0 },
+  DK: { name: 'Denmark', currency: 'DKK', vatPercent: 25, dutyPercent: 0, deMinimis: 0 },
+  CH: { name: 'Switzerland', currency: 'CHF', vatPercent: 8.1, dutyPercent: 0, deMinimis: 62 },
+  US: { name: 'United States', currency: 'USD', vatPercent: 0, dutyPercent: 0, deMinimis: 0 },
+  CA: { name: 'Canada', currency: 'CAD', vatPercent: 5, dutyPercent: 0, deMinimis: 20 },
+  AU: { name: 'Australia', currency: 'AUD', vatPercent: 10, dutyPercent: 0, deMinimis: 0 },
+  NZ: { name: 'New Zealand', currency: 'NZD', vatPercent: 15, dutyPercent: 0, deMinimis: 0 },
+  JP: { name: 'Japan', currency: 'JPY', vatPercent: 10, dutyPercent: 0, deMinimis: 10000 },
+  IN: { name: 'India', currency: 'INR', vatPercent: 18, dutyPercent: 20, deMinimis: 0 },
+  BR: { name: 'Brazil', currency: 'BRL', vatPercent: 17, dutyPercent: 20, deMinimis: 0 }
+};
+
+// Destination country implied by the target currency (EUR defaults to Germany)
+const CURRENCY_COUNTRY = {
+  ILS: 'IL', GBP: 'GB', EUR: 'DE', PLN: 'PL', SEK: 'SE', NOK: 'NO', DKK: 'DK',
+  CHF: 'CH', USD: 'US', CAD: 'CA', AUD: 'AU', NZD: 'NZ', JPY: 'JP', INR: 'IN', BRL: 'BR'
+};
+
+// ============================================================================
+// LANDED COST
+// ============================================================================
+
+/**
+ * Resolve the tax rule for an explicit country, or the one implied by the target currency
+ * @returns {Object|null} Rule with `country` added, user overrides applied
+ */
+function resolveTaxRule(country, targetCurrency, overrides = {}) {
+  const code = country || CURRENCY_COUNTRY[targetCurrency];
+  if (!code || !IMPORT_TAX_RULES[code]) return null;
+  return { country: code, ...IMPORT_TAX_RULES[code], ...(overrides[code] || {}) };
+}
+
+/**
+ * Estimate what an import costs once it clears customs
+ * @param {number} itemAmount - Goods value in targetCurrency
+ * @param {number} shippingAmount - Shipping in targetCurrency (0 if free/unknown)
+ * @param {Object} rule - Rule from resolveTaxRule()
+ * @param {string} targetCurrency - Currency of the amounts
+ * @param {Object} rates - USD-based rate table (to compare against the de-minimis threshold)
+ * @returns {{ amount: number, vat: number, duty: number, shipping: number, exempt: boolean }|null}
+ */
+function estimateLandedCost(itemAmount, shippingAmount, rule, targetCurrency, rates) {
+  if (!rule || typeof itemAmount !== 'number' || !isFinite(itemAmount)) return null;
+
+  const shipping = shippingAmount || 0;
+  const orderValue = itemAmount + shipping;
+
+  const thresholdCurrency = rule.deMinimisCurrency || rule.currency;
+  let threshold = rule.deMinimis || 0;
+  if (threshold > 0 && thresholdCurrency !== targetCurrency) {
+    if (!rates || !rates[thresholdCurrency] || !rates[targetCurrency]) return null;
+    threshold = threshold / rates[thresholdCurrency] * rates[targetCurrency];
+  }
+
+  if (orderValue <= threshold) {
+    return { amount: orderValue, vat: 0, duty: 0, shipping, exempt: true };
+  }
+
+  // VAT is charged on goods + shipping + duty
+  const duty = orderValue * (rule.dutyPercent || 0) / 100;
+  const vat = (orderValue + duty) * (rule.vatPercent || 0) / 100;
+
+  return { amount: orderValue + duty + vat, vat, duty, shipping, exempt: false };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof self !== 'undefined') {
+  self.ImportTaxes = {
+    IMPORT_TAX_RULES,
+    CURRENCY_COUNTRY,
+    resolveTaxRule,
+    estimateLandedCost
+  };
+}
@@ -1,5 +1,32 @@
 // Options page script for settings management
 
+// Fallback order used until the user configures their own chain (same default as background.js)
+const DEFAULT_PROVIDER_CHAIN = ['exchangerate-api', 'exchangerates-api', 'ecb'];
+let providerChain = [...DEFAULT_PROVIDER_CHAIN];
+
+// Stored fiat table and its metadata (background.js writes them together)
+const FIAT_RATE_CACHE_KEYS = ['exchangeRates', 'lastUpdate', 'lastUpdateFormatted', 'rateProvider', 'rateCount', 'ratesPublishedAt'];
+
+// Primary provider + chain the stored rate table was fetched with - the table is only dropped when they change:
+// each drop costs a metered request on the next lookup, outside the low-quota throttle
+let savedRateSource = null;
+const getRateSource = (apiProvider, chain) => JSON.stringify([apiProvider, chain]);
+
+// Extra target currencies shown after the default one (max 4, so 5 targets in total)
+const MAX_EXTRA_TARGETS = 4;
+let extraTargetCurrencies = [];
+
+// Payment methods (card markup, weekend markup, fixed fee) - see lib/fees.js
+let paymentProfiles = [];
+let rateOverrides = []; // 📌 Pinned pair / per-currency rates (lib/overrides.js)
+let cryptoAssets = []; // 🪙 User-added coins { ticker, id } on top of lib/crypto.js defaults
+
+// User edits to the import tax rules in lib/taxes.js: { countryCode: { vatPercent, dutyPercent, deMinimis } }
+let importTaxOverrides = {};
+
+// Per-domain rules: { hostname: { disabled, sourceCurrency, targetCurrency, displayMode } }
+let siteProfiles = {};
+
 document.addEventListener('DOMContentLoaded', async () => {
   await loadVersionInfo();
   await loadSettings();
@@ -25,22 +52,40 @@ async function loadVersionInfo() {
 
 async function loadSettings() {
   try {
+    // 🔐 An imported file or older version may still carry a synced apiKey or custom provider headers
+    await window.ApiKeyStore.migrateLegacyApiKey();
+
     const settings = await chrome.storage.sync.get([
       'uiScale',
       'selectedTheme',
       'defaultTargetCurrency',
       'updateInterval',
+      'staleRateHours',
       'highlightPrices',
       'showInlineConversion',
       'replacePrice',
       'apiProvider',
-      'apiKey',
+      'apiQuotaLimit',
+      'providerChain',
+      'customProvider',
+      'maxRateJumpPercent',
+      'crossCheckProvider',
+      'siteProfiles',
+      'extraTargetCurrencies',
+      'paymentProfiles',
+      'rateOverrides',
+      'cryptoAssets',
+      'cryptoUpdateInterval',
+      'showLandedCost',
+      'importCountry',
+      'importTaxOverrides',
       // Popup visibility settings
       'showStatsBar',
       'showFavorites',
       'showActions',
       'showQuickToggles',
       'showFooterLinks',
+      'showPagePrices',
       // Display format
       'decimalPlaces',
       'currencyDisplay',
@@ -79,6 +124,7 @@ async function loadSettings() {
       'multiCurrencyDetection',
       'rateAlerts',
       'showConfidenceScore',
+      'sameSiteFramesOnly',
       // Display preferences
       'symbolPosition',
       'roundingMethod',
@@ -104,11 +150,13 @@ async function loadSettings() {
     // ⭐ SMART DEFAULTS: Native HTML title tooltip ON by default for best UX
     document.getElementById('defaultTargetCurrency').value = settings.defaultTargetCurrency || 'ILS';
     document.getElementById('updateInterval').value = settings.updateInterval || '1440';
+    document.getElementById('staleRateHours').value = typeof settings.staleRateHours === 'number' ? settings.staleRateHours : 48;
+    document.getElementById('cryptoUpdateInterval').value = settings.cryptoUpdateInterval || window.CryptoAssets.DEFAULT_CRYPTO_UPDATE_MINUTES;
     document.getElementById('highlightPrices').checked = settings.highlightPrices || false;
     document.getElementById('showInlineConversion').checked = settings.showInlineConversion !== undefined ? settings.showInlineConversion : true; // Native HTML title ON by default ⭐
     document.getElementById('replacePrice').checked = settings.replacePrice || false;
     document.getElementById('apiProvider').value = settings.apiProvider || 'exchangerate-api';
-    document.getElementById('apiKey').value = settings.apiKey || '';
+    document.getElementById('apiQuotaLimit').value = settings.apiQuotaLimit || '';
 
     // Popup visibility settings (all hidden by default)
     document.getElementById('showStatsBar').checked = settings.showStatsBar || false;
@@ -116,6 +164,7 @@ async function loadSettings() {
     document.getElementById('showActions').checked = settings.showActions || false;
     document.getElementById('showQuickToggles').checked = settings.showQuickToggles || false;
     document.getElementById('showFooterLinks').checked = settings.showFooterLinks || false;
+    document.getElementById('showPagePrices').checked = settings.showPagePrices || false;
 
     // Display format
     document.getElementById('decimalPlaces').value = settings.decimalPlaces || 'auto';
@@ -173,6 +222,8 @@ async function loadSettings() {
     if (rateAlerts) rateAlerts.checked = settings.rateAlerts || false;
     const confidenceScore = document.getElementById('showConfidenceScore');
     if (confidenceScore) confidenceScore.checked = settings.showConfidenceScore || false;
+    const sameSiteFrames = document.getElementById('sameSiteFramesOnly');
+    if (sameSiteFrames) sameSiteFrames.checked = settings.sameSiteFramesOnly || false;
 
     // Display preferences
     const symbolPos = document.getElementById('symbolPosition');
@@ -184,6 +235,51 @@ async function loadSettings() {
     const showFlags = document.getElementById('showCurrencyFlags');
     if (showFlags) showFlags.checked = settings.showCurrencyFlags || false;
 
+    // Provider failover chain
+    providerChain = Array.isArray(settings.providerChain) ? settings.providerChain : [...DEFAULT_PROVIDER_CHAIN];
+    savedRateSource = getRateSource(settings.apiProvider || 'exchangerate-api', providerChain);
+    renderProviderChain();
+    await renderProviderHealth();
+    renderCustomProvider(settings.customProvider || {});
+
+    // Rate sanity checks
+    document.getElementById('maxRateJumpPercent').value = typeof settings.maxRateJumpPercent === 'number' ? settings.maxRateJumpPercent : 20;
+    document.getElementById('crossCheckProvider').value = settings.crossCheckProvider || '';
+    await renderRateSanityLog();
+
+    // Site rules
+    siteProfiles = settings.siteProfiles || {};
+    renderSiteProfiles();
+
+    // Payment methods
+    paymentProfiles = settings.paymentProfiles || structuredClone(window.PaymentFees.DEFAULT_PAYMENT_PROFILES);
+    renderPaymentProfiles();
+
+    // Fixed rates
+    rateOverrides = Array.isArray(settings.rateOverrides) ? settings.rateOverrides : [];
+    renderRateOverrides();
+
+    // Crypto assets
+    cryptoAssets = Array.isArray(settings.cryptoAssets) ? settings.cryptoAssets : [];
+    renderCryptoAssets();
+
+    // Import taxes
+    const importCountry = document.getElementById('importCountry');
+    if (importCountry.options.length <= 1) { // Only "Auto" yet - loadSettings runs again after an import
+      Object.entries(window.ImportTaxes.IMPORT_TAX_RULES).forEach(([code, rule]) => {
+        importCountry.add(new Option(`${rule.name} (${code})`, code));
+      });
+    }
+    importCountry.value = settings.importCountry || '';
+    document.getElementById('showLandedCost').checked = settings.showLandedCost || false;
+    importTaxOverrides = settings.importTaxOverrides || {};
+    renderImportTaxRule();
+
+    // Multi-target conversion
+    document.getElementById('newExtraTarget').innerHTML = document.getElementById('defaultTargetCurrency').innerHTML;
+    extraTargetCurrencies = Array.isArray(settings.extraTargetCurrencies) ? settings.extraTargetCurrencies : [];
+    renderExtraTargets();
+
     toggleApiKeyField();
     updateCurrencyExamples(); // Update examples with selected currency
     updateStatus('Settings loaded', 'success');
@@ -203,43 +299,8 @@ function applyUIScale(scale) {
 function updateCurrencyExamples() {
   const selectedCurrency = document.getElementById('defaultTargetCurrency')?.value || 'ILS';
 
-  // Comprehensive currency symbol mapping (170+ currencies supported)
-  const currencySymbols = {
-    // Major currencies
-    'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'CNY': '¥',
-    'ILS': '₪', 'AUD': 'A$', 'CAD': 'C$', 'CHF': 'CHF', 'SEK': 'kr',
-    'NOK': 'kr', 'DKK': 'kr', 'RUB': '₽', 'INR': '₹', 'BRL': 'R$',
-    'ZAR': 'R', 'KRW': '₩', 'MXN': '$', 'SGD': 'S$', 'HKD': 'HK$',
-    'NZD': 'NZ$', 'TRY': '₺', 'PLN': 'zł', 'THB': '฿', 'IDR': 'Rp',
-    'MYR': 'RM', 'PHP': '₱', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei',
-    'BGN': 'лв', 'HRK': 'kn', 'AED': 'د.إ', 'SAR': '﷼', 'QAR': 'ر.ق',
-    'KWD': 'د.ك', 'BHD': 'د.ب', 'OMR': 'ر.ع', 'JOD': 'د.ا', 'LBP': 'ل.ل',
-    'EGP': 'E£', 'MAD': 'د.م', 'TND': 'د.ت', 'DZD': 'د.ج', 'LYD': 'ل.د',
-    'IQD': 'ع.د', 'SYP': '£S', 'YER': '﷼', 'SDG': 'ج.س', 'SOS': 'Sh',
-    'KES': 'KSh', 'TZS': 'TSh', 'UGX': 'USh', 'GHS': '₵', 'NGN': '₦',
-    'XOF': 'CFA', 'XAF': 'FCFA', 'ETB': 'Br', 'ARS': '$', 'CLP': '$',
-    'COP': '$', 'PEN': 'S/', 'UYU': '$U', 'VEF': 'Bs', 'BOB': 'Bs',
-    'PYG': '₲', 'CRC': '₡', 'GTQ': 'Q', 'HNL': 'L', 'NIO': 'C$',
-    'PAB': 'B/.', 'DOP': 'RD$', 'JMD': 'J$', 'TTD': 'TT$', 'BBD': 'Bds$',
-    'BZD': 'BZ$', 'GYD': 'G$', 'SRD': '$', 'HTG': 'G', 'AWG': 'ƒ',
-    'ANG': 'ƒ', 'VND': '₫', 'KHR': '៛', 'LAK': '₭', 'MMK': 'K',
-    'BDT': '৳', 'PKR': '₨', 'LKR': '₨', 'NPR': '₨', 'AFN': '؋',
-    'UZS': 'soʻm', 'KZT': '₸', 'GEL': '₾', 'AMD': '֏', 'AZN': '₼',
-    'TMT': 'm', 'TJS': 'SM', 'KGS': 'с', 'MDL': 'L', 'UAH': '₴',
-    'BYN': 'Br', 'ISK': 'kr', 'ALL': 'L', 'MKD': 'ден', 'RSD': 'дин',
-    'BAM': 'KM', 'GIP': '£', 'FKP': '£', 'SHP': '£', 'JEP': '£',
-    'IMP': '£', 'GGP': '£', 'TVD': '$', 'NRG': '$', 'SBD': '$',
-    'TOP': 'T$', 'WST': 'T', 'VUV': 'Vt', 'FJD': '$', 'PGK': 'K',
-    'XPF': '₣', 'MRU': 'UM', 'MGA': 'Ar', 'MWK': 'MK', 'ZMW': 'ZK',
-    'AOA': 'Kz', 'BIF': 'FBu', 'RWF': 'FRw', 'LSL': 'L', 'SZL': 'E',
-    'BWP': 'P', 'NAD': '$', 'MUR': '₨', 'SCR': '₨', 'GMD': 'D',
-    'SLL': 'Le', 'LRD': '$', 'GNF': 'FG', 'CVE': '$', 'STN': 'Db',
-    'ERN': 'Nfk', 'DJF': 'Fdj', 'KMF': 'CF', 'MZN': 'MT', 'BTC': '₿',
-    'ETH': 'Ξ', 'LTC': 'Ł', 'XRP': 'XRP', 'BCH': 'BCH', 'ADA': '₳'
-  };
-
-  // Get symbol for selected currency (fallback to currency code if no symbol found)
-  const symbol = currencySymbols[selectedCurrency] || selectedCurrency;
+  // Symbol from the shared currency registry (falls back to the code)
+  const symbol = window.CurrencyRegistry.getCurrencySymbol(selectedCurrency);
   const code = selectedCurrency;
 
   // Example amounts for different contexts
@@ -334,11 +395,170 @@ function setupEventListeners() {
   document.getElementById('resetBtn').addEventListener('click', resetSettings);
 
   // API provider change
-  document.getElementById('apiProvider').addEventListener('change', toggleApiKeyField);
+  document.getElementById('apiProvider').addEventListener('change', () => {
+    toggleApiKeyField();
+    renderProviderChain(); // Main provider is never listed as its own fallback
+    toggleCustomProviderGroup();
+  });
+
+  // Fallback provider chain: enable/disable and reorder
+  const chainList = document.getElementById('providerChainList');
+  if (chainList) {
+    chainList.addEventListener('change', () => {
+      providerChain = readProviderChain();
+      toggleCustomProviderGroup();
+      setTimeout(saveSettings, 500);
+    });
+    chainList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-move]');
+      if (!button) return;
+
+      const row = button.closest('.provider-chain-item');
+      const sibling = button.dataset.move === 'up' ? row.previousElementSibling : row.nextElementSibling;
+      if (!sibling || sibling.classList.contains('primary')) return;
+
+      if (button.dataset.move === 'up') {
+        chainList.insertBefore(row, sibling);
+      } else {
+        chainList.insertBefore(sibling, row);
+      }
+      providerChain = readProviderChain();
+      setTimeout(saveSettings, 500);
+    });
+  }
+
+  // Extra target currencies: add, reorder, remove
+  document.getElementById('addExtraTargetBtn').addEventListener('click', () => {
+    const code = document.getElementById('newExtraTarget').value;
+    if (extraTargetCurrencies.includes(code)) return;
+    if (extraTargetCurrencies.length >= MAX_EXTRA_TARGETS) {
+      updateStatus(`You can add up to ${MAX_EXTRA_TARGETS} extra currencies`, 'error');
+      return;
+    }
+    extraTargetCurrencies.push(code);
+    renderExtraTargets();
+    saveSettings();
+  });
+  document.getElementById('extraTargetList').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const index = parseInt(button.closest('.provider-chain-item').dataset.index);
+    const swapWith = button.dataset.action === 'up' ? index - 1 : index + 1;
+
+    if (button.dataset.action === 'remove') {
+      extraTargetCurrencies.splice(index, 1);
+    } else if (swapWith >= 0 && swapWith < extraTargetCurrencies.length) {
+      [extraTargetCurrencies[index], extraTargetCurrencies[swapWith]] = [extraTargetCurrencies[swapWith], extraTargetCurrencies[index]];
+    } else {
+      return;
+    }
+    renderExtraTargets();
+    saveSettings();
+  });
+
+  // Default currency changes what's listed as #1
+  document.getElementById('defaultTargetCurrency').addEventListener('change', renderExtraTargets);
+
+  // Payment methods
+  document.getElementById('addPaymentProfileBtn').addEventListener('click', () => {
+    paymentProfiles.push({
+      id: `custom-${Date.now()}`,
+      name: 'New payment method',
+      markupPercent: 0,
+      weekendMarkupPercent: null,
+      fixedFee: 0,
+      fixedFeeCurrency: 'USD'
+    });
+    renderPaymentProfiles();
+    savePaymentProfiles();
+  });
+
+  // Fixed rates
+  document.getElementById('addRateOverrideBtn').addEventListener('click', () => {
+    rateOverrides.push({
+      id: `override-${Date.now()}`,
+      type: 'pair',
+      from: 'USD',
+      to: document.getElementById('defaultTargetCurrency').value,
+      rate: 1,
+      label: ''
+    });
+    renderRateOverrides();
+    saveRateOverrides();
+  });
+
+  // Crypto assets
+  document.getElementById('addCryptoAssetBtn').addEventListener('click', () => {
+    cryptoAssets.push({ ticker: '', id: '' });
+    renderCryptoAssets();
+  });
+
+  // Import taxes: the rule editor follows the destination country
+  document.getElementById('showLandedCost').addEventListener('change', () => setTimeout(saveSettings, 500));
+  document.getElementById('importCountry').addEventListener('change', () => {
+    renderImportTaxRule();
+    setTimeout(saveSettings, 500);
+  });
+  document.getElementById('defaultTargetCurrency').addEventListener('change', renderImportTaxRule);
+  ['importVatPercent', 'importDutyPercent', 'importDeMinimis'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      const rule = getImportTaxRule();
+      if (!rule) return;
+      importTaxOverrides[rule.country] = {
+        vatPercent: Math.max(0, parseFloat(document.getElementById('importVatPercent').value) || 0),
+        dutyPercent: Math.max(0, parseFloat(document.getElementById('importDutyPercent').value) || 0),
+        deMinimis: Math.max(0, parseFloat(document.getElementById('importDeMinimis').value) || 0)
+      };
+      saveSettings();
+    });
+  });
+  document.getElementById('resetImportTaxRule').addEventListener('click', () => {
+    const rule = getImportTaxRule();
+    if (!rule) return;
+    delete importTaxOverrides[rule.country];
+    renderImportTaxRule();
+    saveSettings();
+  });
+
+  // Site rules
+  const addSiteBtn = document.getElementById('addSiteBtn');
+  const newSiteHost = document.getElementById('newSiteHost');
+  if (addSiteBtn && newSiteHost) {
+    addSiteBtn.addEventListener('click', addSiteProfile);
+    newSiteHost.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addSiteProfile();
+    });
+  }
+
+  // Keep provider health table live while background refreshes run
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.providerHealth) {
+      renderProviderHealth();
+    }
+    if (areaName === 'local' && changes.rateSanityLog) {
+      renderRateSanityLog();
+    }
+    if ((areaName === 'local' && changes.providerQuota) || (areaName === 'sync' && changes.apiQuotaLimit)) {
+      renderApiQuota();
+    }
+  });
 
   // API key visibility toggle
   document.getElementById('toggleApiKey').addEventListener('click', toggleApiKeyVisibility);
 
+  // 🔐 Per-provider API keys (local key store, lib/keystore.js)
+  document.getElementById('apiKey').addEventListener('change', saveApiKey);
+  document.getElementById('customProviderHeaders').addEventListener('change', saveCustomProviderHeaders);
+  document.getElementById('unlockKeysBtn').addEventListener('click', () => runKeyVaultAction('unlock'));
+  document.getElementById('encryptKeysBtn').addEventListener('click', () => runKeyVaultAction('encrypt'));
+  document.getElementById('removeEncryptionBtn').addEventListener('click', () => runKeyVaultAction('remove'));
+  document.getElementById('keyPassphrase').addEventListener('keypress', async (e) => {
+    if (e.key === 'Enter') {
+      runKeyVaultAction(await window.ApiKeyStore.isKeyVaultLocked() ? 'unlock' : 'encrypt');
+    }
+  });
+
   // Quick actions
   document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
   document.getElementById('testConnectionBtn').addEventListener('click', testConnection);
@@ -411,10 +631,16 @@ function setupEventListeners() {
 
   // Auto-save on certain changes
   const autoSaveElements = [
-    'updateInterval', 'highlightPrices', // Removed defaultTargetCurrency (handled above)
-    'showInlineConversion', 'replacePrice',
+    'updateInterval', 'staleRateHours', 'cryptoUpdateInterval', 'highlightPrices', // Removed defaultTargetCurrency (handled above)
+    'showInlineConversion', 'replacePrice', 'apiQuotaLimit',
+    // Rate sanity checks
+    'maxRateJumpPercent', 'crossCheckProvider',
+    // Custom provider
+    'customProviderName', 'customProviderFormat', 'customProviderBase', 'customProviderUrl',
+    'customProviderRatesPath', 'customProviderCodeField',
+    'customProviderRateField', 'customProviderScale', 'customProviderInverted',
     // Popup visibility settings
-    'showStatsBar', 'showFavorites', 'showActions', 'showQuickToggles', 'showFooterLinks',
+    'showStatsBar', 'showFavorites', 'showActions', 'showQuickToggles', 'showFooterLinks', 'showPagePrices',
     // Display format
     'decimalPlaces', 'currencyDisplay', 'useThousandSeparator',
     // Advanced settings
@@ -433,7 +659,7 @@ function setupEventListeners() {
     'batchProcessPrices', 'offlineMode',
     // Smart features
     'smartRounding', 'contextAwareConversion', 'multiCurrencyDetection',
-    'rateAlerts', 'showConfidenceScore',
+    'rateAlerts', 'showConfidenceScore', 'sameSiteFramesOnly',
     // Display preferences
     'symbolPosition', 'roundingMethod', 'useNativeNumbers', 'showCurrencyFlags'
   ];
@@ -454,17 +680,28 @@ async function saveSettings() {
       selectedTheme: document.getElementById('themeSelect').value,
       defaultTargetCurrency: document.getElementById('defaultTargetCurrency').value,
       updateInterval: parseInt(document.getElementById('updateInterval').value),
+      staleRateHours: Math.max(0, parseInt(document.getElementById('staleRateHours').value) || 0),
+      cryptoUpdateInterval: parseInt(document.getElementById('cryptoUpdateInterval').value),
       highlightPrices: document.getElementById('highlightPrices').checked,
       showInlineConversion: document.getElementById('showInlineConversion').checked,
       replacePrice: document.getElementById('replacePrice').checked,
       apiProvider: document.getElementById('apiProvider').value,
-      apiKey: document.getElementById('apiKey').value,
+      apiQuotaLimit: Math.max(0, parseInt(document.getElementById('apiQuotaLimit').value) || 0),
+      providerChain: providerChain,
+      customProvider: readCustomProvider(),
+      maxRateJumpPercent: Math.max(0, parseFloat(document.getElementById('maxRateJumpPercent').value) || 0),
+      crossCheckProvider: document.getElementById('crossCheckProvider').value,
+      extraTargetCurrencies: extraTargetCurrencies,
+      showLandedCost: document.getElementById('showLandedCost').checked,
+      importCountry: document.getElementById('importCountry').value,
+      importTaxOverrides: importTaxOverrides,
       // Popup visibility settings
       showStatsBar: document.getElementById('showStatsBar').checked,
       showFavorites: document.getElementById('showFavorites').checked,
       showActions: document.getElementById('showActions').checked,
       showQuickToggles: document.getElementById('showQuickToggles').checked,
       showFooterLinks: document.getElementById('showFooterLinks').checked,
+      showPagePrices: document.getElementById('showPagePrices').checked,
       // Display format
       decimalPlaces: document.getElementById('decimalPlaces').value,
       currencyDisplay: document.getElementById('currencyDisplay').value,
@@ -503,6 +740,7 @@ async function saveSettings() {
       multiCurrencyDetection: document.getElementById('multiCurrencyDetection')?.checked || false,
       rateAlerts: document.getElementById('rateAlerts')?.checked || false,
       showConfidenceScore: document.getElementById('showConfidenceScore')?.checked || false,
+      sameSiteFramesOnly: document.getElementById('sameSiteFramesOnly')?.checked || false,
       // Display preferences
       symbolPosition: document.getElementById('symbolPosition')?.value || 'before',
       roundingMethod: document.getElementById('roundingMethod')?.value || 'standard',
@@ -514,31 +752,41 @@ async function saveSettings() {
     updateStatus('Settings saved successfully', 'success');
 
     // Notify content scripts of settings update
-    try {
-      const tabs = await chrome.tabs.query({});
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated' }).catch(() => {
-          // Ignore errors for inactive tabs
-        });
-      });
-    } catch (error) {
-      // Ignore tab messaging errors
+    await notifySettingsUpdated();
+
+    // Clear cached rates if API provider changed - never in offline mode, which runs on the last downloaded
+    // table (the change is picked up on the first save after going back online)
+    const rateSource = getRateSource(settings.apiProvider, settings.providerChain);
+    if (rateSource !== savedRateSource && !settings.offlineMode) {
+      await chrome.storage.local.remove(FIAT_RATE_CACHE_KEYS);
+      savedRateSource = rateSource;
     }
 
-    // Clear cached rates if API provider changed
-    await chrome.storage.local.remove(['exchangeRates', 'lastUpdate']);
-
   } catch (error) {
     console.error('Failed to save settings:', error);
     updateStatus('Failed to save settings', 'error');
   }
 }
 
+async function notifySettingsUpdated() {
+  try {
+    const tabs = await chrome.tabs.query({});
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated' }).catch(() => {
+        // Ignore errors for inactive tabs
+      });
+    });
+  } catch (error) {
+    // Ignore tab messaging errors
+  }
+}
+
 async function resetSettings() {
   if (confirm('Are you sure you want to reset all settings to their default values?')) {
     try {
       await chrome.storage.sync.clear();
       await chrome.storage.local.clear();
+      await window.ApiKeyStore.lockKeyVault();
 
       // Reset UI scale
       document.getElementById('uiScale').value = 100;
@@ -549,11 +797,35 @@ async function resetSettings() {
       document.getElementById('themeSelect').value = 'chrome-dark'; // Chrome Dark is default
       document.getElementById('defaultTargetCurrency').value = 'ILS';
       document.getElementById('updateInterval').value = '1440';
+      document.getElementById('staleRateHours').value = 48;
+      document.getElementById('cryptoUpdateInterval').value = window.CryptoAssets.DEFAULT_CRYPTO_UPDATE_MINUTES;
       document.getElementById('highlightPrices').checked = false;
       document.getElementById('showInlineConversion').checked = true; // Native HTML title attribute ON ⭐
       document.getElementById('replacePrice').checked = false;
       document.getElementById('apiProvider').value = 'exchangerate-api';
       document.getElementById('apiKey').value = '';
+      document.getElementById('apiQuotaLimit').value = '';
+      providerChain = [...DEFAULT_PROVIDER_CHAIN];
+      renderProviderChain();
+      await renderProviderHealth();
+      renderCustomProvider({});
+      document.getElementById('maxRateJumpPercent').value = 20;
+      document.getElementById('crossCheckProvider').value = '';
+      await renderRateSanityLog();
+      siteProfiles = {};
+      renderSiteProfiles();
+      extraTargetCurrencies = [];
+      renderExtraTargets();
+      paymentProfiles = structuredClone(window.PaymentFees.DEFAULT_PAYMENT_PROFILES);
+      renderPaymentProfiles();
+      rateOverrides = [];
+      renderRateOverrides();
+      cryptoAssets = [];
+      renderCryptoAssets();
+      document.getElementById('showLandedCost').checked = false;
+      document.getElementById('importCountry').value = '';
+      importTaxOverrides = {};
+      renderImportTaxRule();
 
       // Reset popup visibility settings (all hidden by default)
       document.getElementById('showStatsBar').checked = false;
@@ -561,6 +833,7 @@ async function resetSettings() {
       document.getElementById('showActions').checked = false;
       document.getElementById('showQuickToggles').checked = false;
       document.getElementById('showFooterLinks').checked = false;
+      document.getElementById('showPagePrices').checked = false;
 
       // Reset display format
       document.getElementById('decimalPlaces').value = 'auto';
@@ -606,6 +879,7 @@ async function resetSettings() {
       document.getElementById('multiCurrencyDetection').checked = true;
       document.getElementById('rateAlerts').checked = false;
       document.getElementById('showConfidenceScore').checked = false;
+      document.getElementById('sameSiteFramesOnly').checked = false;
 
       // Reset display preferences
       document.getElementById('symbolPosition').value = 'auto';
@@ -634,7 +908,8 @@ function toggleApiKeyField() {
     'exchangerates-api',
     'ecb',
     'bank-of-israel',
-    'currencyapi'
+    'currencyapi',
+    'custom'
   ];
 
   const requiresKey = !freeProviders.includes(provider);
@@ -645,6 +920,107 @@ function toggleApiKeyField() {
   } else {
     apiKeyGroup.style.display = 'none';
   }
+  renderApiKey();
+  renderApiQuota();
+}
+
+// Show the stored key for the selected provider (disabled while the encrypted store is locked)
+async function renderApiKey() {
+  const input = document.getElementById('apiKey');
+  const provider = document.getElementById('apiProvider').value;
+
+  try {
+    const locked = await window.ApiKeyStore.isKeyVaultLocked();
+    input.disabled = locked;
+    input.placeholder = locked ? 'Locked - enter your passphrase below' : 'Enter your API key';
+    input.value = locked ? '' : await window.ApiKeyStore.getApiKey(provider);
+  } catch (error) {
+    console.error('Failed to load API key:', error);
+  }
+  await renderCustomProviderHeaders();
+  await renderKeyVault();
+}
+
+async function saveApiKey() {
+  const provider = document.getElementById('apiProvider').value;
+  try {
+    await window.ApiKeyStore.setApiKey(provider, document.getElementById('apiKey').value);
+    updateStatus('API key saved on this device', 'success');
+  } catch (error) {
+    console.error('Failed to save API key:', error);
+    updateStatus(error.message, 'error');
+  }
+}
+
+async function renderKeyVault() {
+  const group = document.getElementById('keyVaultGroup');
+  const status = document.getElementById('keyVaultStatus');
+  if (!group || !status) return;
+
+  const encrypted = await window.ApiKeyStore.isKeyVaultEncrypted();
+  const locked = await window.ApiKeyStore.isKeyVaultLocked();
+  const keysInUse = document.getElementById('apiKeyGroup').style.display !== 'none' ||
+    document.getElementById('customProviderGroup').style.display !== 'none';
+  group.style.display = encrypted || keysInUse ? 'block' : 'none';
+
+  status.textContent = !encrypted
+    ? 'Keys are stored unencrypted on this device.'
+    : locked ? '🔒 Locked - providers that need a key are skipped until you unlock.' : '🔓 Encrypted and unlocked for this browser session.';
+  document.getElementById('unlockKeysBtn').style.display = locked ? '' : 'none';
+  document.getElementById('encryptKeysBtn').style.display = locked ? 'none' : '';
+  document.getElementById('encryptKeysBtn').textContent = encrypted ? 'Change Passphrase' : 'Encrypt';
+  document.getElementById('removeEncryptionBtn').style.display = encrypted && !locked ? '' : 'none';
+}
+
+async function runKeyVaultAction(action) {
+  const passphraseInput = document.getElementById('keyPassphrase');
+  const passphrase = passphraseInput.value;
+
+  try {
+    if (action === 'unlock') {
+      await window.ApiKeyStore.unlockKeyVault(passphrase);
+      updateStatus('API keys unlocked', 'success');
+    } else if (action === 'encrypt') {
+      await window.ApiKeyStore.encryptKeyVault(passphrase);
+      updateStatus('API keys encrypted', 'success');
+    } else {
+      await window.ApiKeyStore.removeKeyVaultEncryption();
+      updateStatus('Key encryption removed', 'success');
+    }
+    passphraseInput.value = '';
+    await renderApiKey();
+  } catch (error) {
+    console.error('Key encryption action failed:', error);
+    updateStatus(error.message, 'error');
+  }
+}
+
+// "123 of 1,000 requests used in 2026-10 (877 left)" for metered providers
+async function renderApiQuota() {
+  const group = document.getElementById('apiQuotaGroup');
+  const status = document.getElementById('apiQuotaStatus');
+  if (!group || !status) return;
+
+  try {
+    const provider = document.getElementById('apiProvider').value;
+    const { quota } = await chrome.runtime.sendMessage({ type: 'getApiQuota', provider });
+    group.style.display = quota ? 'block' : 'none';
+    if (!quota) return;
+
+    let text = `${quota.used.toLocaleString()} of ${quota.limit.toLocaleString()} requests used in ${quota.period} (${quota.remaining.toLocaleString()} left)`;
+    if (quota.exhausted) {
+      text += ' - quota used up, fallback providers are used until it resets';
+    } else if (quota.low) {
+      text += ' - running low';
+    }
+    if (quota.lastMessage) {
+      text += `. Last error: ${quota.lastMessage}`;
+    }
+    status.textContent = text;
+    status.className = quota.low || quota.exhausted ? 'setting-hint quota-low' : 'setting-hint';
+  } catch (error) {
+    console.error('Failed to load API quota:', error);
+  }
 }
 
 function updateApiKeyGuide(provider) {
@@ -728,6 +1104,708 @@ function updateApiKeyGuide(provider) {
   apiGuide.innerHTML = html;
 }
 
+// Ordered target list: default currency pinned on top, extras below
+function renderExtraTargets() {
+  const container = document.getElementById('extraTargetList');
+  if (!container) return;
+
+  const defaultSelect = document.getElementById('defaultTargetCurrency');
+  const labelFor = code => {
+    const option = defaultSelect.querySelector(`option[value="${code}"]`);
+    return option ? option.textContent : code;
+  };
+
+  container.innerHTML = '';
+
+  const primaryRow = document.createElement('div');
+  primaryRow.className = 'provider-chain-item primary';
+  primaryRow.textContent = `1. ${labelFor(defaultSelect.value)} (default currency)`;
+  container.appendChild(primaryRow);
+
+  extraTargetCurrencies.forEach((code, index) => {
+    const row = document.createElement('div');
+    row.className = 'provider-chain-item';
+    row.dataset.index = index;
+    row.innerHTML = `
+      <span></span>
+      <div class="provider-chain-buttons">
+        <button type="button" class="btn-secondary" data-action="up" aria-label="Move up">↑</button>
+        <button type="button" class="btn-secondary" data-action="down" aria-label="Move down">↓</button>
+        <button type="button" class="btn-secondary" data-action="remove" aria-label="Remove">✕</button>
+      </div>
+    `;
+    row.querySelector('span').textContent = `${index + 2}. ${labelFor(code)}`;
+    container.appendChild(row);
+  });
+}
+
+// Provider display names, taken from the API provider dropdown
+function getProviderNames() {
+  const names = {};
+  document.querySelectorAll('#apiProvider option').forEach(option => {
+    names[option.value] = option.textContent.replace(/\s*\(.*\)\s*$/, '');
+  });
+  return names;
+}
+
+// Render the fallback chain: main provider pinned on top, enabled fallbacks in order, then the rest
+function renderProviderChain() {
+  const container = document.getElementById('providerChainList');
+  if (!container) return;
+
+  const names = getProviderNames();
+  const primary = document.getElementById('apiProvider').value;
+  const enabled = providerChain.filter(id => id !== primary && names[id]);
+  const disabled = Object.keys(names).filter(id => id !== primary && !enabled.includes(id));
+
+  container.innerHTML = '';
+
+  const primaryRow = document.createElement('div');
+  primaryRow.className = 'provider-chain-item primary';
+  primaryRow.textContent = `1. ${names[primary] || primary} (main provider)`;
+  container.appendChild(primaryRow);
+
+  [...enabled, ...disabled].forEach(id => {
+    const row = document.createElement('div');
+    row.className = 'provider-chain-item';
+    row.dataset.provider = id;
+    row.innerHTML = `
+      <label>
+        <input type="checkbox" ${enabled.includes(id) ? 'checked' : ''}>
+        <span>${names[id]}</span>
+      </label>
+      <div class="provider-chain-buttons">
+        <button type="button" class="btn-secondary" data-move="up" aria-label="Move up">↑</button>
+        <button type="button" class="btn-secondary" data-move="down" aria-label="Move down">↓</button>
+      </div>
+    `;
+    container.appendChild(row);
+  });
+}
+
+// Read enabled fallbacks in their on-screen order
+function readProviderChain() {
+  const rows = document.querySelectorAll('#providerChainList .provider-chain-item[data-provider]');
+  return Array.from(rows)
+    .filter(row => row.querySelector('input[type="checkbox"]').checked)
+    .map(row => row.dataset.provider);
+}
+
+// Custom provider settings only matter once it's the main provider or a checked fallback
+function toggleCustomProviderGroup() {
+  const group = document.getElementById('customProviderGroup');
+  if (!group) return;
+  const inUse = document.getElementById('apiProvider').value === 'custom' || providerChain.includes('custom');
+  group.style.display = inUse ? 'flex' : 'none';
+}
+
+function renderCustomProvider(config) {
+  const base = document.getElementById('customProviderBase');
+  if (base.options.length === 0) {
+    base.innerHTML = document.getElementById('defaultTargetCurrency').innerHTML;
+  }
+
+  document.getElementById('customProviderName').value = config.name || '';
+  document.getElementById('customProviderFormat').value = config.format || 'json';
+  base.value = config.base || 'USD';
+  document.getElementById('customProviderUrl').value = config.url || '';
+  document.getElementById('customProviderRatesPath').value = config.ratesPath || '';
+  document.getElementById('customProviderCodeField').value = config.codeField || '';
+  document.getElementById('customProviderRateField').value = config.rateField || '';
+  document.getElementById('customProviderScale').value = config.scale || 1;
+  document.getElementById('customProviderInverted').checked = config.inverted || false;
+  document.getElementById('customProviderPreview').innerHTML = '';
+  toggleCustomProviderGroup();
+  renderCustomProviderHeaders();
+}
+
+// Header values are secrets - they live in the local key store under 'custom', like API keys
+async function renderCustomProviderHeaders() {
+  const input = document.getElementById('customProviderHeaders');
+  try {
+    const locked = await window.ApiKeyStore.isKeyVaultLocked();
+    input.disabled = locked;
+    input.placeholder = locked ? 'Locked - enter your passphrase below' : 'Headers, one per line (Authorization: Bearer ...)';
+    input.value = locked ? '' : await window.ApiKeyStore.getApiKey('custom');
+  } catch (error) {
+    console.error('Failed to load custom provider headers:', error);
+  }
+}
+
+async function saveCustomProviderHeaders() {
+  try {
+    await window.ApiKeyStore.setApiKey('custom', document.getElementById('customProviderHeaders').value);
+    updateStatus('Custom provider headers saved on this device', 'success');
+  } catch (error) {
+    console.error('Failed to save custom provider headers:', error);
+    updateStatus(error.message, 'error');
+  }
+}
+
+function readCustomProvider() {
+  return {
+    name: document.getElementById('customProviderName').value.trim() || 'Custom Provider',
+    format: document.getElementById('customProviderFormat').value,
+    base: document.getElementById('customProviderBase').value,
+    url: document.getElementById('customProviderUrl').value.trim(),
+    ratesPath: document.getElementById('customProviderRatesPath').value.trim(),
+    codeField: document.getElementById('customProviderCodeField').value.trim(),
+    rateField: document.getElementById('customProviderRateField').value.trim(),
+    scale: Math.max(1, parseFloat(document.getElementById('customProviderScale').value) || 1),
+    inverted: document.getElementById('customProviderInverted').checked
+  };
+}
+
+// Dry-run preview: first rates parsed from the unsaved custom config
+function renderCustomProviderPreview(result) {
+  const container = document.getElementById('customProviderPreview');
+  container.innerHTML = '';
+
+  const summary = document.createElement('p');
+  summary.className = 'setting-hint';
+  container.appendChild(summary);
+  if (!result.success) {
+    summary.textContent = `❌ ${result.error}`;
+    return;
+  }
+
+  const codes = Object.keys(result.rates).sort();
+  summary.textContent = `✅ Parsed ${result.count} rates (rebased to 1 USD). Preview, not saved:`;
+
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>Currency</th><th>Per 1 USD</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  codes.slice(0, 12).forEach(code => {
+    const tr = document.createElement('tr');
+    [code, result.rates[code].toPrecision(6)].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text; // Codes come from a user endpoint - never inject as HTML
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+
+  if (codes.length > 12) {
+    const more = document.createElement('p');
+    more.className = 'setting-hint';
+    more.textContent = `…and ${codes.length - 12} more`;
+    container.appendChild(more);
+  }
+}
+
+// Show last success / last error / latency for every provider that has been tried
+async function renderProviderHealth() {
+  const container = document.getElementById('providerHealth');
+  if (!container) return;
+
+  try {
+    const { providerHealth = {}, rateProvider } = await chrome.storage.local.get(['providerHealth', 'rateProvider']);
+    const providers = Object.keys(providerHealth);
+
+    container.innerHTML = '';
+    if (providers.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'setting-hint';
+      empty.textContent = 'No provider requests yet. Run Test Connection to check your providers.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const names = getProviderNames();
+    const formatTime = (timestamp) => timestamp
+      ? new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : '—';
+
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Provider</th><th>Status</th><th>Last success</th><th>Last error</th><th>Latency</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    providers.forEach(id => {
+      const health = providerHealth[id];
+      const isHealthy = (health.lastSuccess || 0) >= (health.lastError || 0);
+      const cells = [
+        `${names[id] || id}${id === rateProvider ? ' ⭐' : ''}`,
+        isHealthy ? '✅ OK' : '❌ Failing',
+        formatTime(health.lastSuccess),
+        health.lastError ? `${formatTime(health.lastError)} - ${health.lastErrorMessage}` : '—',
+        health.latency !== undefined ? `${health.latency} ms` : '—'
+      ];
+
+      const tr = document.createElement('tr');
+      cells.forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text; // Error messages come from remote APIs - never inject as HTML
+        if (index === 1) td.className = isHealthy ? 'health-ok' : 'health-failing';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+  } catch (error) {
+    console.error('Failed to load provider health:', error);
+  }
+}
+
+// Show the latest rejected / quarantined refreshes from the background sanity check
+async function renderRateSanityLog() {
+  const container = document.getElementById('rateSanityLog');
+  if (!container) return;
+
+  try {
+    const { rateSanityLog = [] } = await chrome.storage.local.get(['rateSanityLog']);
+
+    container.innerHTML = '';
+    if (rateSanityLog.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'setting-hint';
+      empty.textContent = 'No suspicious rates so far.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const names = getProviderNames();
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Time</th><th>Provider</th><th>Decision</th><th>Currencies</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    rateSanityLog.forEach(entry => {
+      const currencies = entry.quarantined
+        .map(item => `${item.code} (${item.reason}${item.received !== null ? `: ${item.previous ?? '—'} → ${item.received}` : ''})`)
+        .join(', ');
+      const cells = [
+        new Date(entry.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+        names[entry.provider] || entry.provider,
+        entry.decision === 'rejected' ? `❌ Rejected - ${entry.reason}` : '⚠️ Quarantined',
+        currencies || '—'
+      ];
+
+      const tr = document.createElement('tr');
+      cells.forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (index === 2) td.className = entry.decision === 'rejected' ? 'health-failing' : '';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+  } catch (error) {
+    console.error('Failed to load rate sanity log:', error);
+  }
+}
+
+// Normalize user input ("https://www.Example.com/path") to a bare hostname ("example.com")
+function normalizeHostname(input) {
+  let host = (input || '').trim().toLowerCase();
+  if (!host) return '';
+
+  try {
+    host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+  } catch (error) {
+    return '';
+  }
+  return host.replace(/^www\./, '');
+}
+
+// Rule for the chosen country, or the one implied by the default currency
+function getImportTaxRule() {
+  return window.ImportTaxes.resolveTaxRule(
+    document.getElementById('importCountry').value,
+    document.getElementById('defaultTargetCurrency').value,
+    importTaxOverrides
+  );
+}
+
+function renderImportTaxRule() {
+  const rule = getImportTaxRule();
+  const fields = ['importVatPercent', 'importDutyPercent', 'importDeMinimis', 'resetImportTaxRule'];
+
+  fields.forEach(id => {
+    document.getElementById(id).disabled = !rule;
+  });
+
+  if (!rule) {
+    document.getElementById('importTaxRuleTitle').textContent = 'Tax Rule (no rule for this currency - pick a country)';
+    fields.slice(0, 3).forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('importDeMinimisCurrency').textContent = '';
+    return;
+  }
+
+  const edited = importTaxOverrides[rule.country] ? ' - edited' : '';
+  document.getElementById('importTaxRuleTitle').textContent = `Tax Rule: ${rule.name}${edited}`;
+  document.getElementById('importVatPercent').value = rule.vatPercent;
+  document.getElementById('importDutyPercent').value = rule.dutyPercent;
+  document.getElementById('importDeMinimis').value = rule.deMinimis;
+  document.getElementById('importDeMinimisCurrency').textContent = rule.deMinimisCurrency || rule.currency;
+}
+
+async function savePaymentProfiles() {
+  try {
+    await chrome.storage.sync.set({ paymentProfiles });
+    updateStatus('Payment methods saved', 'success');
+    await notifySettingsUpdated();
+  } catch (error) {
+    console.error('Failed to save payment methods:', error);
+    updateStatus('Failed to save payment methods', 'error');
+  }
+}
+
+function renderPaymentProfiles() {
+  const list = document.getElementById('paymentProfilesList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (paymentProfiles.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-hint';
+    empty.textContent = 'No payment methods. Conversions use the mid-market rate only.';
+    list.appendChild(empty);
+    return;
+  }
+
+  const currencyOptions = document.getElementById('defaultTargetCurrency').innerHTML;
+
+  paymentProfiles.forEach((profile, index) => {
+    const row = document.createElement('div');
+    row.className = 'site-profile';
+    row.innerHTML = `
+      <input type="text" class="text-input" data-field="name" aria-label="Payment method name">
+      <button type="button" class="btn-secondary" data-action="remove">Remove</button>
+      <div class="site-profile-fields">
+        <label>Markup %
+          <input type="number" class="text-input" data-field="markupPercent" step="0.1" min="0">
+        </label>
+        <label>Weekend %
+          <input type="number" class="text-input" data-field="weekendMarkupPercent" step="0.1" min="0" placeholder="Same">
+        </label>
+        <label>Fixed fee
+          <input type="number" class="text-input" data-field="fixedFee" step="0.01" min="0">
+        </label>
+        <select class="select-input" data-field="fixedFeeCurrency" aria-label="Fixed fee currency">${currencyOptions}</select>
+      </div>
+    `;
+    row.querySelector('[data-field="name"]').value = profile.name;
+    row.querySelector('[data-field="markupPercent"]').value = profile.markupPercent || 0;
+    row.querySelector('[data-field="weekendMarkupPercent"]').value = profile.weekendMarkupPercent ?? '';
+    row.querySelector('[data-field="fixedFee"]').value = profile.fixedFee || 0;
+    row.querySelector('[data-field="fixedFeeCurrency"]').value = profile.fixedFeeCurrency || 'USD';
+
+    row.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (field === 'name' || field === 'fixedFeeCurrency') {
+        profile[field] = e.target.value.trim() || profile[field];
+      } else if (field === 'weekendMarkupPercent') {
+        // Empty means "no weekend surcharge" - the weekday markup applies every day
+        profile[field] = e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0);
+      } else if (field) {
+        profile[field] = Math.max(0, parseFloat(e.target.value) || 0);
+      }
+      savePaymentProfiles();
+    });
+
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      paymentProfiles.splice(index, 1);
+      renderPaymentProfiles();
+      savePaymentProfiles();
+    });
+
+    list.appendChild(row);
+  });
+}
+
+async function saveRateOverrides() {
+  try {
+    await chrome.storage.sync.set({ rateOverrides });
+    updateStatus('Fixed rates saved', 'success');
+    await notifySettingsUpdated();
+  } catch (error) {
+    console.error('Failed to save fixed rates:', error);
+    updateStatus('Failed to save fixed rates', 'error');
+  }
+}
+
+// One row per override: "1 [from] = [rate] [to]" plus scope (this pair / every pair with the currency)
+function renderRateOverrides() {
+  const list = document.getElementById('rateOverridesList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (rateOverrides.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-hint';
+    empty.textContent = 'No fixed rates. All conversions use the provider rates.';
+    list.appendChild(empty);
+    return;
+  }
+
+  const currencyOptions = document.getElementById('defaultTargetCurrency').innerHTML;
+
+  rateOverrides.forEach((override, index) => {
+    const isCurrency = override.type === 'currency';
+    const row = document.createElement('div');
+    row.className = 'site-profile';
+    row.innerHTML = `
+      <input type="text" class="text-input" data-field="label" placeholder="Label (e.g. Company rate)" aria-label="Fixed rate label">
+      <button type="button" class="btn-secondary" data-action="remove">Remove</button>
+      <div class="site-profile-fields">
+        <label>1
+          <select class="select-input" data-field="from" aria-label="From currency">${currencyOptions}</select>
+        </label>
+        <label>=
+          <input type="number" class="text-input" data-field="rate" step="any" min="0">
+        </label>
+        <select class="select-input" data-field="to" aria-label="To currency">${currencyOptions}</select>
+        <select class="select-input" data-field="type" aria-label="Applies to">
+          <option value="pair">This pair only</option>
+          <option value="currency">Every pair with this currency</option>
+        </select>
+      </div>
+    `;
+    row.querySelector('[data-field="label"]').value = override.label || '';
+    row.querySelector('[data-field="from"]').value = isCurrency ? 'USD' : override.from;
+    row.querySelector('[data-field="from"]').disabled = isCurrency; // Per-currency rates are always quoted against USD
+    row.querySelector('[data-field="rate"]').value = override.rate;
+    row.querySelector('[data-field="to"]').value = isCurrency ? override.currency : override.to;
+    row.querySelector('[data-field="type"]').value = override.type;
+
+    row.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      const value = e.target.value;
+      if (field === 'label') {
+        override.label = value.trim();
+      } else if (field === 'rate') {
+        override.rate = Math.max(0, parseFloat(value) || 0);
+      } else if (field === 'to') {
+        override[isCurrency ? 'currency' : 'to'] = value;
+      } else if (field === 'from') {
+        override.from = value;
+      } else if (field === 'type') {
+        // Switch shape: { from, to } for pairs, { currency } for per-currency USD rates
+        const code = isCurrency ? override.currency : override.to;
+        rateOverrides[index] = value === 'currency'
+          ? { id: override.id, type: 'currency', currency: code, rate: override.rate, label: override.label }
+          : { id: override.id, type: 'pair', from: 'USD', to: code, rate: override.rate, label: override.label };
+        renderRateOverrides();
+      }
+      saveRateOverrides();
+    });
+
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      rateOverrides.splice(index, 1);
+      renderRateOverrides();
+      saveRateOverrides();
+    });
+
+    list.appendChild(row);
+  });
+}
+
+async function saveCryptoAssets() {
+  try {
+    // Half-filled rows stay on screen but are only stored once both fields are set
+    const complete = cryptoAssets.filter(asset => asset.ticker && asset.id);
+    await chrome.storage.sync.set({ cryptoAssets: complete });
+    updateStatus('Crypto assets saved', 'success');
+    await notifySettingsUpdated();
+  } catch (error) {
+    console.error('Failed to save crypto assets:', error);
+    updateStatus('Failed to save crypto assets', 'error');
+  }
+}
+
+// One row per user coin: ticker + CoinGecko ID
+function renderCryptoAssets() {
+  const list = document.getElementById('cryptoAssetsList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (cryptoAssets.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-hint';
+    empty.textContent = 'No extra coins. Only the built-in assets are priced.';
+    list.appendChild(empty);
+    return;
+  }
+
+  cryptoAssets.forEach((asset, index) => {
+    const row = document.createElement('div');
+    row.className = 'site-profile';
+    row.innerHTML = `
+      <input type="text" class="text-input" data-field="ticker" placeholder="Ticker (e.g. PEPE)" maxlength="10" aria-label="Coin ticker">
+      <button type="button" class="btn-secondary" data-action="remove">Remove</button>
+      <div class="site-profile-fields">
+        <input type="text" class="text-input" data-field="id" placeholder="CoinGecko ID (e.g. pepe)" aria-label="CoinGecko ID">
+      </div>
+    `;
+    row.querySelector('[data-field="ticker"]').value = asset.ticker;
+    row.querySelector('[data-field="id"]').value = asset.id;
+
+    row.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (field === 'ticker') {
+        const ticker = e.target.value.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (window.CryptoAssets.isFiatTicker(ticker)) {
+          e.target.value = asset.ticker;
+          updateStatus(`${ticker} is a currency code (${window.CurrencyRegistry.getCurrencyName(ticker)}) - pick another ticker`, 'error');
+          return;
+        }
+        asset.ticker = ticker;
+        e.target.value = asset.ticker;
+      } else if (field === 'id') {
+        asset.id = e.target.value.trim().toLowerCase();
+      }
+      saveCryptoAssets();
+    });
+
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      cryptoAssets.splice(index, 1);
+      renderCryptoAssets();
+      saveCryptoAssets();
+    });
+
+    list.appendChild(row);
+  });
+}
+
+async function saveSiteProfiles() {
+  try {
+    await chrome.storage.sync.set({ siteProfiles });
+    updateStatus('Site rules saved', 'success');
+    await notifySettingsUpdated();
+  } catch (error) {
+    console.error('Failed to save site rules:', error);
+    updateStatus('Failed to save site rules', 'error');
+  }
+}
+
+async function addSiteProfile() {
+  const input = document.getElementById('newSiteHost');
+  const host = normalizeHostname(input.value);
+  if (!host) {
+    updateStatus('Enter a valid domain', 'error');
+    return;
+  }
+
+  // New sites start disabled - the most common reason to add one
+  siteProfiles[host] = siteProfiles[host] || { disabled: true };
+  input.value = '';
+  renderSiteProfiles();
+  await saveSiteProfiles();
+}
+
+function renderSiteProfiles() {
+  const list = document.getElementById('siteProfilesList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  const hosts = Object.keys(siteProfiles).sort();
+
+  if (hosts.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-hint';
+    empty.textContent = 'No site rules yet. Every site uses your global settings.';
+    list.appendChild(empty);
+    return;
+  }
+
+  // Reuse the currency list from the Default Currency dropdown
+  const currencyOptions = document.getElementById('defaultTargetCurrency').innerHTML;
+
+  hosts.forEach(host => {
+    const profile = siteProfiles[host];
+    const row = document.createElement('div');
+    row.className = 'site-profile';
+    row.innerHTML = `
+      <span class="site-profile-host"></span>
+      <button type="button" class="btn-secondary" data-action="remove">Remove</button>
+      <div class="site-profile-fields">
+        <label><input type="checkbox" data-field="enabled"> Convert prices</label>
+        <label>Source
+          <select class="select-input" data-field="sourceCurrency">
+            <option value="">Auto-detect</option>${currencyOptions}
+          </select>
+        </label>
+        <label>Target
+          <select class="select-input" data-field="targetCurrency">
+            <option value="">Default</option>${currencyOptions}
+          </select>
+        </label>
+        <label>Display
+          <select class="select-input" data-field="displayMode">
+            <option value="">Default</option>
+            <option value="tooltip">Tooltip</option>
+            <option value="inline">Inline label</option>
+            <option value="replace">Replace price</option>
+          </select>
+        </label>
+      </div>
+    `;
+    row.querySelector('.site-profile-host').textContent = host;
+    row.querySelector('[data-field="enabled"]').checked = !profile.disabled;
+    row.querySelector('[data-field="sourceCurrency"]').value = profile.sourceCurrency || '';
+    row.querySelector('[data-field="targetCurrency"]').value = profile.targetCurrency || '';
+    row.querySelector('[data-field="displayMode"]').value = profile.displayMode || '';
+    renderSymbolCorrections(row, host, profile);
+
+    row.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (field === 'enabled') {
+        profile.disabled = !e.target.checked;
+      } else if (field) {
+        profile[field] = e.target.value;
+      }
+      saveSiteProfiles();
+    });
+
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      delete siteProfiles[host];
+      renderSiteProfiles();
+      saveSiteProfiles();
+    });
+
+    list.appendChild(row);
+  });
+}
+
+// "$ = CAD" corrections made from the page's "Wrong currency?" menu, each with a Forget button
+function renderSymbolCorrections(row, host, profile) {
+  const symbols = Object.keys(profile.symbolCurrencies || {});
+  if (symbols.length === 0) return;
+
+  const fields = document.createElement('div');
+  fields.className = 'site-profile-fields';
+  fields.appendChild(document.createTextNode('Symbols:'));
+
+  symbols.forEach(symbol => {
+    const item = document.createElement('label');
+    item.textContent = `${symbol} = ${profile.symbolCurrencies[symbol]}`;
+
+    const forget = document.createElement('button');
+    forget.type = 'button';
+    forget.className = 'btn-secondary';
+    forget.textContent = 'Forget';
+    forget.addEventListener('click', () => {
+      delete profile.symbolCurrencies[symbol];
+      if (Object.keys(profile.symbolCurrencies).length === 0) delete profile.symbolCurrencies;
+      renderSiteProfiles();
+      saveSiteProfiles();
+    });
+
+    item.appendChild(forget);
+    fields.appendChild(item);
+  });
+
+  row.appendChild(fields);
+}
+
 function toggleApiKeyVisibility() {
   const apiKeyInput = document.getElementById('apiKey');
   const toggleBtn = document.getElementById('toggleApiKey');
@@ -748,9 +1826,14 @@ function toggleApiKeyVisibility() {
   }
 }
 
+// Cached rate tables and what describes them - API keys, quota counters, rate history, alert and
+// quarantine state live in local storage too, and clearing those would reset limits and alerts
+const RATE_CACHE_KEYS = [...FIAT_RATE_CACHE_KEYS, 'cryptoRates', 'cryptoUpdatedAt', 'providerHealth'];
+
 async function clearCache() {
   try {
-    await chrome.storage.local.clear();
+    await chrome.storage.local.remove(RATE_CACHE_KEYS);
+    await renderProviderHealth();
     updateStatus('Cache cleared successfully', 'success');
   } catch (error) {
     console.error('Failed to clear cache:', error);
@@ -762,17 +1845,55 @@ async function testConnection() {
   try {
     updateStatus('Testing connection...', 'loading');
 
+    // 🔌 Custom provider: grant host access (needs this click) and dry-run the unsaved config first
+    const customGroup = document.getElementById('customProviderGroup');
+    const customConfig = readCustomProvider();
+    if (customGroup.style.display !== 'none' && customConfig.url) {
+      let origin;
+      try {
+        origin = `${new URL(customConfig.url.replace(/\{\w+\}/g, 'x')).origin}/*`;
+      } catch (error) {
+        renderCustomProviderPreview({ success: false, error: 'Custom provider URL is not valid' });
+        updateStatus('Custom provider URL is not valid', 'error');
+        return;
+      }
+
+      const granted = await chrome.permissions.request({ origins: [origin] });
+      const preview = granted
+        ? await chrome.runtime.sendMessage({
+          type: 'testCustomProvider',
+          config: { ...customConfig, headers: document.getElementById('customProviderHeaders').value.trim() }
+        })
+        : { success: false, error: `Access to ${origin} was not granted` };
+      renderCustomProviderPreview(preview);
+    }
+
     const response = await chrome.runtime.sendMessage({
       type: 'getExchangeRates',
       forceUpdate: true
     });
 
-    if (response.rates && Object.keys(response.rates).length > 0) {
-      updateStatus('Connection test successful', 'success');
+    const result = response.updateResult || {};
+    if (result.offline) {
+      updateStatus('Offline mode is on - no requests were made', 'error');
+    } else if (result.throttled) {
+      updateStatus(`Only ${result.quota.remaining} API requests left this month - using rates from the last refresh`, 'error');
+    } else if (result.success) {
+      const name = getProviderNames()[result.provider] || result.provider;
+      const message = result.failover
+        ? `Connected via fallback ${name} (${result.attempts.length} provider(s) failed)`
+        : `Connection test successful (${name})`;
+      updateStatus(message, 'success');
+    } else if (result.baseline) {
+      updateStatus('All providers failed - using bundled rates', 'error');
+    } else if (response.rates && Object.keys(response.rates).length > 0) {
+      updateStatus('All providers failed - using cached rates', 'error');
     } else {
       updateStatus('Connection test failed', 'error');
     }
 
+    await renderProviderHealth();
+
   } catch (error) {
     console.error('Connection test failed:', error);
     updateStatus('Connection test failed', 'error');
@@ -782,6 +1903,16 @@ async function testConnection() {
 async function exportSettings() {
   try {
     const settings = await chrome.storage.sync.get();
+
+    // 🔐 Never export credentials: legacy synced key, custom provider header values not yet moved to the key store
+    delete settings.apiKey;
+    if (settings.customProvider?.headers) {
+      settings.customProvider = {
+        ...settings.customProvider,
+        headers: window.ApiKeyStore.redactHeaderLines(settings.customProvider.headers)
+      };
+    }
+
     const exportData = {
       version: '1.0.0',
       timestamp: new Date().toISOString(),
@@ -819,6 +1950,14 @@ async function importSettings(event) {
       throw new Error('Invalid settings file format');
     }
 
+    // 🔐 Exports write "Name: [redacted]" header lines - keep the stored headers instead of those placeholders
+    const importedProvider = importData.settings.customProvider;
+    if (importedProvider?.headers !== undefined) {
+      const { headers, ...provider } = importedProvider;
+      const realHeaders = window.ApiKeyStore.stripRedactedHeaderLines(headers);
+      importData.settings.customProvider = realHeaders ? { ...provider, headers: realHeaders } : provider; // Real ones move to the key store below
+    }
+
     await chrome.storage.sync.set(importData.settings);
     await loadSettings();
 
@@ -53,6 +53,7 @@ function switchSection(sectionName) {
   const titleMap = {
     'general': 'General Settings',
     'display': 'Display Settings',
+    'sites': 'Site Rules',
     'features': 'Features',
     'advanced': 'Advanced Settings',
     'about': 'About'
@@ -4,6 +4,18 @@ let exchangeRates = {};
 let isConverting = false;
 let conversionHistory = [];
 let favoriteCurrencies = ['USD', 'EUR', 'GBP', 'JPY'];
+let trendDays = 30;
+let rateAlertRules = [];
+let editingAlertId = null;
+let siteProfiles = {};
+let currentSite = null; // { host, pageHost, tabId } for the active web page - host is the rule's key
+let extraTargetCurrencies = []; // Shown under the converted amount (set in options)
+let paymentProfiles = []; // Card / bank fee profiles (lib/fees.js defaults until edited in options)
+let pagePrices = null; // { items, targetCurrency, isCart } reported by the active tab
+let rateStatus = null; // { offline, baseline, asOf, providerName, updatedAt, publishedAt } from background
+let staleRateHours = 48; // Rates older than this are flagged under the result (0 = never)
+let historicalRates = null; // { date, requestedDate, rates, source } when a past date is picked
+let rateOverrides = []; // 📌 User-pinned pair / per-currency rates (live conversions only)
 
 document.addEventListener('DOMContentLoaded', async () => {
   // Load UI scale first
@@ -17,10 +29,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initializePopup();
   await loadPopupVisibilitySettings();
   setupEventListeners();
+  updateRateTrends();
   await loadConversionHistory();
   await loadFavoriteCurrencies();
+  await loadRateAlertRules();
   updateStatsBar();
   updateFavoritesGrid();
+  updateAlertsList();
+  await loadSitePanel();
+  await loadPagePrices();
 });
 
 async function initializePopup() {
@@ -28,7 +45,13 @@ async function initializePopup() {
   await loadExchangeRates();
 
   // Load user preferences
-  const settings = await chrome.storage.sync.get(['defaultTargetCurrency', 'defaultSourceCurrency']);
+  const settings = await chrome.storage.sync.get([
+    'defaultTargetCurrency', 'defaultSourceCurrency', 'extraTargetCurrencies',
+    'paymentProfiles', 'activePaymentProfile', 'rateOverrides'
+  ]);
+  extraTargetCurrencies = settings.extraTargetCurrencies || [];
+  rateOverrides = settings.rateOverrides || [];
+  renderPaymentProfiles(settings.paymentProfiles, settings.activePaymentProfile);
 
   if (settings.defaultTargetCurrency) {
     document.getElementById('toCurrency').value = settings.defaultTargetCurrency;
@@ -38,6 +61,16 @@ async function initializePopup() {
     document.getElementById('fromCurrency').value = settings.defaultSourceCurrency;
   }
 
+  // Opened from a rate alert notification - show that pair
+  const { pendingAlertPair } = await chrome.storage.local.get('pendingAlertPair');
+  if (pendingAlertPair && Date.now() - pendingAlertPair.timestamp < 5 * 60 * 1000) {
+    document.getElementById('fromCurrency').value = pendingAlertPair.from;
+    document.getElementById('toCurrency').value = pendingAlertPair.to;
+    document.getElementById('fromAmount').value = document.getElementById('fromAmount').value || '1';
+    await chrome.storage.local.remove('pendingAlertPair');
+    convertCurrency();
+  }
+
   updateRateInfo();
 }
 
@@ -67,7 +100,10 @@ async function loadPopupVisibilitySettings() {
       'showFavorites',
       'showActions',
       'showQuickToggles',
-      'showFooterLinks'
+      'showFooterLinks',
+      'showRateTrends',
+      'rateAlerts',
+      'showPagePrices'
     ]);
 
     // Apply visibility settings (all hidden by default)
@@ -76,6 +112,9 @@ async function loadPopupVisibilitySettings() {
     const actionsSection = document.getElementById('actionsSection');
     const quickTogglesSection = document.getElementById('quickTogglesSection');
     const footerLinksSection = document.getElementById('footerLinksSection');
+    const rateTrendsSection = document.getElementById('rateTrendsSection');
+    const alertsSection = document.getElementById('alertsSection');
+    const pagePricesSection = document.getElementById('pagePricesSection');
 
     if (statsBar) {
       statsBar.style.display = settings.showStatsBar ? 'flex' : 'none';
@@ -92,6 +131,15 @@ async function loadPopupVisibilitySettings() {
     if (footerLinksSection) {
       footerLinksSection.style.display = settings.showFooterLinks ? 'flex' : 'none';
     }
+    if (rateTrendsSection) {
+      rateTrendsSection.style.display = settings.showRateTrends ? 'block' : 'none';
+    }
+    if (alertsSection) {
+      alertsSection.style.display = settings.rateAlerts ? 'block' : 'none';
+    }
+    if (pagePricesSection) {
+      pagePricesSection.style.display = settings.showPagePrices ? 'block' : 'none';
+    }
   } catch (error) {
     console.error('Failed to load popup visibility settings:', error);
   }
@@ -114,10 +162,65 @@ function setupEventListeners() {
   fromCurrency.addEventListener('change', () => {
     convertCurrency();
     loadExchangeRates(true); // Auto-refresh rates when currency changes
+    updateRateTrends();
+    updateAlertsList();
   });
   toCurrency.addEventListener('change', () => {
     convertCurrency();
     loadExchangeRates(true); // Auto-refresh rates when currency changes
+    updateRateTrends();
+    updateAlertsList();
+  });
+
+  // Payment profile - also drives the "you pay" line in page tooltips
+  document.getElementById('paymentProfile').addEventListener('change', async (e) => {
+    try {
+      await chrome.storage.sync.set({ activePaymentProfile: e.target.value });
+      const tabs = await chrome.tabs.query({});
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated' }).catch(() => {});
+      });
+    } catch (error) {
+      console.error('Failed to save payment profile:', error);
+    }
+    convertCurrency();
+  });
+
+  // Historical rate date
+  const rateDate = document.getElementById('rateDate');
+  rateDate.max = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+  rateDate.addEventListener('change', loadHistoricalRates);
+  document.getElementById('rateDateClear').addEventListener('click', () => {
+    rateDate.value = '';
+    loadHistoricalRates();
+  });
+
+  // Page prices total
+  document.getElementById('copyPagePricesText').addEventListener('click', () => copyPagePrices('text'));
+  document.getElementById('copyPagePricesCsv').addEventListener('click', () => copyPagePrices('csv'));
+
+  // This site panel
+  ['siteEnabled', 'siteSource', 'siteTarget', 'siteDisplay'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.addEventListener('change', saveSiteProfile);
+    }
+  });
+
+  // Rate alerts
+  const saveAlertBtn = document.getElementById('saveAlertBtn');
+  if (saveAlertBtn) {
+    saveAlertBtn.addEventListener('click', saveRateAlert);
+  }
+
+  // Rate trend period (7/30/90 days)
+  document.querySelectorAll('.trend-period-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.trend-period-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      trendDays = parseInt(btn.dataset.days) || 30;
+      updateRateTrends();
+    });
   });
 
   // Swap currencies
@@ -226,6 +329,9 @@ async function loadExchangeRates(forceUpdate = false) {
     });
 
     exchangeRates = response.rates || {};
+    rateStatus = response.rateStatus || null;
+    const { staleRateHours: staleSetting } = await chrome.storage.sync.get(['staleRateHours']);
+    staleRateHours = typeof staleSetting === 'number' ? staleSetting : 48;
 
     // Check for API key warnings
     if (response.apiKeyWarning && response.apiKeyWarning.timestamp) {
@@ -251,6 +357,45 @@ async function loadExchangeRates(forceUpdate = false) {
   }
 }
 
+// Rates for the picked date, or the live table
+function getActiveRates() {
+  return historicalRates ? historicalRates.rates : exchangeRates;
+}
+
+// { rate, override } for 1 `from` in `to`; overrides pin today's rate, so past dates use the market table
+function getPairRate(fromCurrency, toCurrency) {
+  return window.RateOverrides.getEffectiveRate(getActiveRates(), historicalRates ? [] : rateOverrides, fromCurrency, toCurrency);
+}
+
+async function loadHistoricalRates() {
+  const date = document.getElementById('rateDate').value;
+  document.getElementById('rateDateClear').style.display = date ? 'inline-block' : 'none';
+
+  if (!date) {
+    historicalRates = null;
+    updateRateInfo();
+    convertCurrency();
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getHistoricalRates', date });
+    if (response.error) {
+      historicalRates = null;
+      document.getElementById('toAmount').value = '';
+      document.querySelector('#rateInfo .rate-text').textContent = response.error;
+      document.querySelector('#rateInfo .last-updated').textContent = '';
+      return;
+    }
+
+    historicalRates = response;
+    updateRateInfo();
+    convertCurrency();
+  } catch (error) {
+    console.error('Failed to load historical rates:', error);
+  }
+}
+
 async function convertCurrency() {
   if (isConverting) return;
 
@@ -261,6 +406,9 @@ async function convertCurrency() {
     const toCurrency = document.getElementById('toCurrency').value;
     const toAmountInput = document.getElementById('toAmount');
 
+    renderExtraTargetResults(fromAmount, fromCurrency, toCurrency);
+    renderPaidAmount(null);
+
     // Validate inputs
     if (!fromAmountValue || isNaN(fromAmount) || fromAmount <= 0) {
       toAmountInput.value = '';
@@ -272,8 +420,11 @@ async function convertCurrency() {
       return;
     }
 
-    if (!exchangeRates[fromCurrency] || !exchangeRates[toCurrency]) {
+    const rates = getActiveRates();
+    const pairRate = getPairRate(fromCurrency, toCurrency);
+    if (!pairRate) {
       console.warn('Exchange rates not available');
+      toAmountInput.value = '';
       return;
     }
 
@@ -285,9 +436,7 @@ async function convertCurrency() {
 
     isConverting = true;
 
-    // Convert via USD with error handling
-    const usdAmount = fromAmount / exchangeRates[fromCurrency];
-    const convertedAmount = usdAmount * exchangeRates[toCurrency];
+    const convertedAmount = fromAmount * pairRate.rate;
 
     // Validate result
     if (isNaN(convertedAmount) || !isFinite(convertedAmount)) {
@@ -297,6 +446,7 @@ async function convertCurrency() {
     }
 
     toAmountInput.value = convertedAmount.toFixed(2);
+    renderPaidAmount(convertedAmount, toCurrency, rates);
     updateRateInfo();
 
     // Save to history
@@ -306,6 +456,7 @@ async function convertCurrency() {
       toAmount: convertedAmount,
       toCurrency,
       rate: convertedAmount / fromAmount,
+      rateDate: historicalRates ? historicalRates.date : null,
       timestamp: Date.now()
     });
 
@@ -325,6 +476,55 @@ async function convertCurrency() {
   }
 }
 
+// "≈ €46.00 · £39.00" under the main result, one entry per extra target currency
+function renderExtraTargetResults(amount, fromCurrency, toCurrency) {
+  const container = document.getElementById('extraTargetResults');
+  const rates = getActiveRates();
+  const targets = extraTargetCurrencies.filter(code => code !== fromCurrency && code !== toCurrency && rates[code]);
+
+  container.innerHTML = '';
+  if (!amount || amount <= 0 || !getPairRate(fromCurrency, 'USD') || targets.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  targets.forEach(code => {
+    const converted = amount * getPairRate(fromCurrency, code).rate;
+    const item = document.createElement('span');
+    const symbol = window.CurrencyRegistry.getCurrencySymbol(code);
+    item.textContent = `≈ ${symbol === code ? '' : symbol}${converted.toFixed(2)} ${code}`;
+    container.appendChild(item);
+  });
+  container.style.display = 'flex';
+}
+
+function renderPaymentProfiles(profiles, activeId) {
+  const select = document.getElementById('paymentProfile');
+  paymentProfiles = profiles || window.PaymentFees.DEFAULT_PAYMENT_PROFILES;
+
+  select.length = 1; // Keep the mid-market option
+  paymentProfiles.forEach(profile => {
+    select.add(new Option(window.PaymentFees.describePaymentProfile(profile), profile.id));
+  });
+  select.value = paymentProfiles.some(profile => profile.id === activeId) ? activeId : '';
+}
+
+// "You pay ≈ ₪189.63" under the mid-market result (hidden with no profile / no amount)
+function renderPaidAmount(convertedAmount, toCurrency, rates) {
+  const container = document.getElementById('paidAmount');
+  const profile = window.PaymentFees.findPaymentProfile(paymentProfiles, document.getElementById('paymentProfile').value);
+  const paid = profile && convertedAmount ? window.PaymentFees.applyPaymentFees(convertedAmount, toCurrency, profile, rates) : null;
+
+  if (!paid) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const extra = paid.amount - convertedAmount;
+  container.textContent = `You pay ≈ ${paid.amount.toFixed(2)} ${toCurrency} (+${extra.toFixed(2)} in fees)`;
+  container.style.display = 'block';
+}
+
 function swapCurrencies() {
   const fromCurrency = document.getElementById('fromCurrency');
   const toCurrency = document.getElementById('toCurrency');
@@ -342,26 +542,477 @@ function swapCurrencies() {
   toAmount.value = tempAmount;
 
   convertCurrency();
+  updateRateTrends();
+  updateAlertsList();
 }
 
 function updateRateInfo(lastUpdateFormatted = null) {
   const fromCurrency = document.getElementById('fromCurrency').value;
   const toCurrency = document.getElementById('toCurrency').value;
   const rateInfo = document.getElementById('rateInfo');
+  const lastUpdated = rateInfo.querySelector('.last-updated');
+  lastUpdated.classList.remove('stale');
+
+  const pairRate = getPairRate(fromCurrency, toCurrency);
+
+  if (historicalRates && !pairRate) {
+    rateInfo.querySelector('.rate-text').textContent = `No ${fromCurrency}/${toCurrency} rate for ${historicalRates.date}`;
+    rateInfo.querySelector('.last-updated').textContent = '';
+    return;
+  }
 
-  if (exchangeRates[fromCurrency] && exchangeRates[toCurrency]) {
-    const rate = exchangeRates[toCurrency] / exchangeRates[fromCurrency];
+  if (pairRate) {
     rateInfo.querySelector('.rate-text').textContent =
-      `1 ${fromCurrency} = ${rate.toFixed(4)} ${toCurrency}`;
+      `1 ${fromCurrency} = ${pairRate.rate.toFixed(4)} ${toCurrency}`;
+
+    if (historicalRates) {
+      // Make it obvious when the offline fallback landed on a different day; a provider answering with
+      // the day before is just a weekend or holiday (no fixing that day)
+      const { date, requestedDate, source } = historicalRates;
+      let label = `Rate of ${date}`;
+      if (date !== requestedDate) {
+        label = source === 'snapshot' ? `Nearest stored rate: ${date}` : `Rate of ${date} (last business day before ${requestedDate})`;
+      }
+      rateInfo.querySelector('.last-updated').textContent = label;
+      return;
+    }
 
-    // Show last updated time with formatted timestamp
-    const timeDisplay = lastUpdateFormatted || new Date().toLocaleString('en-US', {
+    // Pinned by the user - the provider and its age don't matter
+    if (pairRate.override) {
+      lastUpdated.textContent = window.RateOverrides.describeRateOverride(pairRate.override);
+      return;
+    }
+
+    // Provenance: offline/bundled flag, provider, fetch time, publication date and age warning
+    const status = rateStatus || {};
+    const timeDisplay = lastUpdateFormatted || new Date(status.updatedAt || Date.now()).toLocaleString('en-US', {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit'
     });
-    rateInfo.querySelector('.last-updated').textContent = `Updated: ${timeDisplay}`;
+
+    const parts = [];
+    if (status.offline) parts.push('✈️ Offline');
+    if (status.baseline) {
+      parts.push(status.asOf ? `Bundled rates from ${status.asOf}` : 'Bundled rates');
+    } else {
+      if (status.providerName) parts.push(status.providerName);
+      parts.push(`Updated: ${timeDisplay}`);
+      if (status.publishedAt) parts.push(`published ${status.publishedAt}`);
+    }
+
+    const ageHours = status.updatedAt ? (Date.now() - status.updatedAt) / (60 * 60 * 1000) : 0;
+    const stale = staleRateHours > 0 && ageHours > staleRateHours;
+    if (stale) {
+      parts.push(`⏳ ${ageHours < 48 ? `${Math.round(ageHours)} h` : `${Math.floor(ageHours / 24)} days`} old`);
+    }
+
+    lastUpdated.textContent = parts.join(' · ');
+    lastUpdated.classList.toggle('stale', stale);
+  }
+}
+
+// Rate Trend Functions
+async function updateRateTrends() {
+  const section = document.getElementById('rateTrendsSection');
+  if (!section || section.style.display === 'none') return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'getRateHistory',
+      from: document.getElementById('fromCurrency').value,
+      to: document.getElementById('toCurrency').value,
+      days: trendDays
+    });
+    renderRateTrend(response?.points || []);
+  } catch (error) {
+    console.error('Failed to load rate history:', error);
+    renderRateTrend([]);
+  }
+}
+
+function renderRateTrend(points) {
+  const chart = document.getElementById('trendChart');
+  const empty = document.getElementById('trendEmpty');
+  const trendMin = document.getElementById('trendMin');
+  const trendMax = document.getElementById('trendMax');
+  const trendAvg = document.getElementById('trendAvg');
+  const trendChange = document.getElementById('trendChange');
+
+  chart.innerHTML = '';
+  trendChange.classList.remove('trend-up', 'trend-down');
+
+  // Need at least two days to draw a line
+  if (points.length < 2) {
+    chart.style.display = 'none';
+    empty.style.display = 'block';
+    [trendMin, trendMax, trendAvg, trendChange].forEach(el => { el.textContent = '–'; });
+    return;
+  }
+
+  chart.style.display = 'block';
+  empty.style.display = 'none';
+
+  const rates = points.map(p => p.rate);
+  const min = Math.min(...rates);
+  const max = Math.max(...rates);
+  const avg = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  const change = ((rates[rates.length - 1] - rates[0]) / rates[0]) * 100;
+
+  // Scale into the 300x60 viewBox, leaving a little padding so the line isn't clipped
+  const range = max - min || 1;
+  const coords = rates.map((rate, i) => {
+    const x = (i / (rates.length - 1)) * 300;
+    const y = 56 - ((rate - min) / range) * 52;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const polyline = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+  polyline.setAttribute('points', coords);
+  chart.appendChild(polyline);
+
+  trendMin.textContent = min.toFixed(4);
+  trendMax.textContent = max.toFixed(4);
+  trendAvg.textContent = avg.toFixed(4);
+  trendChange.textContent = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+  if (change > 0) trendChange.classList.add('trend-up');
+  if (change < 0) trendChange.classList.add('trend-down');
+}
+
+// Rate Alert Functions
+async function loadRateAlertRules() {
+  try {
+    const result = await chrome.storage.sync.get('rateAlertRules');
+    rateAlertRules = Array.isArray(result.rateAlertRules) ? result.rateAlertRules : [];
+  } catch (error) {
+    console.error('Failed to load rate alerts:', error);
+  }
+}
+
+async function saveRateAlertRules() {
+  try {
+    await chrome.storage.sync.set({ rateAlertRules });
+  } catch (error) {
+    console.error('Failed to save rate alerts:', error);
+  }
+}
+
+function describeRateAlert(rule) {
+  if (rule.type === 'change') {
+    return `${rule.from}/${rule.to} moves more than ${rule.value}% in a day`;
+  }
+  return `1 ${rule.from} ${rule.type === 'above' ? '>' : '<'} ${rule.value} ${rule.to}`;
+}
+
+// Add a rule for the current pair, or update the rule being edited
+async function saveRateAlert() {
+  const from = document.getElementById('fromCurrency').value;
+  const to = document.getElementById('toCurrency').value;
+  const type = document.getElementById('alertType').value;
+  const value = parseFloat(document.getElementById('alertValue').value);
+
+  if (from === to || isNaN(value) || value <= 0) {
+    return;
+  }
+
+  const existing = rateAlertRules.find(rule => rule.id === editingAlertId);
+  if (existing) {
+    // New id so the edited rule starts without the old rule's crossing/fired state
+    Object.assign(existing, { id: Date.now().toString(36), from, to, type, value });
+  } else {
+    rateAlertRules.push({ id: Date.now().toString(36), from, to, type, value, enabled: true });
+  }
+
+  editingAlertId = null;
+  document.getElementById('alertValue').value = '';
+  await saveRateAlertRules();
+  updateAlertsList();
+}
+
+function editRateAlert(rule) {
+  editingAlertId = rule.id;
+  document.getElementById('fromCurrency').value = rule.from;
+  document.getElementById('toCurrency').value = rule.to;
+  document.getElementById('alertType').value = rule.type;
+  document.getElementById('alertValue').value = rule.value;
+  convertCurrency();
+  updateRateTrends();
+  updateAlertsList();
+}
+
+function updateAlertsList() {
+  const list = document.getElementById('alertRulesList');
+  if (!list) return;
+
+  const from = document.getElementById('fromCurrency').value;
+  const to = document.getElementById('toCurrency').value;
+  document.getElementById('alertPairLabel').textContent = `${from}/${to}`;
+  document.getElementById('saveAlertBtn').textContent = editingAlertId ? '💾' : '➕';
+
+  // Suggest the current rate as the threshold
+  const valueInput = document.getElementById('alertValue');
+  if (exchangeRates[from] && exchangeRates[to]) {
+    valueInput.placeholder = (exchangeRates[to] / exchangeRates[from]).toFixed(4);
+  }
+
+  list.innerHTML = '';
+  rateAlertRules.forEach(rule => {
+    const row = document.createElement('div');
+    row.className = `alert-rule${rule.enabled === false ? ' disabled' : ''}`;
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = rule.enabled !== false;
+    toggle.title = 'Enable alert';
+    toggle.addEventListener('change', async () => {
+      rule.enabled = toggle.checked;
+      await saveRateAlertRules();
+      updateAlertsList();
+    });
+
+    const text = document.createElement('span');
+    text.className = 'alert-rule-text';
+    text.textContent = describeRateAlert(rule);
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'text-btn';
+    editBtn.title = 'Edit alert';
+    editBtn.textContent = '✏️';
+    editBtn.addEventListener('click', () => editRateAlert(rule));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'text-btn';
+    deleteBtn.title = 'Delete alert';
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.addEventListener('click', async () => {
+      rateAlertRules = rateAlertRules.filter(r => r.id !== rule.id);
+      if (editingAlertId === rule.id) editingAlertId = null;
+      await saveRateAlertRules();
+      updateAlertsList();
+    });
+
+    row.append(toggle, text, editBtn, deleteBtn);
+    list.appendChild(row);
+  });
+}
+
+// This Site Functions
+
+// Key of the rule that covers a hostname (itself or a parent domain), or null - same lookup as content.js
+function findSiteProfileHost(profiles, hostname) {
+  let host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  while (host) {
+    if (profiles[host]) return host;
+    const dot = host.indexOf('.');
+    if (dot === -1) break;
+    host = host.substring(dot + 1);
+  }
+  return null;
+}
+
+async function loadSitePanel() {
+  const section = document.getElementById('siteSection');
+  if (!section) return;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = tab && tab.url ? new URL(tab.url) : null;
+
+    // Only for regular web pages (not chrome://, the extension itself, etc.)
+    if (!url || !/^https?:$/.test(url.protocol)) return;
+
+    const result = await chrome.storage.sync.get('siteProfiles');
+    siteProfiles = result.siteProfiles || {};
+
+    // A rule for example.com also covers shop.example.com - show and edit that one, as the page applies it
+    const pageHost = url.hostname.toLowerCase().replace(/^www\./, '');
+    currentSite = {
+      host: findSiteProfileHost(siteProfiles, pageHost) || pageHost,
+      pageHost,
+      tabId: tab.id
+    };
+    const profile = siteProfiles[currentSite.host] || {};
+
+    // Reuse the converter's currency list for source/target overrides
+    const currencyOptions = document.getElementById('toCurrency').innerHTML;
+    document.getElementById('siteSource').insertAdjacentHTML('beforeend', currencyOptions);
+    document.getElementById('siteTarget').insertAdjacentHTML('beforeend', currencyOptions);
+
+    document.getElementById('siteHost').textContent = currentSite.host === pageHost
+      ? pageHost
+      : `${pageHost} (rule for ${currentSite.host})`;
+    document.getElementById('siteEnabled').checked = !profile.disabled;
+    document.getElementById('siteSource').value = profile.sourceCurrency || '';
+    document.getElementById('siteTarget').value = profile.targetCurrency || '';
+    document.getElementById('siteDisplay').value = profile.displayMode || '';
+
+    section.style.display = 'block';
+  } catch (error) {
+    console.error('Failed to load site settings:', error);
+  }
+}
+
+async function saveSiteProfile() {
+  if (!currentSite) return;
+
+  const profile = {
+    disabled: !document.getElementById('siteEnabled').checked,
+    sourceCurrency: document.getElementById('siteSource').value,
+    targetCurrency: document.getElementById('siteTarget').value,
+    displayMode: document.getElementById('siteDisplay').value
+  };
+
+  // Keep symbol corrections made from the page ("$ here is CAD")
+  const symbolCurrencies = siteProfiles[currentSite.host]?.symbolCurrencies;
+  if (symbolCurrencies && Object.keys(symbolCurrencies).length > 0) {
+    profile.symbolCurrencies = symbolCurrencies;
+  }
+
+  // A rule with nothing overridden is the same as no rule
+  const isEmpty = !profile.disabled && !profile.sourceCurrency && !profile.targetCurrency && !profile.displayMode &&
+                  !profile.symbolCurrencies;
+  if (isEmpty) {
+    delete siteProfiles[currentSite.host];
+  } else {
+    siteProfiles[currentSite.host] = profile;
+  }
+
+  try {
+    await chrome.storage.sync.set({ siteProfiles });
+    chrome.tabs.sendMessage(currentSite.tabId, { type: 'settingsUpdated' }).catch(() => {
+      // Ignore if content script isn't running on this page
+    });
+    document.getElementById('siteNote').style.display = profile.disabled ? 'block' : 'none';
+  } catch (error) {
+    console.error('Failed to save site settings:', error);
+  }
+}
+
+// Page Prices Functions
+async function loadPagePrices() {
+  const section = document.getElementById('pagePricesSection');
+  const list = document.getElementById('pagePricesList');
+  if (!section || section.style.display === 'none') return;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    // The background asks every frame (checkout widgets, booking engines) and merges their lists
+    pagePrices = await chrome.runtime.sendMessage({ type: 'getPagePrices', tabId: tab.id });
+  } catch (error) {
+    // No content script on this tab (chrome:// pages, the web store, ...)
+    pagePrices = null;
+  }
+
+  list.innerHTML = '';
+  if (!pagePrices || pagePrices.items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'trend-empty';
+    empty.textContent = 'No prices detected on this page';
+    list.appendChild(empty);
+    updatePagePricesTotal();
+    return;
+  }
+
+  const symbol = window.CurrencyRegistry.getCurrencySymbol(pagePrices.targetCurrency);
+
+  pagePrices.items.forEach(item => {
+    // Old/comparison prices are never part of the order
+    item.selected = pagePrices.isCart && item.kind !== 'old';
+
+    const row = document.createElement('label');
+    row.className = 'page-price';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.selected;
+    checkbox.disabled = item.converted === null;
+    checkbox.addEventListener('change', () => {
+      item.selected = checkbox.checked;
+      updatePagePricesTotal();
+    });
+
+    const label = document.createElement('span');
+    label.className = 'page-price-label';
+    label.title = item.label || item.originalText;
+    if (item.kind !== 'item') {
+      const kind = document.createElement('span');
+      kind.className = 'page-price-kind';
+      kind.textContent = item.kind === 'shipping' ? 'Shipping' : 'Was';
+      label.appendChild(kind);
+    }
+    label.appendChild(document.createTextNode(item.label || item.originalText));
+
+    const amount = document.createElement('span');
+    amount.className = 'page-price-amount';
+    amount.textContent = item.converted === null
+      ? item.originalText
+      : `${symbol}${item.converted.toFixed(2)}`;
+    amount.title = item.originalText;
+
+    row.append(checkbox, label, amount);
+    list.appendChild(row);
+  });
+
+  updatePagePricesTotal();
+}
+
+function getSelectedPagePrices() {
+  return pagePrices ? pagePrices.items.filter(item => item.selected && item.converted !== null) : [];
+}
+
+function updatePagePricesTotal() {
+  const selected = getSelectedPagePrices();
+  const total = selected.reduce((sum, item) => sum + item.converted, 0);
+
+  document.getElementById('pagePricesCount').textContent = selected.length
+    ? `Total of ${selected.length} ${selected.length === 1 ? 'price' : 'prices'}`
+    : 'No prices selected';
+  document.getElementById('pagePricesTotal').textContent = selected.length
+    ? `${window.CurrencyRegistry.getCurrencySymbol(pagePrices.targetCurrency)}${total.toFixed(2)} ${pagePrices.targetCurrency}`
+    : '';
+}
+
+// Copy the ticked prices as a readable summary or as CSV (one row per price + total)
+async function copyPagePrices(format) {
+  const selected = getSelectedPagePrices();
+  if (selected.length === 0) return;
+
+  const target = pagePrices.targetCurrency;
+  const total = selected.reduce((sum, item) => sum + item.converted, 0);
+  let textToCopy;
+
+  if (format === 'csv') {
+    // Labels and prices are page text - a cell starting with = + - @ would run as a formula once pasted
+    const escape = value => {
+      const text = String(value);
+      const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+      return `"${safe.replace(/"/g, '""')}"`;
+    };
+    const rows = [['Item', 'Type', 'Original', 'Amount', 'Currency', `Converted (${target})`]];
+    selected.forEach(item => {
+      rows.push([item.label, item.kind, item.originalText, item.amount, item.currency, item.converted.toFixed(2)]);
+    });
+    rows.push(['Total', '', '', '', '', total.toFixed(2)]);
+    textToCopy = rows.map(row => row.map(escape).join(',')).join('\n');
+  } else {
+    const lines = selected.map(item => `${item.label || item.kind}: ${item.originalText} → ${item.converted.toFixed(2)} ${target}`);
+    lines.push(`Total: ${total.toFixed(2)} ${target}`);
+    textToCopy = lines.join('\n');
+  }
+
+  try {
+    await navigator.clipboard.writeText(textToCopy);
+
+    // Visual feedback
+    const button = document.getElementById(format === 'csv' ? 'copyPagePricesCsv' : 'copyPagePricesText');
+    const originalText = button.textContent;
+    button.textContent = '✓';
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error('Failed to copy page prices:', error);
   }
 }
 
@@ -454,7 +1105,7 @@ function updateFavoritesGrid() {
     btn.setAttribute('aria-label', `Convert to ${currency}`);
     btn.setAttribute('title', `Quick convert to ${currency}`);
 
-    const symbol = getCurrencySymbol(currency);
+    const symbol = window.CurrencyRegistry.getCurrencySymbol(currency);
     btn.innerHTML = `
       <span class="currency-symbol" aria-hidden="true">${symbol}</span>
       <span class="currency-code">${currency}</span>
@@ -469,20 +1120,6 @@ function updateFavoritesGrid() {
   });
 }
 
-function getCurrencySymbol(currency) {
-  const symbols = {
-    'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'ILS': '₪',
-    'CAD': 'C$', 'AUD': 'A$', 'CHF': '₣', 'CNY': '¥', 'INR': '₹',
-    'RUB': '₽', 'KRW': '₩', 'BRL': 'R$', 'MXN': '$', 'SGD': 'S$',
-    'HKD': 'HK$', 'NOK': 'kr', 'SEK': 'kr', 'DKK': 'kr', 'PLN': 'zł',
-    'THB': '฿', 'TRY': '₺', 'ZAR': 'R', 'NZD': 'NZ$', 'TWD': 'NT$',
-    'AED': 'د.إ', 'SAR': '﷼', 'PHP': '₱', 'VND': '₫', 'UAH': '₴',
-    'EGP': '£', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei', 'ISK': 'kr',
-    'QAR': '﷼', 'KWD': 'د.ك'
-  };
-  return symbols[currency] || currency;
-}
-
 function editFavorites() {
   const newFavorites = prompt(
     'Enter your favorite currencies (comma-separated, e.g., USD,EUR,GBP,JPY):',
@@ -490,7 +1127,7 @@ function editFavorites() {
   );
 
   if (newFavorites !== null) {
-    const currencies = newFavorites.split(',').map(c => c.trim().toUpperCase()).filter(c => c.length === 3);
+    const currencies = newFavorites.split(',').map(c => c.trim().toUpperCase()).filter(c => window.CurrencyRegistry.isKnownCurrency(c));
     if (currencies.length > 0) {
       favoriteCurrencies = currencies.slice(0, 6); // Max 6 favorites
       saveFavoriteCurrencies();
@@ -585,7 +1222,8 @@ function showConversionHistory() {
   recentHistory.forEach((item, index) => {
     const date = new Date(item.timestamp);
     const timeStr = date.toLocaleTimeString();
-    historyText += `${index + 1}. ${item.fromAmount.toFixed(2)} ${item.fromCurrency} → ${item.toAmount.toFixed(2)} ${item.toCurrency} (${timeStr})\n`;
+    const rateNote = item.rateDate ? `, rate of ${item.rateDate}` : '';
+    historyText += `${index + 1}. ${item.fromAmount.toFixed(2)} ${item.fromCurrency} → ${item.toAmount.toFixed(2)} ${item.toCurrency} (${timeStr}${rateNote})\n`;
   });
 
   alert(historyText);
@@ -601,7 +1239,7 @@ function showRateComparison() {
   popularCurrencies.forEach(currency => {
     if (currency !== fromCurrency && exchangeRates[fromCurrency] && exchangeRates[currency]) {
       const rate = exchangeRates[currency] / exchangeRates[fromCurrency];
-      const symbol = getCurrencySymbol(currency);
+      const symbol = window.CurrencyRegistry.getCurrencySymbol(currency);
       comparisonText += `${symbol} ${currency}: ${rate.toFixed(4)}\n`;
     }
   });
@@ -641,6 +1279,22 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       convertCurrency();
     }
 
+    if (changes.paymentProfiles) {
+      renderPaymentProfiles(changes.paymentProfiles.newValue, document.getElementById('paymentProfile').value);
+      convertCurrency();
+    }
+
+    if (changes.extraTargetCurrencies) {
+      extraTargetCurrencies = changes.extraTargetCurrencies.newValue || [];
+      convertCurrency();
+    }
+
+    if (changes.rateOverrides) {
+      rateOverrides = changes.rateOverrides.newValue || [];
+      convertCurrency();
+      updateRateInfo();
+    }
+
     if (changes.defaultSourceCurrency) {
       document.getElementById('fromCurrency').value = changes.defaultSourceCurrency.newValue;
       convertCurrency();
@@ -667,5 +1321,19 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       const footerLinksSection = document.getElementById('footerLinksSection');
       if (footerLinksSection) footerLinksSection.style.display = changes.showFooterLinks.newValue ? 'flex' : 'none';
     }
+    if (changes.rateAlerts) {
+      const alertsSection = document.getElementById('alertsSection');
+      if (alertsSection) alertsSection.style.display = changes.rateAlerts.newValue ? 'block' : 'none';
+    }
+    if (changes.showRateTrends) {
+      const rateTrendsSection = document.getElementById('rateTrendsSection');
+      if (rateTrendsSection) rateTrendsSection.style.display = changes.showRateTrends.newValue ? 'block' : 'none';
+      updateRateTrends();
+    }
+    if (changes.showPagePrices) {
+      const pagePricesSection = document.getElementById('pagePricesSection');
+      if (pagePricesSection) pagePricesSection.style.display = changes.showPagePrices.newValue ? 'block' : 'none';
+      loadPagePrices();
+    }
   }
 });